@@ -10,4 +10,8 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  settings: {
+    // Tests run on Vitest; the jest rules only need a version to compare against
+    jest: { version: 29 },
+  },
 };
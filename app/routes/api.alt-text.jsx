@@ -0,0 +1,72 @@
+import { json } from '@remix-run/node';
+import { authenticate } from '../shopify.server';
+import { updateMediaAlt } from '../utils/shopifyMedia.server';
+import { recordAltTextChanges } from '../utils/altTextIndex.server';
+
+// Shopify's limit for media alt text
+const MAX_ALT_LENGTH = 512;
+
+/**
+ * POST /api/alt-text
+ * Body: FormData { changes: JSON [{ productId, imageId, alt, previousAlt? }], intent?: 'save' | 'undo', historyId? }
+ *
+ * Saves alt text for product media, one productUpdateMedia call per product.
+ * `previousAlt` keeps the shop's alt text usage counts current.
+ * A failing product does not stop the others; its error is returned in
+ * `errors` and its images are missing from `saved`. `intent` and `historyId`
+ * are echoed back so the editor knows which undo entry the response belongs to.
+ */
+export async function action({ request }) {
+  if (request.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, { status: 405 });
+  }
+
+  const { admin, session } = await authenticate.admin(request);
+  const form = await request.formData();
+  const intent = form.get('intent') || 'save';
+  const historyId = form.get('historyId');
+
+  let changes;
+  try {
+    changes = JSON.parse(form.get('changes') || '[]');
+  } catch {
+    return json({ error: 'changes must be JSON' }, { status: 400 });
+  }
+  if (!Array.isArray(changes) || !changes.length) {
+    return json({ error: 'No alt text changes supplied' }, { status: 400 });
+  }
+  if (changes.some(c => !c?.productId || !c?.imageId || typeof c.alt !== 'string')) {
+    return json({ error: 'Every change needs productId, imageId and alt' }, { status: 400 });
+  }
+
+  const byProduct = new Map();
+  const previousAlts = new Map();
+  for (const { productId, imageId, alt, previousAlt } of changes) {
+    if (!byProduct.has(productId)) byProduct.set(productId, []);
+    byProduct.get(productId).push({ mediaId: imageId, alt: alt.trim().slice(0, MAX_ALT_LENGTH) });
+    if (typeof previousAlt === 'string') previousAlts.set(String(imageId), previousAlt);
+  }
+
+  const saved = [];
+  const errors = [];
+  for (const [productId, productChanges] of byProduct) {
+    try {
+      const updated = await updateMediaAlt(admin, productId, productChanges);
+      saved.push(...updated.map(({ mediaId, alt }) => ({ productId, imageId: mediaId, alt })));
+    } catch (error) {
+      console.error(`[AltText] Could not update product ${productId}:`, error);
+      errors.push({ productId, imageIds: productChanges.map(c => c.mediaId), error: error.message });
+    }
+  }
+
+  try {
+    await recordAltTextChanges(session.shop, saved
+      .filter(({ imageId }) => previousAlts.has(String(imageId)))
+      .map(({ imageId, alt }) => ({ previousAlt: previousAlts.get(String(imageId)), alt })));
+  } catch (error) {
+    console.error('[AltText] Could not update the alt text usage counts:', error);
+  }
+
+  console.log(`[AltText] ${intent}: ${saved.length} saved, ${errors.length} product(s) failed`);
+  return json({ type: 'alt-saved', intent, historyId, saved, errors }, { status: saved.length ? 200 : 502 });
+}
@@ -0,0 +1,55 @@
+import { json } from '@remix-run/node';
+import { authenticate } from '../shopify.server';
+import { listDrafts, publishDrafts, discardDrafts } from '../utils/compressionDrafts.server';
+import { actorOf } from '../utils/imageVersions.server';
+
+/**
+ * GET /api/compression-drafts
+ * The shop's pending drafts (compressions kept for review), oldest first.
+ * Expired drafts are discarded on the way.
+ */
+export async function loader({ request }) {
+  try {
+    const { session } = await authenticate.admin(request);
+    return json({ type: 'drafts', drafts: await listDrafts(session.shop) });
+  } catch (err) {
+    console.error('[compression-drafts] Error', err);
+    return json({ type: 'error', error: err.message }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/compression-drafts
+ * Body: FormData { intent: 'publish' | 'discard', ids[] }
+ *
+ * `publish` replaces each draft's product image on Shopify with it;
+ * `discard` drops the drafts without publishing them.
+ */
+export async function action({ request }) {
+  try {
+    const auth = await authenticate.admin(request);
+    const { admin, session } = auth;
+    const form = await request.formData();
+    const intent = form.get('intent');
+    const ids = form.getAll('ids').filter(Boolean);
+
+    if (!ids.length) {
+      return json({ type: 'error', error: 'ids are required' }, { status: 400 });
+    }
+
+    if (intent === 'publish') {
+      const results = await publishDrafts({ shop: session.shop, admin, ids, actor: actorOf(auth) });
+      return json({ type: 'drafts-published', results });
+    }
+
+    if (intent === 'discard') {
+      const discarded = await discardDrafts(session.shop, ids);
+      return json({ type: 'drafts-discarded', ids: discarded });
+    }
+
+    return json({ type: 'error', error: `Unknown intent: ${intent}` }, { status: 400 });
+  } catch (err) {
+    console.error('[compression-drafts] Error', err);
+    return json({ type: 'error', error: err.message }, { status: 500 });
+  }
+}
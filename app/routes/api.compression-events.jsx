@@ -0,0 +1,95 @@
+import { json } from '@remix-run/node';
+import { authenticate } from '../shopify.server';
+import { getCompressionJob, resumeInterruptedJobs, subscribeToJob } from '../utils/compressionJobs.server';
+
+// Keeps proxies/tunnels from closing an idle stream between two slow images
+const HEARTBEAT_MS = 15000;
+
+const TERMINAL_STATUSES = ['completed', 'cancelled'];
+
+/**
+ * GET /api/compression-events?id=<jobId>
+ * Streams a job's progress as newline-delimited JSON. The first line is a
+ * `snapshot` of the job, followed by `item-start`, `item-retry` and
+ * `item-complete` events per image and a final `complete` event, after which
+ * the stream closes. Clients reconnect (and get a fresh snapshot) if the
+ * connection drops before `complete`.
+ */
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const jobId = new URL(request.url).searchParams.get('id');
+
+  if (!jobId) {
+    return json({ type: 'error', error: 'id is required' }, { status: 400 });
+  }
+
+  // Subscribe before reading the snapshot so no event falls in between; what
+  // arrives until the stream starts is held back and sent after the snapshot
+  let listener = null;
+  const pending = [];
+  const unsubscribe = subscribeToJob(jobId, event => (listener ? listener(event) : pending.push(event)));
+
+  let job;
+  try {
+    // A restart may have left the job half-done; resume it so the stream has something to follow
+    await resumeInterruptedJobs(session.shop);
+    job = await getCompressionJob(session.shop, jobId);
+  } catch (err) {
+    unsubscribe();
+    throw err;
+  }
+  if (!job) {
+    unsubscribe();
+    return json({ type: 'error', error: 'Job not found' }, { status: 404 });
+  }
+
+  const encoder = new TextEncoder();
+  let cleanup = unsubscribe;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      const send = event => {
+        if (!closed) controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+      };
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        cleanup();
+        controller.close();
+      };
+
+      const heartbeat = setInterval(() => send({ type: 'heartbeat' }), HEARTBEAT_MS);
+      cleanup = () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+      };
+
+      request.signal.addEventListener('abort', close);
+
+      send({ type: 'snapshot', job });
+      if (TERMINAL_STATUSES.includes(job.status)) {
+        send({ type: 'complete', job });
+        close();
+        return;
+      }
+
+      listener = event => {
+        send(event);
+        if (event.type === 'complete') close();
+      };
+      pending.splice(0).forEach(listener);
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'X-Accel-Buffering': 'no'
+    }
+  });
+}
@@ -0,0 +1,76 @@
+import { json } from '@remix-run/node';
+import { authenticate } from '../shopify.server';
+import {
+  getCompressionJob,
+  findActiveCompressionJob,
+  resumeInterruptedJobs,
+  retryFailedItems,
+  cancelCompressionJob,
+} from '../utils/compressionJobs.server';
+
+/**
+ * GET /api/compression-jobs?id=<jobId>
+ * Returns the job's status and per-image results. Without an id, returns the
+ * shop's most recent active job (or null).
+ */
+export async function loader({ request }) {
+  try {
+    const { session } = await authenticate.admin(request);
+    const shop = session.shop;
+    const jobId = new URL(request.url).searchParams.get('id');
+
+    // A restart may have left jobs half-done; polling is a good moment to resume them
+    await resumeInterruptedJobs(shop);
+
+    const job = jobId
+      ? await getCompressionJob(shop, jobId)
+      : await findActiveCompressionJob(shop);
+
+    if (jobId && !job) {
+      return json({ type: 'error', error: 'Job not found' }, { status: 404 });
+    }
+
+    return json({ type: 'job', job });
+  } catch (err) {
+    console.error('[compression-jobs] Error', err);
+    return json({ type: 'error', error: err.message }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/compression-jobs
+ * Body: FormData { id, intent: 'retry' | 'cancel' }
+ */
+export async function action({ request }) {
+  try {
+    const { session } = await authenticate.admin(request);
+    const form = await request.formData();
+    const jobId = form.get('id');
+    const intent = form.get('intent');
+
+    if (!jobId) {
+      return json({ type: 'error', error: 'id is required' }, { status: 400 });
+    }
+
+    let job;
+    if (intent === 'retry') {
+      job = await retryFailedItems(session.shop, jobId);
+    } else if (intent === 'cancel') {
+      job = await cancelCompressionJob(session.shop, jobId);
+    } else {
+      return json({ type: 'error', error: `Unknown intent: ${intent}` }, { status: 400 });
+    }
+
+    if (!job) {
+      return json({ type: 'error', error: 'Job not found' }, { status: 404 });
+    }
+    if (job === 'active') {
+      return json({ type: 'error', error: 'The job is still running; retry once it has finished' }, { status: 409 });
+    }
+
+    return json({ type: 'job', job });
+  } catch (err) {
+    console.error('[compression-jobs] Error', err);
+    return json({ type: 'error', error: err.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,34 @@
+import { json } from '@remix-run/node';
+import { authenticate } from '../shopify.server';
+import { compareImageVariant } from '../utils/imageVariants.server';
+
+/**
+ * GET /api/image-comparison?url=<image url>&imageId=<media id>&id=<variant id>
+ * The stored original of an image next to a compressed variant (the current
+ * one without `id`): dimensions, format, bytes, SSIM and a difference heatmap.
+ * Publishing or discarding the variant goes through /api/image-variants.
+ */
+export async function loader({ request }) {
+  try {
+    const { session } = await authenticate.admin(request);
+    const params = new URL(request.url).searchParams;
+    const url = params.get('url');
+    if (!url) {
+      return json({ type: 'error', error: 'url is required' }, { status: 400 });
+    }
+
+    const comparison = await compareImageVariant(
+      session.shop,
+      url,
+      params.get('imageId') || null,
+      params.get('id') || null
+    );
+    if (!comparison) {
+      return json({ type: 'error', error: 'No stored original and variant to compare' }, { status: 404 });
+    }
+    return json({ type: 'comparison', url, ...comparison });
+  } catch (err) {
+    console.error('[image-comparison] Error', err);
+    return json({ type: 'error', error: err.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,85 @@
+import { json } from '@remix-run/node';
+import { authenticate } from '../shopify.server';
+import { listImageVariants, selectImageVariant, deleteImageVariant } from '../utils/imageVariants.server';
+import { actorOf } from '../utils/imageVersions.server';
+
+/**
+ * GET /api/image-variants?url=<image url>&imageId=<media id>
+ * Lists the compressed variants of an image, newest first. `url` may be the
+ * source URL or the URL of any of its variants.
+ */
+export async function loader({ request }) {
+  try {
+    const { session } = await authenticate.admin(request);
+    const params = new URL(request.url).searchParams;
+    const url = params.get('url');
+    if (!url) {
+      return json({ type: 'error', error: 'url is required' }, { status: 400 });
+    }
+
+    const { sourceUrl, variants } = await listImageVariants(session.shop, url, params.get('imageId') || null);
+    return json({ type: 'variants', url, sourceUrl, variants });
+  } catch (err) {
+    console.error('[image-variants] Error', err);
+    return json({ type: 'error', error: err.message }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/image-variants
+ * Body: FormData { intent: 'select' | 'delete', url, id, productId?, imageId? }
+ *
+ * `select` publishes the variant on Shopify in place of the product image;
+ * `delete` removes a variant that isn't published.
+ */
+export async function action({ request }) {
+  try {
+    const auth = await authenticate.admin(request);
+    const { admin, session } = auth;
+    const form = await request.formData();
+    const intent = form.get('intent');
+    const url = form.get('url');
+    const variantId = form.get('id');
+    const productId = form.get('productId');
+    const imageId = form.get('imageId') || null;
+
+    if (!url || !variantId) {
+      return json({ type: 'error', error: 'url and id are required' }, { status: 400 });
+    }
+
+    if (intent === 'select') {
+      if (!productId) {
+        return json({ type: 'error', error: 'productId is required to publish a variant' }, { status: 400 });
+      }
+      const selected = await selectImageVariant({
+        shop: session.shop,
+        admin,
+        url,
+        variantId,
+        productId,
+        imageId,
+        actor: actorOf(auth)
+      });
+      if (!selected) {
+        return json({ type: 'error', error: 'Variant not found' }, { status: 404 });
+      }
+      return json({ type: 'variant-selected', url, ...selected });
+    }
+
+    if (intent === 'delete') {
+      const outcome = await deleteImageVariant({ shop: session.shop, url, variantId, imageId });
+      if (!outcome) {
+        return json({ type: 'error', error: 'Variant not found' }, { status: 404 });
+      }
+      if (outcome === 'published') {
+        return json({ type: 'error', error: 'The published variant cannot be deleted' }, { status: 409 });
+      }
+      return json({ type: 'variant-deleted', url, id: variantId });
+    }
+
+    return json({ type: 'error', error: `Unknown intent: ${intent}` }, { status: 400 });
+  } catch (err) {
+    console.error('[image-variants] Error', err);
+    return json({ type: 'error', error: err.message }, { status: 500 });
+  }
+}
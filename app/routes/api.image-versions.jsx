@@ -0,0 +1,65 @@
+import { json } from '@remix-run/node';
+import { authenticate } from '../shopify.server';
+import { listImageVersions, actorOf } from '../utils/imageVersions.server';
+import { restoreImageVersion } from '../utils/imageVariants.server';
+
+/**
+ * GET /api/image-versions?url=<image url>&imageId=<media id>
+ * The history of an image, newest first: its original, each compression,
+ * publish, revert and restore, with who made it and the settings used.
+ */
+export async function loader({ request }) {
+  try {
+    const { session } = await authenticate.admin(request);
+    const params = new URL(request.url).searchParams;
+    const url = params.get('url');
+    if (!url) {
+      return json({ type: 'error', error: 'url is required' }, { status: 400 });
+    }
+
+    const { sourceUrl, versions } = await listImageVersions(session.shop, url, params.get('imageId') || null);
+    return json({ type: 'versions', url, sourceUrl, versions });
+  } catch (err) {
+    console.error('[image-versions] Error', err);
+    return json({ type: 'error', error: err.message }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/image-versions
+ * Body: FormData { id, productId, imageId? }
+ *
+ * Restores version `id` on Shopify in place of the product image `imageId`.
+ */
+export async function action({ request }) {
+  try {
+    const auth = await authenticate.admin(request);
+    const { admin, session } = auth;
+    const form = await request.formData();
+    const versionId = form.get('id');
+    const productId = form.get('productId');
+
+    if (!versionId || !productId) {
+      return json({ type: 'error', error: 'id and productId are required' }, { status: 400 });
+    }
+
+    const outcome = await restoreImageVersion({
+      shop: session.shop,
+      admin,
+      versionId,
+      productId,
+      imageId: form.get('imageId') || null,
+      actor: actorOf(auth)
+    });
+    if (!outcome) {
+      return json({ type: 'error', error: 'Version not found' }, { status: 404 });
+    }
+    if (outcome.restored === 'gone') {
+      return json({ type: 'error', error: 'The file of this version is no longer stored' }, { status: 410 });
+    }
+    return json({ type: 'version-restored', versionId, ...outcome });
+  } catch (err) {
+    console.error('[image-versions] Error', err);
+    return json({ type: 'error', error: err.message }, { status: 500 });
+  }
+}
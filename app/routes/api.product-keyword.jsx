@@ -0,0 +1,24 @@
+import { json } from '@remix-run/node';
+import { authenticate } from '../shopify.server';
+import { setProductKeyword } from '../utils/productKeywords.server';
+
+/**
+ * POST /api/product-keyword
+ * Body: FormData { productId, keyword }  – an empty keyword removes it
+ */
+export async function action({ request }) {
+  if (request.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, { status: 405 });
+  }
+
+  const { session } = await authenticate.admin(request);
+  const form = await request.formData();
+  const productId = form.get('productId');
+
+  if (!productId) {
+    return json({ error: 'productId is required' }, { status: 400 });
+  }
+
+  const keyword = await setProductKeyword(session.shop, productId, form.get('keyword'));
+  return json({ type: 'keyword-saved', productId, keyword });
+}
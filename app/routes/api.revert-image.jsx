@@ -1,6 +1,8 @@
 import { json } from '@remix-run/node';
 import { authenticate } from '../shopify.server';
-import { findOriginalImage } from '../utils/firebaseStorage.server';
+import { findOriginalImage, ORIGINALS_COLLECTION } from '../utils/firebaseStorage.server';
+import { publishOriginalImage } from '../utils/compressionPipeline.server';
+import { resolveSourceUrl, recordImageVersion, actorOf } from '../utils/imageVersions.server';
 
 /**
  * POST /api/revert-image
@@ -8,8 +10,9 @@ import { findOriginalImage } from '../utils/firebaseStorage.server';
  *
  * Finds the stored ORIGINAL image for the supplied `url` (or the current
  * compressed image url – we always key by the original URL) and, if Shopify
- * identifiers are provided, replaces the compressed product image with the
- * original.
+ * identifiers are provided, replaces the compressed product media with the
+ * original. The revert is added to the image's history; any other version
+ * can be restored from /api/image-versions.
  */
 export async function action({ request }) {
   try {
@@ -18,55 +21,45 @@ export async function action({ request }) {
       return json({ error: 'Method not allowed' }, { status: 405 });
     }
 
-    // admin / session – required only if we need to push to Shopify
-    const { session } = await authenticate.admin(request);
-    const shop        = session?.shop;
-    const accessToken = session?.accessToken;
+    // admin – required only if we need to push to Shopify
+    const auth = await authenticate.admin(request);
+    const { admin, session } = auth;
 
     const form = await request.formData();
     const originalUrl = form.get('url');
     const productId   = form.get('productId'); // Shopify product numeric id
-    const oldImageId  = form.get('imageId');   // existing compressed image id
+    const oldImageId  = form.get('imageId');   // media id of the compressed image
 
     if (!originalUrl) {
       return json({ error: 'url is required' }, { status: 400 });
     }
 
-    const original = await findOriginalImage(originalUrl);
+    const sourceUrl = await resolveSourceUrl(session.shop, originalUrl, oldImageId || null);
+    const original = await findOriginalImage(session.shop, sourceUrl);
     if (!original) {
       return json({ error: 'Original image not found' }, { status: 404 });
     }
 
     let shopifyResult = null;
 
-    if (productId && accessToken && shop) {
+    if (productId) {
       try {
-        // 1. upload original url to product images
-        const createRes = await fetch(`https://${shop}/admin/api/2025-01/products/${productId}/images.json`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-Shopify-Access-Token': accessToken,
-            'Accept': 'application/json'
-          },
-          body: JSON.stringify({ image: { src: original.storedUrl } })
+        shopifyResult = await publishOriginalImage({
+          shop: session.shop,
+          admin,
+          original,
+          productId,
+          imageId: oldImageId || null
+        });
+        await recordImageVersion({
+          shop: session.shop,
+          sourceUrl: original.originalUrl,
+          kind: 'revert',
+          collection: ORIGINALS_COLLECTION,
+          record: original,
+          shopify: shopifyResult,
+          actor: actorOf(auth)
         });
-        const createJson = await createRes.json();
-        if (!createRes.ok) throw new Error(JSON.stringify(createJson));
-        const newImageId = createJson.image?.id;
-
-        // 2. delete the compressed (old) image if provided
-        if (oldImageId) {
-          await fetch(`https://${shop}/admin/api/2025-01/products/${productId}/images/${oldImageId}.json`, {
-            method: 'DELETE',
-            headers: {
-              'X-Shopify-Access-Token': accessToken,
-              'Accept': 'application/json'
-            }
-          });
-        }
-
-        shopifyResult = { replaced: true, newImageId, oldImageId };
       } catch (err) {
         console.error('[revert-image] Shopify revert error', err);
         shopifyResult = { replaced: false, error: err.message };
@@ -4,12 +4,16 @@ import { AppProvider } from "@shopify/shopify-app-remix/react";
 import { NavMenu } from "@shopify/app-bridge-react";
 import polarisStyles from "@shopify/polaris/build/esm/styles.css?url";
 import { authenticate } from "../shopify.server";
+import { runDuePurges } from "../utils/shopDataPurge.server";
 
 export const links = () => [{ rel: "stylesheet", href: polarisStyles }];
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
 
+  // No scheduler: purge uninstalled shops whose grace period ended in the background
+  runDuePurges().catch(error => console.error("[Purge] runDuePurges failed", error));
+
   return { apiKey: process.env.SHOPIFY_API_KEY || "" };
 };
 
@@ -24,6 +28,7 @@ export default function App() {
         </Link>
         <Link to="/app/additional">Additional page</Link>
         <Link to="/app/seo-audits">SEO Audits</Link>
+        <Link to="/app/settings">Settings</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
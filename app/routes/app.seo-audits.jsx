@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   Page,
   Card,
@@ -14,64 +14,133 @@ import {
   Toast,
   Divider,
   Box,
+  Banner,
+  Checkbox,
+  Modal,
+  BlockStack,
+  InlineStack,
 } from '@shopify/polaris';
 import { json } from '@remix-run/node';
 import { useLoaderData, useNavigate, useFetcher, useLocation } from '@remix-run/react';
 import { authenticate } from '../shopify.server';
-import { findStoredImage } from '../utils/firebaseStorage.server';
+import { findStoredImage, canonical } from '../utils/firebaseStorage.server';
+import { fetchProductImagesPage, countProducts } from '../utils/productCatalog.server';
+import { getAltTextUsage } from '../utils/altTextIndex.server';
+import { findActiveCompressionJob, resumeInterruptedJobs } from '../utils/compressionJobs.server';
+import {
+  ALT_ISSUE_LABELS,
+  ALT_TEXT_PLACEHOLDERS,
+  altTextIssues,
+  normalizeAlt,
+  renderAltTemplate,
+} from '../utils/altText';
+import { auditProduct, scoreTone } from '../utils/seoAudit';
+import { suggestFocusKeywords } from '../utils/focusKeyword';
+import { getProductKeywords } from '../utils/productKeywords.server';
+import { listPresets } from '../utils/compressionPresets.server';
+import { getTinifyQuota } from '../utils/tinifyQuota.server';
+import { listDrafts } from '../utils/compressionDrafts.server';
+import { DRAFT_TTL_HOURS } from '../utils/compressionPipeline.server';
 
 /* ───────── loader ───────── */
 
 export async function loader({ request }) {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   const url   = new URL(request.url);
-  const page  = Number(url.searchParams.get('page')  || 1);
   const limit = Number(url.searchParams.get('limit') || 8);
   const searchStr = (url.searchParams.get('search') || '').toLowerCase();
+  // Only this page is read from Shopify, from the cursor of the page before
+  // or after it (kept in the URL); without a cursor it is the first page
+  const after  = url.searchParams.get('after')  || null;
+  const before = url.searchParams.get('before') || null;
+  const page  = after || before ? Math.max(1, Number(url.searchParams.get('page') || 1)) : 1;
 
-  const gql = `{
-    products(first: 50) {
-      edges {
-        node {
-          id
-          title
-          images(first: 1) { edges { node { id url altText } } }
-        }
-      }
-    }
-  }`;
+  const [{ products: pageProducts, pageInfo }, productCount] = await Promise.all([
+    fetchProductImagesPage(admin, { limit, after, before, search: searchStr }),
+    countProducts(admin, searchStr).catch(e => {
+      console.error('[loader] product count error', e);
+      return null;
+    }),
+  ]);
+  // Paginated by product so a product's gallery is never split across pages
+  const totalPages = productCount ? Math.max(1, Math.ceil(productCount.count / limit)) : null;
 
-  const data = await (await admin.graphql(gql)).json();
+  // How often each alt text on this page is used across the whole catalog,
+  // so duplicates are flagged even when the twin is on another page. The
+  // counts come from a stored index; until it is built only this page counts.
+  const pageAltCounts = {};
+  pageProducts.forEach(product => product.images.forEach(img => {
+    const key = normalizeAlt(img.alt);
+    if (key) pageAltCounts[key] = (pageAltCounts[key] || 0) + 1;
+  }));
+  let catalogAltCounts = {};
+  let altIndexReady = false;
+  try {
+    const usage = await getAltTextUsage(session.shop, Object.keys(pageAltCounts));
+    catalogAltCounts = usage.counts;
+    altIndexReady = !!usage.builtAt;
+  } catch (e) {
+    console.error('[loader] alt text usage lookup error', e);
+  }
+  const altUsage = {};
+  Object.entries(pageAltCounts).forEach(([key, count]) => {
+    altUsage[key] = Math.max(count, catalogAltCounts[key] || 0);
+  });
 
-  let products = await Promise.all(
-    data.data.products.edges.map(async ({ node }) => {
-      const img = node.images.edges[0]?.node;
-      const alreadyCompressed = img?.url.includes('/files/compressed_');
-      return {
-        title: node.title,
-        imageUrl: img?.url || '',
-        productId: node.id.split('/').pop(),
-        imageId: img?.id?.split('/').pop() || null,
-        alt: img?.altText || '',
-        keyword: null,
-        issues: 8,
-
-        isCompressed: alreadyCompressed,
-        compressedUrl: alreadyCompressed ? img.url : null,
-      };
-    }) // ← this closing parenthesis was missing
-  );
+  let keywords = {};
+  try {
+    keywords = await getProductKeywords(session.shop, pageProducts.map(p => p.productId));
+  } catch (e) {
+    console.error('[loader] focus keyword lookup error', e);
+  }
+
+  // One row per image, carrying its product so the table can group them
+  let pageItems = pageProducts.flatMap(product => product.images.map(img => {
+    // Older replacements were uploaded as compressed_<name>; newer ones carry
+    // an SEO filename and are recognised through their stored record below
+    const alreadyCompressed = img.url.includes('/files/compressed_');
+    return {
+      title: product.title,
+      productId: product.productId,
+      productHandle: product.handle,
+      vendor: product.vendor,
+      productType: product.productType,
+      variants: img.variants,
+      imageUrl: img.url,
+      // Shopify's URL, audited for filename and format even when the
+      // stored compressed copy is shown
+      shopifyUrl: img.url,
+      imageId: img.imageId,
+      mediaId: img.mediaId,
+      position: img.position,
+      alt: img.alt || '',
+      width: img.width,
+      height: img.height,
+      mimeType: img.mimeType,
+      fileSize: img.fileSize,
+
+      isCompressed: alreadyCompressed,
+      compressedUrl: alreadyCompressed ? img.url : null,
+    };
+  }));
+
+  // Compressions waiting for review (expired ones are dropped on the way)
+  let drafts = [];
+  try {
+    drafts = await listDrafts(session.shop);
+  } catch (e) {
+    console.error('[loader] compression draft lookup error', e);
+  }
+  const draftFor = (p, sourceUrl) => drafts.find(d => (p.imageId && d.imageId === p.imageId) || d.sourceUrl === canonical(sourceUrl)) || null;
 
   // Attach persisted compression info
-  products = await Promise.all(products.map(async p => {
+  pageItems = await Promise.all(pageItems.map(async p => {
     try {
-      const stored = await findStoredImage(p.imageUrl, p.imageId)
-      console.log('FIRESTORE STORED FOR', p.imageUrl, '→', stored);
-      if (stored) {                       // log only cache hits
+      const stored = await findStoredImage(session.shop, p.imageUrl, p.imageId)
+      // a draft isn't on Shopify yet, the row still shows the current image
+      if (stored && !stored.draft) {      // log only cache hits
         console.log('[CACHE-HIT]', p.imageUrl, '→', stored.id);
-     }
-      if (stored) {
         const originalSize = stored.originalSize || stored.size || null;
         const currentSize  = stored.compressedSize || stored.size || null;
         const savingsPct   = (originalSize && currentSize) ? ((1 - currentSize / originalSize) * 100).toFixed(1) : null;
@@ -83,6 +152,9 @@ export async function loader({ request }) {
           isCompressed: true,
           imageUrl: stored.compressedUrl || stored.url,
           compressedUrl: stored.compressedUrl || stored.url,
+          frames: stored.frames ?? null,
+          fallbackReason: stored._compressionMetadata?.fallbackReason ?? null,
+          pendingDraft: draftFor(p, stored.originalUrl),
         };
       }
     } catch (e) {
@@ -95,21 +167,259 @@ export async function loader({ request }) {
       savingsPct: p.savingsPct ?? null,
       isCompressed: p.isCompressed ?? false,
       compressedUrl: p.compressedUrl ?? null,
+      pendingDraft: draftFor(p, p.imageUrl),
     };
   }));
 
-  if (searchStr) {
-    products = products.filter(p => p.title.toLowerCase().includes(searchStr));
+  // Pick up a bulk compression that is still running so its progress survives a reload
+  let activeJob = null;
+  try {
+    await resumeInterruptedJobs(session.shop);
+    activeJob = await findActiveCompressionJob(session.shop);
+  } catch (e) {
+    console.error('[loader] compression job lookup error', e);
+  }
+
+  let presets = [];
+  try {
+    presets = (await listPresets(session.shop)).map(({ id, name, isDefault }) => ({ id, name, isDefault }));
+  } catch (e) {
+    console.error('[loader] compression preset lookup error', e);
+  }
+
+  let tinifyQuota = null;
+  if (process.env.TINIFY_API_KEY) {
+    try {
+      tinifyQuota = await getTinifyQuota(session.shop);
+    } catch (e) {
+      console.error('[loader] Tinify quota lookup error', e);
+    }
   }
 
-  const totalPages = Math.ceil(products.length / limit);
-  const pageItems  = products.slice((page - 1) * limit, page * limit);
+  const products = pageProducts.map(p => ({
+    productId: p.productId,
+    title: p.title,
+    imageCount: p.images.length,
+    keyword: keywords[p.productId] ?? null,
+    keywordSuggestions: suggestFocusKeywords(p),
+  }));
 
-  return json({ pageItems, page, totalPages, search: searchStr, itemsPerPage: limit });
+  return json({
+    products, pageItems, altUsage, altIndexReady, presets, page, totalPages,
+    totalExact: productCount?.exact ?? true, pageInfo, search: searchStr, itemsPerPage: limit,
+    activeJob, tinifyQuota, draftTtlHours: DRAFT_TTL_HOURS,
+  });
 }
 
 /* ───────── helpers ───────── */
 
+// wait before reconnecting a dropped progress stream
+const STREAM_RETRY_MS = 2000;
+
+// keep ?shop= on API calls so authenticate.admin can resolve the session
+function withShop(path) {
+  const shopParam = new URLSearchParams(window.location.search).get('shop');
+  if (!shopParam) return path;
+  return `${path}${path.includes('?') ? '&' : '?'}shop=${encodeURIComponent(shopParam)}`;
+}
+
+/**
+ * Reads the NDJSON progress stream of a compression job and hands every event
+ * to `onEvent`. Reconnects after a dropped connection until the `complete`
+ * event arrives or `signal` is aborted.
+ */
+async function streamJobEvents(url, signal, onEvent) {
+  while (!signal.aborted) {
+    try {
+      // App Bridge adds the session token to same-origin fetch calls
+      const res = await fetch(url, { signal, headers: { Accept: 'application/x-ndjson' } });
+      if (res.status === 404) return;
+      if (!res.ok || !res.body) throw new Error(`Progress stream failed: ${res.status}`);
+
+      const reader  = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffered  = '';
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          const event = JSON.parse(line);
+          onEvent(event);
+          if (event.type === 'complete') return;
+        }
+      }
+    } catch (err) {
+      if (signal.aborted) return;
+      console.warn('Progress stream interrupted, reconnecting…', err);
+    }
+    await new Promise(resolve => setTimeout(resolve, STREAM_RETRY_MS));
+  }
+}
+
+/* successful per-image results carried by a job event */
+function resultsFromEvent(event) {
+  if (event.job) return event.job.results.filter(r => r.success);
+  if (event.type === 'item-complete' && event.result?.success) return [event.result];
+  return [];
+}
+
+/* panel state after a job event */
+function reduceJobEvent(prev, event) {
+  if (event.jobId !== prev.jobId) return prev;
+
+  switch (event.type) {
+    case 'item-start':
+    case 'item-retry':
+      return {
+        ...prev,
+        currentUrl: event.url,
+        loadingByUrl: { ...prev.loadingByUrl, [event.url]: true },
+      };
+    case 'item-complete': {
+      const { [event.url]: _done, ...loadingByUrl } = prev.loadingByUrl;
+      return {
+        ...prev,
+        progress:  event.progress,
+        completed: event.completed + event.failed,
+        total:     event.total,
+        failed:    event.failed,
+        results:   event.result?.success ? [...prev.results, event.result] : prev.results,
+        loadingByUrl,
+      };
+    }
+    case 'snapshot':
+    case 'complete': {
+      const { job } = event;
+      const finished = job.status === 'completed' || job.status === 'cancelled';
+      const ok = job.results.filter(r => r.success);
+      return {
+        ...prev,
+        running:    !finished,
+        progress:   job.progress,
+        completed:  job.completed + job.failed,
+        total:      job.total,
+        failed:     job.failed,
+        currentUrl: job.currentUrl || '',
+        results:    ok,
+        ...(finished && prev.running ? {
+          toastMsg: job.status === 'cancelled'
+            ? `Compression cancelled after ${ok.length} image${ok.length !== 1 ? 's' : ''}`
+            : `Compressed ${ok.length} image${ok.length !== 1 ? 's' : ''} · saved ${job.totalSavings.toFixed(1)}%${job.draft ? ' · ready for review' : ''}`,
+          toastTone: job.totalErrors || job.status === 'cancelled' ? 'warning' : 'success',
+          showToast: true,
+          loadingByUrl: {},
+        } : {}),
+      };
+    }
+    default:
+      return prev;
+  }
+}
+
+/* Tinify quota running low or used up */
+function TinifyQuotaBanner({ quota }) {
+  const limits = [
+    quota.shopLimit ? `${quota.used} of this shop's ${quota.shopLimit}` : null,
+    quota.accountLimit ? `${quota.accountUsed} of the account's ${quota.accountLimit}` : null,
+  ].filter(Boolean).join(', ');
+  return (
+    <Box paddingBlockEnd="4">
+      <Banner
+        tone={quota.exhausted ? 'critical' : 'warning'}
+        title={quota.exhausted ? 'Tinify quota used up for this month' : 'Tinify quota running low'}
+      >
+        <p>
+          {limits ? `Tinify compressions used in ${quota.month}: ${limits}. ` : ''}
+          {quota.exhausted
+            ? 'Images are compressed with Sharp until the quota resets next month.'
+            : 'Once the quota is used up, images are compressed with Sharp until it resets next month.'}
+        </p>
+      </Banner>
+    </Box>
+  );
+}
+
+/* pending draft of a row, from a compression result or a listed draft */
+const draftFromResult = r => ({
+  id:           r.draft.id,
+  url:          r.compressedUrl,
+  size:         r.compressedSize,
+  originalSize: r.originalSize,
+  savings:      r.savings,
+  frames:       r.frames ?? null,
+  fallbackReason: r.fallbackReason ?? null,
+  expiresAt:    r.draft.expiresAt,
+});
+
+/* drafts awaiting review, published or discarded in one go */
+function DraftReviewBanner({ count, selected, ttlHours, busy, onSelectAll, onPublish, onDiscard }) {
+  return (
+    <Box paddingBlockEnd="4">
+      <Banner
+        tone="info"
+        title={`${count} compressed image${count !== 1 ? 's' : ''} awaiting review`}
+        action={{ content: `Publish selected (${selected.length})`, onAction: onPublish, disabled: !selected.length || busy, loading: busy }}
+        secondaryAction={{ content: `Discard selected (${selected.length})`, onAction: onDiscard }}
+      >
+        <InlineStack gap="200" blockAlign="center">
+          <Text variant="bodySm">
+            {`Drafts aren't on Shopify yet; review them, then publish the ones to keep. Unreviewed drafts are discarded after ${ttlHours} hours.`}
+          </Text>
+          {selected.length < count && <Button variant="plain" onClick={onSelectAll}>Select all</Button>}
+        </InlineStack>
+      </Banner>
+    </Box>
+  );
+}
+
+/* rows without the given drafts, once published elsewhere or discarded */
+const clearDraftRows = (rows, ids) => rows.map(row => (ids.includes(row.pendingDraft?.id) ? { ...row, pendingDraft: null } : row));
+
+/* swap compressed results into their table rows; drafts wait next to the current image */
+function applyResultsToRows(rows, results) {
+  if (!results.length) return rows;
+  return rows.map(row => {
+    const r = results.find(x => x.url === row.originalUrl);
+    if (!r) return row;
+    if (r.draft) {
+      return row.pendingDraft?.id === r.draft.id ? row : { ...row, pendingDraft: draftFromResult(r) };
+    }
+    if (row.compressedUrl === r.compressedUrl) return row;
+    const pct = r.originalSize
+      ? ((1 - r.compressedSize / r.originalSize) * 100).toFixed(1)
+      : null;
+    return {
+      ...row,
+      imageUrl:      r.compressedUrl,  // show the new compressed URL
+      compressedUrl: r.compressedUrl,
+      originalSize:  r.originalSize,
+      currentSize:   r.compressedSize,
+      savingsPct:    pct,
+      isCompressed:  true,
+      frames:        r.frames ?? null,
+      fallbackReason: r.fallbackReason ?? null,
+      // replacement creates new media on Shopify
+      imageId:       r.shopify?.replaced ? r.shopify.newImageId : row.imageId,
+      ...(r.shopify?.replaced ? { shopifyUrl: r.shopify.newImageUrl, mimeType: null } : {}),
+    };
+  });
+}
+
+/* ───────── alt text editor ───────── */
+
+const DEFAULT_ALT_TEMPLATE = '{product_title} - {vendor} - {variant}';
+// saved batches kept for undo
+const MAX_ALT_HISTORY = 20;
+
+// media ids change when an image is replaced, the gid from the loader doesn't
+const altKey = row => row.mediaId || row.originalUrl;
+
+const keywordsOf = products => Object.fromEntries(products.map(p => [p.productId, p.keyword]));
+
 function formatFileSize(bytes) {
   if (!bytes) return '0 B';
   const idx = Math.floor(Math.log(bytes) / Math.log(1024));
@@ -120,20 +430,29 @@ function formatFileSize(bytes) {
 /* ───────── main component ───────── */
 
 export default function SeoAuditsRoute() {
-  const { pageItems, page, totalPages, search, itemsPerPage } = useLoaderData();
+  const {
+    products, pageItems, altUsage, altIndexReady, presets, page, totalPages, totalExact, pageInfo,
+    search, itemsPerPage, activeJob, tinifyQuota, draftTtlHours,
+  } = useLoaderData();
 
   const navigate = useNavigate();
   const fetcher  = useFetcher();
+  const jobFetcher = useFetcher();
+  const altFetcher = useFetcher();
+  const keywordFetcher = useFetcher();
+  const draftFetcher = useFetcher();
   const location = useLocation();
 
   /* helpers */
-  const navTo = (newPage, newLimit, newSearch) => {
+  // `cursor` is { after } or { before }; without one the first page loads
+  const navTo = (newPage, newLimit, newSearch, cursor = {}) => {
     const current = new URLSearchParams(window.location.search);
     const shopParam = current.get('shop') || undefined;
     const qp = new URLSearchParams({
       page: String(newPage),
       limit: newLimit,
       search: newSearch,
+      ...cursor,
     });
     if (shopParam) qp.set('shop', shopParam);
     navigate(`?${qp.toString()}`);
@@ -159,6 +478,7 @@ export default function SeoAuditsRoute() {
       savingsPct:    p.savingsPct    ?? null,
       isCompressed:  p.isCompressed  ?? false,
       compressedUrl: p.compressedUrl ?? null,
+      loadedAlt:     p.alt,
     }))
   );
 
@@ -173,42 +493,232 @@ export default function SeoAuditsRoute() {
         savingsPct:    p.savingsPct    ?? null,
         isCompressed:  p.isCompressed  ?? false,
         compressedUrl: p.compressedUrl ?? null,
+        loadedAlt:     p.alt,
       }))
     );
   }, [location.search, pageItems]);
 
   const [comp, setComp] = useState({
-    running: false,
-    progress: 0,
-    completed: 0,
-    total: 0,
-    currentUrl: '',
-    results: [],
-    showPanel: false,
+    jobId: activeJob?.id ?? null,
+    running: !!activeJob,
+    progress: activeJob?.progress ?? 0,
+    completed: activeJob ? activeJob.completed + activeJob.failed : 0,
+    total: activeJob?.total ?? 0,
+    failed: activeJob?.failed ?? 0,
+    currentUrl: activeJob?.currentUrl ?? '',
+    results: activeJob?.results ?? [],
+    showPanel: !!activeJob,
     showToast: false,
     toastMsg: '',
     toastTone: 'success',
     loadingByUrl: {},
   });
 
+  /* alt text: unsaved edits per image, template, undo history */
+  const [altDrafts,   setAltDrafts]   = useState({});
+  const [altTemplate, setAltTemplate] = useState(DEFAULT_ALT_TEMPLATE);
+  const [altHistory,  setAltHistory]  = useState([]);
+  const pendingAlt = useRef(null);
+
+  useEffect(() => {
+    setAltDrafts({});
+  }, [location.search]);
+
+  const altValue = row => altDrafts[altKey(row)] ?? row.alt;
+
+  // catalog-wide usage of each alt text, adjusted for edits on this page
+  const altUsageCount = useMemo(() => {
+    const counts = { ...altUsage };
+    rows.forEach(row => {
+      const loaded = normalizeAlt(row.loadedAlt);
+      if (loaded) counts[loaded] -= 1;
+      const current = normalizeAlt(altDrafts[altKey(row)] ?? row.alt);
+      if (current) counts[current] = (counts[current] || 0) + 1;
+    });
+    return counts;
+  }, [rows, altDrafts, altUsage]);
+
+  const altIssuesFor = row => altTextIssues(altValue(row), {
+    usageCount: altUsageCount[normalizeAlt(altValue(row))] || 0,
+  });
+
+  const dirtyAltRows = rows.filter(row => {
+    const draft = altDrafts[altKey(row)];
+    return draft !== undefined && draft.trim() !== row.alt;
+  });
+  const altIssueCount = rows.filter(row => altIssuesFor(row).length).length;
+
+  /* focus keyword per product */
+  const [keywords, setKeywords] = useState(() => keywordsOf(products));
+
+  useEffect(() => {
+    setKeywords(keywordsOf(products));
+  }, [products]);
+
+  useEffect(() => {
+    const data = keywordFetcher.data;
+    if (data?.type !== 'keyword-saved') return;
+    setKeywords(prev => ({ ...prev, [data.productId]: data.keyword }));
+  }, [keywordFetcher.data]);
+
+  function saveKeyword(productId, keyword) {
+    const form = new FormData();
+    form.append('productId', productId);
+    form.append('keyword', keyword);
+    keywordFetcher.submit(form, { method: 'POST', action: withShop('/api/product-keyword') });
+  }
+
+  /* image whose compressed variants are shown */
+  const [variantsFor, setVariantsFor] = useState(null);
+  /* image (and variant) shown in the before/after comparison */
+  const [compareFor, setCompareFor] = useState(null);
+  /* image whose version history is shown */
+  const [historyFor, setHistoryFor] = useState(null);
+  /* drafts ticked for publishing or discarding */
+  const [selectedDrafts, setSelectedDrafts] = useState([]);
+  const draftRows = rows.filter(row => row.pendingDraft);
+
+  useEffect(() => {
+    setSelectedDrafts([]);
+  }, [location.search]);
+
+  /* SEO audit per product, following unsaved alt text */
+  const [expandedAudits, setExpandedAudits] = useState({});
+  const audits = useMemo(() => Object.fromEntries(products.map(product => {
+    const images = rows.filter(r => r.productId === product.productId);
+    return [product.productId, auditProduct(
+      images.map(row => ({
+        imageUrl: row.shopifyUrl,
+        alt:      altDrafts[altKey(row)] ?? row.alt,
+        fileSize: row.currentSize ?? row.fileSize,
+        width:    row.width,
+        height:   row.height,
+        mimeType: row.mimeType,
+        position: row.position,
+      })),
+      {
+        keyword: keywords[product.productId] ?? null,
+        altUsageCount: alt => altUsageCount[normalizeAlt(alt)] || 0,
+      },
+    )];
+  })), [products, rows, altDrafts, altUsageCount, keywords]);
+  const altSaving = altFetcher.state !== 'idle';
+
+  function applyAltTemplate(onlyMissing) {
+    setAltDrafts(prev => {
+      const next = { ...prev };
+      rows.forEach(row => {
+        if (onlyMissing && (prev[altKey(row)] ?? row.alt).trim()) return;
+        next[altKey(row)] = renderAltTemplate(altTemplate, row);
+      });
+      return next;
+    });
+  }
+
+  function submitAltChanges(changes, intent, historyId) {
+    pendingAlt.current = { intent, historyId, changes };
+    const form = new FormData();
+    form.append('intent', intent);
+    form.append('historyId', historyId);
+    form.append('changes', JSON.stringify(
+      changes.map(({ productId, imageId, before, after }) => ({ productId, imageId, alt: after, previousAlt: before }))
+    ));
+    altFetcher.submit(form, { method: 'POST', action: withShop('/api/alt-text') });
+  }
+
+  function saveAltText() {
+    submitAltChanges(dirtyAltRows.map(row => ({
+      key:       altKey(row),
+      productId: row.productId,
+      imageId:   row.imageId,
+      before:    row.alt,
+      after:     altDrafts[altKey(row)].trim(),
+    })), 'save', String(Date.now()));
+  }
+
+  function undoAltSave() {
+    const [last] = altHistory;
+    if (!last) return;
+    submitAltChanges(last.changes.map(change => ({
+      ...change,
+      // the image may have been replaced (new media id) since it was saved
+      imageId: rows.find(row => altKey(row) === change.key)?.imageId ?? change.imageId,
+      before:  change.after,
+      after:   change.before,
+    })), 'undo', last.id);
+  }
+
+  /* alt text saved (or undone) */
+  useEffect(() => {
+    const data = altFetcher.data;
+    const pending = pendingAlt.current;
+    if (data?.type !== 'alt-saved' || !pending || pending.historyId !== data.historyId) return;
+    pendingAlt.current = null;
+
+    const savedAlt = new Map(data.saved.map(s => [String(s.imageId), s.alt]));
+    const done = pending.changes
+      .filter(change => savedAlt.has(String(change.imageId)))
+      .map(change => ({ ...change, after: savedAlt.get(String(change.imageId)) }));
+
+    setRows(prev => prev.map(row => {
+      const change = done.find(c => c.key === altKey(row));
+      return change ? { ...row, alt: change.after } : row;
+    }));
+    setAltDrafts(prev => {
+      const next = { ...prev };
+      done.forEach(change => { delete next[change.key]; });
+      return next;
+    });
+    setAltHistory(prev => {
+      if (pending.intent === 'undo') {
+        // keep whatever could not be undone
+        const doneKeys = new Set(done.map(c => c.key));
+        return prev
+          .map(entry => entry.id === pending.historyId
+            ? { ...entry, changes: entry.changes.filter(c => !doneKeys.has(c.key)) }
+            : entry)
+          .filter(entry => entry.changes.length);
+      }
+      if (!done.length) return prev;
+      return [{ id: pending.historyId, at: Date.now(), changes: done }, ...prev].slice(0, MAX_ALT_HISTORY);
+    });
+
+    const failed = pending.changes.length - done.length;
+    const verb = pending.intent === 'undo' ? 'Restored' : 'Saved';
+    setComp(prev => ({
+      ...prev,
+      showToast: true,
+      toastTone: failed ? 'critical' : 'success',
+      toastMsg:  failed
+        ? `${verb} ${done.length} alt text${done.length !== 1 ? 's' : ''}, ${failed} failed`
+        : `${verb} ${done.length} alt text${done.length !== 1 ? 's' : ''}`,
+    }));
+  }, [altFetcher.data]);
+
   /* start compression */
-  function compressUrls(urls, strategy = 'tinify', productIds = [], imageIds = []) {
+  function compressUrls(urls, strategy = 'tinify', productIds = [], imageIds = [], presetId = null, force = false, draft = false) {
     if (!urls.length) return;
 
     setComp(prev => ({
       ...prev,
+      jobId: null,
       running: true,
       progress: 0,
       completed: 0,
       total: urls.length,
+      failed: 0,
+      currentUrl: '',
       results: [],
       showPanel: true,
-      loadingByUrl: { ...prev.loadingByUrl, [urls[0]]: true },
+      loadingByUrl: { ...prev.loadingByUrl, ...Object.fromEntries(urls.map(u => [u, true])) },
     }));
 
     // Create a FormData object to submit the files
     const formData = new FormData();
     formData.append('strategy', strategy);
+    if (presetId) formData.append('presetId', presetId);
+    if (force) formData.append('force', '1');
+    if (draft) formData.append('draft', '1');
     urls.forEach((url, i) => {
       formData.append('urls', url);
       if (productIds[i]) formData.append('productIds', productIds[i]);
@@ -218,60 +728,57 @@ export default function SeoAuditsRoute() {
     console.log('Submitting to /api/compress-images with strategy:', strategy);
 
     // Submit the form data using the fetcher
-    const shopParam = new URLSearchParams(window.location.search).get('shop');
-    const actionPath = shopParam ? `/api/compress-images?shop=${encodeURIComponent(shopParam)}` : '/api/compress-images';
-
     fetcher.submit(formData, {
       method: 'POST',
-      action: actionPath,
+      action: withShop('/api/compress-images'),
       encType: 'multipart/form-data'
     });
   }
 
-  /* fetcher response */
-  useEffect(() => {
-    if (!fetcher.data?.type) return;
+  /* job actions: retry failed items / cancel */
+  function submitJobIntent(intent) {
+    if (!comp.jobId) return;
+    const form = new FormData();
+    form.append('id', comp.jobId);
+    form.append('intent', intent);
+    jobFetcher.submit(form, { method: 'POST', action: withShop('/api/compression-jobs') });
+  }
 
-    if (fetcher.data.type === 'complete') {
-      console.log('COMPLETE received', fetcher.data);
-      const ok = fetcher.data.results || [];
-      const totO = ok.reduce((s, r) => s + r.originalSize, 0);
-      const totC = ok.reduce((s, r) => s + r.compressedSize, 0);
-      const pct  = totO ? ((1 - totC / totO) * 100).toFixed(1) : '0';
+  /* fetcher response: job queued */
+  useEffect(() => {
+    if (fetcher.data?.type !== 'queued') return;
+    const { job } = fetcher.data;
+    setComp(prev => ({
+      ...prev,
+      jobId: job.id,
+      running: true,
+      total: job.total,
+    }));
+  }, [fetcher.data]);
 
-      setComp(prev => ({
-        ...prev,
-        running: false,
-        progress: 100,
-        completed: fetcher.data.totalProcessed,
-        results: ok,
-        toastMsg: `Compressed ${ok.length} image${ok.length !== 1 ? 's' : ''} · saved ${pct}%`,
-        toastTone: fetcher.data.totalErrors ? 'warning' : 'success',
-        showToast: true,
-        loadingByUrl: {},
-      }));
-
-      // update per-row data
-      setRows(prev => prev.map(row => {
-        const r = ok.find(x => x.url === row.originalUrl && x.success);
-        if (!r) return row;
-        const pct = r.originalSize
-          ? ((1 - r.compressedSize / r.originalSize) * 100).toFixed(1)
-          : null;
-        return {
-          ...row,
-          imageUrl:      r.compressedUrl,  // show the new compressed URL
-          compressedUrl: r.compressedUrl,
-          originalSize:  r.originalSize,
-          currentSize:   r.compressedSize,
-          savingsPct:    pct,
-          isCompressed:  true,
-        };
-      }));
+  /* stream per-image progress while the job runs */
+  useEffect(() => {
+    if (!comp.jobId || !comp.running) return;
+    const controller = new AbortController();
+    streamJobEvents(
+      withShop(`/api/compression-events?id=${encodeURIComponent(comp.jobId)}`),
+      controller.signal,
+      event => {
+        setComp(prev => reduceJobEvent(prev, event));
+        setRows(prev => applyResultsToRows(prev, resultsFromEvent(event)));
+      },
+    );
+    return () => controller.abort();
+  }, [comp.jobId, comp.running]);
 
-      /* Keep panel visible; user can choose when to close */
-    }
-  }, [fetcher.data]);
+  /* job snapshot returned by retry / cancel */
+  useEffect(() => {
+    const job = jobFetcher.data?.type === 'job' ? jobFetcher.data.job : null;
+    if (!job) return;
+    const event = { type: 'snapshot', jobId: job.id, job };
+    setComp(prev => reduceJobEvent(prev, event));
+    setRows(prev => applyResultsToRows(prev, resultsFromEvent(event)));
+  }, [jobFetcher.data]);
 
   /* fetcher error */
   useEffect(() => {
@@ -295,6 +802,104 @@ export default function SeoAuditsRoute() {
     return { totalO, totalC, pct };
   })();
 
+  /* variant picked in the variants modal */
+  function handleVariantSelected(item, { variant, shopify }) {
+    const imageId = shopify?.replaced ? shopify.newImageId : item.imageId;
+    setVariantsFor(prev => prev && { ...prev, imageUrl: variant.url, imageId });
+    setCompareFor(prev => prev && { ...prev, imageUrl: variant.url, imageId });
+    setRows(prev => prev.map(row => {
+      if (row.originalUrl !== item.originalUrl) return row;
+      return {
+        ...row,
+        imageUrl:      variant.url,
+        compressedUrl: variant.url,
+        currentSize:   variant.size,
+        savingsPct:    variant.savings != null ? (variant.savings * 100).toFixed(1) : null,
+        frames:        variant.frames,
+        fallbackReason: variant.fallbackReason,
+        isCompressed:  true,
+        imageId,
+        // publishing a draft from the comparison approves it
+        pendingDraft:  row.pendingDraft?.id === variant.id ? null : row.pendingDraft,
+        ...(shopify?.replaced ? { shopifyUrl: shopify.newImageUrl, mimeType: null } : {}),
+      };
+    }));
+  }
+
+  /* drafts: publish on Shopify or discard */
+  function submitDrafts(intent, ids) {
+    if (!ids.length) return;
+    const form = new FormData();
+    form.append('intent', intent);
+    ids.forEach(id => form.append('ids', id));
+    draftFetcher.submit(form, { method: 'POST', action: withShop('/api/compression-drafts') });
+  }
+
+  useEffect(() => {
+    const data = draftFetcher.data;
+    if (data?.type === 'drafts-discarded') {
+      setRows(prev => clearDraftRows(prev, data.ids));
+      setSelectedDrafts(prev => prev.filter(id => !data.ids.includes(id)));
+      return;
+    }
+    if (data?.type !== 'drafts-published') return;
+
+    const published = data.results.filter(r => r.published);
+    const failed = data.results.length - published.length;
+    setRows(prev => prev.map(row => {
+      const r = published.find(x => x.id === row.pendingDraft?.id);
+      if (!r) return row;
+      const { draft, shopify } = r;
+      return {
+        ...row,
+        imageUrl:      draft.url,
+        compressedUrl: draft.url,
+        originalSize:  draft.originalSize,
+        currentSize:   draft.size,
+        savingsPct:    draft.savings != null ? (draft.savings * 100).toFixed(1) : null,
+        isCompressed:  true,
+        frames:        draft.frames,
+        fallbackReason: draft.fallbackReason,
+        pendingDraft:  null,
+        imageId:       shopify.newImageId,
+        shopifyUrl:    shopify.newImageUrl,
+        mimeType:      null,
+      };
+    }));
+    setSelectedDrafts(prev => prev.filter(id => !published.some(r => r.id === id)));
+    setComp(prev => ({
+      ...prev,
+      showToast: true,
+      toastTone: failed ? 'critical' : 'success',
+      toastMsg:  failed
+        ? `Published ${published.length} draft${published.length !== 1 ? 's' : ''}, ${failed} failed: ${data.results.find(r => !r.published).error}`
+        : `Published ${published.length} draft${published.length !== 1 ? 's' : ''}`,
+    }));
+  }, [draftFetcher.data]);
+
+  /* version restored from the history */
+  function handleVersionRestored(item, { restored, shopify }) {
+    const imageId = shopify?.replaced ? shopify.newImageId : item.imageId;
+    setHistoryFor(prev => prev && { ...prev, imageId });
+    if (restored.variant) {
+      handleVariantSelected(item, { variant: restored.variant, shopify });
+      return;
+    }
+    setRows(prev => prev.map(row => {
+      if (row.originalUrl !== item.originalUrl) return row;
+      return {
+        ...row,
+        imageUrl:      row.originalUrl,
+        compressedUrl: null,
+        currentSize:   restored.size,
+        savingsPct:    null,
+        isCompressed:  false,
+        imageId,
+        ...(shopify?.replaced ? { shopifyUrl: shopify.newImageUrl, mimeType: null } : {}),
+      };
+    }));
+  }
+
   /* handler: revert */
   function handleRevert(image) {
     const form = new FormData();
@@ -302,17 +907,14 @@ export default function SeoAuditsRoute() {
     if (image.productId) form.append('productId', image.productId);
     if (image.imageId)  form.append('imageId',  image.imageId);
 
-    const shopParam = new URLSearchParams(window.location.search).get('shop');
-    const actionPath = shopParam ? `/api/revert-image?shop=${encodeURIComponent(shopParam)}` : '/api/revert-image';
-
-    fetcher.submit(form, { method: 'POST', action: actionPath });
+    fetcher.submit(form, { method: 'POST', action: withShop('/api/revert-image') });
   }
 
   /* listen for revert data */
 // SeoAuditsRoute.jsx
   useEffect(() => {
     if (!fetcher.data || fetcher.data.type !== 'reverted') return;
-    const { requestedUrl, restoredSize } = fetcher.data;
+    const { requestedUrl, restoredSize, shopify } = fetcher.data;
     const isShopifyCompressed = requestedUrl.includes('/files/compressed_');
 
     setRows(prev => prev.map(row => {
@@ -324,6 +926,8 @@ export default function SeoAuditsRoute() {
         currentSize:  restoredSize,
         savingsPct:   null,
         isCompressed: isShopifyCompressed,
+        imageId:      shopify?.replaced ? shopify.newImageId : row.imageId,
+        ...(shopify?.replaced ? { shopifyUrl: shopify.newImageUrl, mimeType: null } : {}),
       };
     }));
   }, [fetcher.data]);
@@ -333,6 +937,51 @@ export default function SeoAuditsRoute() {
   /* UI */
   return (
     <Page title="SEO Audits">
+      {tinifyQuota?.warning && <TinifyQuotaBanner quota={tinifyQuota} />}
+      {draftRows.length > 0 && (
+        <DraftReviewBanner
+          count={draftRows.length}
+          selected={selectedDrafts}
+          ttlHours={draftTtlHours}
+          busy={draftFetcher.state !== 'idle'}
+          onSelectAll={() => setSelectedDrafts(draftRows.map(row => row.pendingDraft.id))}
+          onPublish={() => submitDrafts('publish', selectedDrafts)}
+          onDiscard={() => submitDrafts('discard', selectedDrafts)}
+        />
+      )}
+      {variantsFor && (
+        <VariantsModal
+          item={variantsFor}
+          onClose={() => setVariantsFor(null)}
+          onSelected={result => handleVariantSelected(variantsFor, result)}
+          onCompare={variant => {
+            setVariantsFor(null);
+            setCompareFor({ ...variantsFor, variantId: variant.id });
+          }}
+        />
+      )}
+      {historyFor && (
+        <HistoryModal
+          item={historyFor}
+          onClose={() => setHistoryFor(null)}
+          onRestored={result => handleVersionRestored(historyFor, result)}
+        />
+      )}
+      {compareFor && (
+        <ComparisonModal
+          item={compareFor}
+          onClose={() => setCompareFor(null)}
+          onSelected={result => handleVariantSelected(compareFor, result)}
+          onDeleted={id => {
+            setRows(prev => clearDraftRows(prev, [id]));
+            setSelectedDrafts(prev => prev.filter(x => x !== id));
+          }}
+          onRevert={() => {
+            handleRevert(compareFor);
+            setCompareFor(null);
+          }}
+        />
+      )}
       {/* floating panel */}
       {comp.showPanel && (
         <Box position="fixed" bottom="5" right="5" width="96" padding="4"
@@ -365,6 +1014,18 @@ export default function SeoAuditsRoute() {
             </Box>
           </>
         )}
+
+          {comp.jobId && (
+            <Box paddingBlockStart="2">
+              {comp.running ? (
+                <Button size="slim" onClick={() => submitJobIntent('cancel')}>Cancel</Button>
+              ) : comp.failed > 0 && (
+                <Button size="slim" onClick={() => submitJobIntent('retry')}>
+                  Retry {comp.failed} failed
+                </Button>
+              )}
+            </Box>
+          )}
       </Box>
     )}
 
@@ -389,6 +1050,39 @@ export default function SeoAuditsRoute() {
         />
       </Box>
 
+      {/* alt text template + save / undo */}
+      <Box paddingInline="4" paddingBlockStart="4">
+        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '8px', flexWrap: 'wrap' }}>
+          <div style={{ flex: '1 1 320px' }}>
+            <TextField
+              label="Alt text template"
+              value={altTemplate}
+              onChange={setAltTemplate}
+              autoComplete="off"
+              helpText={`Placeholders: ${ALT_TEXT_PLACEHOLDERS.map(p => `{${p}}`).join(' ')}`}
+            />
+          </div>
+          <Button onClick={() => applyAltTemplate(true)} disabled={!altTemplate.trim()}>Fill missing</Button>
+          <Button onClick={() => applyAltTemplate(false)} disabled={!altTemplate.trim()}>Fill all on page</Button>
+          <Button onClick={() => setAltDrafts({})} disabled={!dirtyAltRows.length || altSaving}>Discard</Button>
+          <Button onClick={undoAltSave} disabled={!altHistory.length || altSaving}>
+            {altHistory.length ? `Undo last save (${altHistory[0].changes.length})` : 'Undo'}
+          </Button>
+          <Button variant="primary" onClick={saveAltText} loading={altSaving} disabled={!dirtyAltRows.length}>
+            Save alt text{dirtyAltRows.length ? ` (${dirtyAltRows.length})` : ''}
+          </Button>
+        </div>
+        <Box paddingBlockStart="2">
+          <Text variant="bodySm" tone="subdued">
+            {altIssueCount
+              ? `${altIssueCount} image${altIssueCount !== 1 ? 's' : ''} on this page with alt text issues`
+              : 'No alt text issues on this page'}
+            {!altIndexReady && ' · duplicates on other pages are checked once the catalog has been indexed'}
+            {altHistory.length > 0 && ` · ${altHistory.length} save${altHistory.length !== 1 ? 's' : ''} can be undone`}
+          </Text>
+        </Box>
+      </Box>
+
       {/* table */}
       <Box padding="4" overflow="auto">
         <table style={{ width: '100%', tableLayout: 'fixed', borderCollapse: 'separate', borderSpacing: '0 10px' }}>
@@ -399,73 +1093,196 @@ export default function SeoAuditsRoute() {
               <th style={{ padding: '8px 0' }}>SEO Issues</th>
               <th style={{ padding: '8px 0' }}>Alt Tag</th>
               <th style={{ padding: '8px 0' }}>Size</th>
-              <th style={{ padding: '8px 0' }}>Compression</th>
               <th style={{ padding: '8px 0', textAlign: 'right' }}>Actions</th>
             </tr>
           </thead>
           <tbody>
-            {rows.map((item, i) => (
-              <tr key={i} style={{ background: '#fff' }}>
-                <td style={{ padding: '12px 0', display: 'flex', alignItems: 'center', gap: '12px' }}>
-                  <Thumbnail source={item.imageUrl} alt={item.alt || item.title} size="small" />
-                  <Text>{item.title}</Text>
-                </td>
-                <td><Badge tone="critical">Keyword not added</Badge></td>
-                <td><Text>{item.issues} suggestions</Text></td>
-                <td><Text>{item.alt || 'None'}</Text></td>
-                <td>
-                  {item.currentSize != null ? (
-                    <Text variant="bodySm">
-                      {formatFileSize(item.originalSize)} → {formatFileSize(item.currentSize)}
-                    </Text>
-                  ) : (
-                    <Text tone="subdued" variant="bodySm">—</Text>
+            {products.map(product => {
+              const images  = rows.filter(r => r.productId === product.productId);
+              const pending = images.filter(r => !r.isCompressed);
+              const audit    = audits[product.productId];
+              const expanded = !!expandedAudits[product.productId];
+              return (
+                <React.Fragment key={product.productId}>
+                  {/* product group header */}
+                  <tr style={{ background: '#f6f6f7' }}>
+                    <td style={{ padding: '12px 8px' }}>
+                      <Text fontWeight="semibold">{product.title}</Text>
+                      <Text variant="bodySm" tone="subdued">
+                        {product.imageCount} image{product.imageCount !== 1 ? 's' : ''}
+                      </Text>
+                    </td>
+                    <td>
+                      <KeywordPopover
+                        keyword={keywords[product.productId]}
+                        suggestions={product.keywordSuggestions}
+                        saving={keywordFetcher.state !== 'idle'
+                          && keywordFetcher.formData?.get('productId') === product.productId}
+                        onSave={keyword => saveKeyword(product.productId, keyword)}
+                      />
+                    </td>
+                    <td>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <Badge tone={scoreTone(audit.score)}>{`${audit.score}/100`}</Badge>
+                        <Button
+                          variant="plain"
+                          disclosure={expanded ? 'up' : 'down'}
+                          onClick={() => setExpandedAudits(prev => ({ ...prev, [product.productId]: !expanded }))}
+                        >
+                          {`${audit.issueCount} issue${audit.issueCount !== 1 ? 's' : ''}`}
+                        </Button>
+                      </div>
+                    </td>
+                    <td />
+                    <td />
+                    <td style={{ textAlign: 'right' }}>
+                      {pending.length > 1 && (
+                        <CompressPopover
+                          images={pending}
+                          label={`Compress all (${pending.length})`}
+                          presets={presets}
+                          onCompress={compressUrls}
+                          onRevert={handleRevert}
+                          loading={pending.some(r => comp.loadingByUrl[r.originalUrl])}
+                        />
+                      )}
+                    </td>
+                  </tr>
+
+                  {expanded && (
+                    <tr style={{ background: '#fafafb' }}>
+                      <td colSpan={6} style={{ padding: '8px 8px 8px 24px' }}>
+                        <AuditIssueList audit={audit} />
+                      </td>
+                    </tr>
                   )}
-                </td>
-                                {/* new combined “Actions” cell */}
-                <td
-                  style={{
-                    textAlign: 'right',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'flex-end',
-                    gap: '8px',
-                  }}
-                >
-                  {item.isCompressed ? (
-                    <>
-                      <Badge tone="success">{item.savingsPct}% smaller</Badge>
-                      <Button
-                        destructive
-                        loading={comp.loadingByUrl[item.originalUrl]}
-                        onClick={() => handleRevert(item)}
+
+                  {images.map(item => (
+                    <tr key={item.mediaId || item.originalUrl} style={{ background: '#fff' }}>
+                      <td style={{ padding: '12px 0 12px 24px', display: 'flex', alignItems: 'center', gap: '12px' }}>
+                        <Thumbnail source={item.imageUrl} alt={item.alt || item.title} size="small" />
+                        <Text variant="bodySm" tone="subdued">Image {item.position}</Text>
+                      </td>
+                      <td />
+                      <td />
+                      <td style={{ paddingRight: '12px' }}>
+                        <TextField
+                          labelHidden
+                          label={`Alt text for image ${item.position}`}
+                          value={altValue(item)}
+                          placeholder="None"
+                          autoComplete="off"
+                          onChange={value => setAltDrafts(prev => ({ ...prev, [altKey(item)]: value }))}
+                        />
+                        <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', paddingTop: '4px' }}>
+                          {dirtyAltRows.includes(item) && <Badge tone="info">Unsaved</Badge>}
+                          {altIssuesFor(item).map(issue => (
+                            <Badge key={issue} tone={issue === 'missing' ? 'critical' : 'warning'}>
+                              {ALT_ISSUE_LABELS[issue]}
+                            </Badge>
+                          ))}
+                        </div>
+                      </td>
+                      <td>
+                        {item.currentSize != null ? (
+                          <Text variant="bodySm">
+                            {formatFileSize(item.originalSize)} → {formatFileSize(item.currentSize)}
+                          </Text>
+                        ) : (
+                          <Text tone="subdued" variant="bodySm">—</Text>
+                        )}
+                      </td>
+                      {/* combined “Actions” cell */}
+                      <td
+                        style={{
+                          textAlign: 'right',
+                          display: 'flex',
+                          alignItems: 'center',
+                          justifyContent: 'flex-end',
+                          gap: '8px',
+                        }}
                       >
-                        Revert
-                      </Button>
-                    </>
-                  ) : (
-                    <CompressPopover
-                      image={item}
-                      onCompress={compressUrls}
-                      loading={comp.loadingByUrl[item.originalUrl]}
-                    />
-                  )}
-                </td>
+                        <Button variant="plain" onClick={() => setHistoryFor(item)}>History</Button>
+                        {item.pendingDraft && (
+                          <>
+                            <Checkbox
+                              labelHidden
+                              label={`Select draft of image ${item.position}`}
+                              checked={selectedDrafts.includes(item.pendingDraft.id)}
+                              onChange={checked => setSelectedDrafts(prev => (checked
+                                ? [...prev, item.pendingDraft.id]
+                                : prev.filter(id => id !== item.pendingDraft.id)))}
+                            />
+                            <span title={`Expires ${new Date(item.pendingDraft.expiresAt).toLocaleString()}`}>
+                              <Badge tone="info">
+                                {item.pendingDraft.savings != null
+                                  ? `Draft · ${(item.pendingDraft.savings * 100).toFixed(1)}% smaller`
+                                  : 'Draft'}
+                              </Badge>
+                            </span>
+                            <Button onClick={() => setCompareFor({ ...item, variantId: item.pendingDraft.id })}>Review</Button>
+                          </>
+                        )}
+                        {item.isCompressed ? (
+                          <>
+                            <Badge tone="success">{item.savingsPct}% smaller</Badge>
+                            {item.frames > 1 && <Badge tone="info">{`Animated, ${item.frames} frames`}</Badge>}
+                            {item.fallbackReason && (
+                              <span title={item.fallbackReason}><Badge tone="attention">Sharp fallback</Badge></span>
+                            )}
+                            <Button onClick={() => setCompareFor(item)}>Compare</Button>
+                            <Button onClick={() => setVariantsFor(item)}>Variants</Button>
+                            <CompressPopover
+                              images={[item]}
+                              label="Recompress"
+                              presets={presets}
+                              onCompress={compressUrls}
+                              onRevert={handleRevert}
+                              loading={comp.loadingByUrl[item.originalUrl]}
+                            />
+                            <Button
+                              destructive
+                              loading={comp.loadingByUrl[item.originalUrl]}
+                              onClick={() => handleRevert(item)}
+                            >
+                              Revert
+                            </Button>
+                          </>
+                        ) : (
+                          <CompressPopover
+                            images={[item]}
+                            presets={presets}
+                          onCompress={compressUrls}
+                            onRevert={handleRevert}
+                            loading={comp.loadingByUrl[item.originalUrl]}
+                          />
+                        )}
+                      </td>
+                    </tr>
+                  ))}
 
-              </tr>
-            ))}
+                  {!images.length && (
+                    <tr style={{ background: '#fff' }}>
+                      <td colSpan={6} style={{ padding: '12px 0 12px 24px' }}>
+                        <Text tone="subdued" variant="bodySm">No images</Text>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
           </tbody>
         </table>
 
         {/* pagination */}
         <div style={{display:'flex',justifyContent:'center',alignItems:'center',gap:'16px',paddingTop:'24px'}}>
-          <Button plain disabled={page <= 1}
-                  onClick={() => navTo(page - 1, limitValue, searchValue)}>◀</Button>
+          <Button plain disabled={!pageInfo.hasPreviousPage}
+                  onClick={() => navTo(Math.max(1, page - 1), limitValue, searchValue, { before: pageInfo.startCursor })}>◀</Button>
           <Text variant="bodySm" tone="subdued">
-            Page {page} of {totalPages}
+            Page {page}{totalPages ? ` of ${totalPages}${totalExact ? '' : '+'}` : ''}
           </Text>
-          <Button plain disabled={page >= totalPages}
-                  onClick={() => navTo(page + 1, limitValue, searchValue)}>▶</Button>
+          <Button plain disabled={!pageInfo.hasNextPage}
+                  onClick={() => navTo(page + 1, limitValue, searchValue, { after: pageInfo.endCursor })}>▶</Button>
         </div>
       </Box>
     </Card>
@@ -473,15 +1290,118 @@ export default function SeoAuditsRoute() {
 );
 }
 
+/* focus keyword editor with suggestions from the product's own data */
+function KeywordPopover({ keyword, suggestions, saving, onSave }) {
+  const [open, setOpen]   = useState(false);
+  const [value, setValue] = useState(keyword || '');
+
+  const toggle = () => {
+    if (!open) setValue(keyword || '');
+    setOpen(o => !o);
+  };
+  const save = next => {
+    onSave(next);
+    setOpen(false);
+  };
+
+  return (
+    <Popover
+      active={open}
+      onClose={() => setOpen(false)}
+      preferredAlignment="left"
+      activator={
+        keyword ? (
+          <Button variant="plain" onClick={toggle} loading={saving}>{keyword}</Button>
+        ) : (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <Badge tone="critical">Keyword not added</Badge>
+            <Button variant="plain" onClick={toggle} loading={saving}>Add</Button>
+          </div>
+        )
+      }
+    >
+      <Box padding="4" width="320px">
+        <TextField
+          label="Focus keyword"
+          value={value}
+          onChange={setValue}
+          autoComplete="off"
+          helpText="Checked against the alt text and filename of every image of this product."
+        />
+        {suggestions.length > 0 && (
+          <Box paddingBlockStart="2">
+            <Text variant="bodySm" tone="subdued">Suggestions</Text>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', paddingTop: '4px' }}>
+              {suggestions.map(suggestion => (
+                <Button key={suggestion} size="slim" pressed={value === suggestion} onClick={() => setValue(suggestion)}>
+                  {suggestion}
+                </Button>
+              ))}
+            </div>
+          </Box>
+        )}
+        <Box paddingBlockStart="4">
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px' }}>
+            {keyword && (
+              <Button tone="critical" variant="plain" onClick={() => save('')}>Remove</Button>
+            )}
+            <Button variant="primary" disabled={!value.trim() || value.trim() === keyword} onClick={() => save(value)}>
+              Save
+            </Button>
+          </div>
+        </Box>
+      </Box>
+    </Popover>
+  );
+}
+
+/* itemized audit findings of one product */
+function AuditIssueList({ audit }) {
+  const groups = [
+    { title: 'Product', issues: audit.issues },
+    ...audit.images.map(({ image, score, issues }) => ({
+      title: `Image ${image.position} · ${score}/100`,
+      issues,
+    })),
+  ].filter(group => group.issues.length);
+
+  if (!groups.length) {
+    return <Text tone="success" variant="bodySm">No issues found</Text>;
+  }
+
+  return (
+    <div style={{ display: 'grid', gap: '8px' }}>
+      {groups.map(group => (
+        <div key={group.title}>
+          <Text variant="bodySm" fontWeight="semibold">{group.title}</Text>
+          {group.issues.map(issue => (
+            <div key={issue.rule} style={{ display: 'flex', alignItems: 'center', gap: '8px', paddingTop: '4px' }}>
+              <Badge tone={issue.severity}>{issue.label}</Badge>
+              <Text variant="bodySm" tone="subdued">{issue.detail}</Text>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
 /* small popover */
-function CompressPopover({ image, onCompress, onRevert, loading }) {
+function CompressPopover({ images, label = 'Compress', presets = [], onCompress, onRevert, loading }) {
 const [open, setOpen] = useState(false);
+  const [presetId, setPresetId] = useState(() => (presets.find(p => p.isDefault) || presets[0])?.id ?? '');
+  const [force, setForce] = useState(false);
+  const [review, setReview] = useState(true);
   const handleCompress = (strategy) => {
     onCompress(
-      [image.imageUrl],   // urls[0]
+      // results are matched back to rows by this URL
+      images.map(img => img.originalUrl),
       strategy,
-      [image.productId],  // productIds[0]
-      [image.imageId],    // imageIds[0]  (may be null)
+      images.map(img => img.productId),
+      images.map(img => img.imageId),   // may contain nulls
+      presetId || null,
+      force,
+      review,
     );
     setOpen(false);
   };
@@ -492,11 +1412,37 @@ const [open, setOpen] = useState(false);
       onClose={() => setOpen(false)}
       activator={
         <Button onClick={() => setOpen(o => !o)} loading={loading} disabled={loading}>
-          Compress
+          {label}
         </Button>
       }
     >
       <Box padding="4" width="200">
+        {presets.length > 0 && (
+          <Box paddingBlockEnd="2">
+            <Select
+              label="Preset"
+              options={presets.map(p => ({ value: p.id, label: p.isDefault ? `${p.name} (default)` : p.name }))}
+              value={presetId}
+              onChange={setPresetId}
+            />
+          </Box>
+        )}
+        <Box paddingBlockEnd="2">
+          <Checkbox
+            label="Compress again"
+            helpText="Even if a variant with these settings exists"
+            checked={force}
+            onChange={setForce}
+          />
+        </Box>
+        <Box paddingBlockEnd="2">
+          <Checkbox
+            label="Review before publishing"
+            helpText="Keep as a draft instead of replacing the image on Shopify"
+            checked={review}
+            onChange={setReview}
+          />
+        </Box>
         <Button
           fullWidth
           onClick={() => handleCompress('sharp')}
@@ -529,9 +1475,9 @@ const [open, setOpen] = useState(false);
             fullWidth
             tone="critical"
             variant="plain"
-            disabled={loading || !image.isCompressed}
+            disabled={loading || !images.every(img => img.isCompressed)}
             onClick={() => {
-              onRevert(image);
+              images.forEach(onRevert);
               setOpen(false);
             }}
           >
@@ -543,3 +1489,424 @@ const [open, setOpen] = useState(false);
   );
 }
 
+/* preset fields worth telling variants apart by */
+function describeSettings(settings) {
+  if (!settings) return '';
+  return [
+    settings.targetSsim ? `SSIM ${settings.targetSsim}` : (settings.quality != null ? `quality ${settings.quality}` : null),
+    settings.format && settings.format !== 'original' ? settings.format.toUpperCase() : null,
+    settings.maxWidth || settings.maxHeight ? `max ${settings.maxWidth || '∞'}×${settings.maxHeight || '∞'}` : null,
+    settings.stripMetadata ? 'metadata stripped' : null,
+  ].filter(Boolean).join(' · ');
+}
+
+/* compressed variants of one image, to compare and publish one */
+function VariantsModal({ item, onClose, onSelected, onCompare }) {
+  const listFetcher = useFetcher();
+  const actionFetcher = useFetcher();
+  const busy = actionFetcher.state !== 'idle';
+  const loadVariants = listFetcher.load;
+  // the parent passes a new callback on every render
+  const onSelectedRef = useRef(onSelected);
+  onSelectedRef.current = onSelected;
+
+  // (re)load after every select / delete
+  useEffect(() => {
+    const params = new URLSearchParams({ url: item.imageUrl });
+    if (item.imageId) params.set('imageId', item.imageId);
+    loadVariants(withShop(`/api/image-variants?${params}`));
+  }, [loadVariants, item.imageUrl, item.imageId, actionFetcher.data]);
+
+  useEffect(() => {
+    if (actionFetcher.data?.type === 'variant-selected') onSelectedRef.current(actionFetcher.data);
+  }, [actionFetcher.data]);
+
+  function submit(intent, variant) {
+    const form = new FormData();
+    form.append('intent', intent);
+    form.append('url', item.imageUrl);
+    form.append('id', variant.id);
+    if (item.productId) form.append('productId', item.productId);
+    if (item.imageId) form.append('imageId', item.imageId);
+    actionFetcher.submit(form, { method: 'POST', action: withShop('/api/image-variants') });
+  }
+
+  const variants = listFetcher.data?.variants || [];
+  const error = actionFetcher.data?.type === 'error' ? actionFetcher.data.error : null;
+
+  return (
+    <Modal open onClose={onClose} title="Compressed variants" loading={!listFetcher.data}>
+      <Modal.Section>
+        <BlockStack gap="400">
+          {error && <Banner tone="critical">{error}</Banner>}
+          {listFetcher.data && !variants.length && (
+            <Text tone="subdued">This image has no stored variants.</Text>
+          )}
+          {variants.map(variant => (
+            <InlineStack key={variant.id} gap="400" blockAlign="center" wrap={false}>
+              <Thumbnail source={variant.url} alt="" size="large" />
+              <BlockStack gap="100">
+                <InlineStack gap="200" blockAlign="center">
+                  <Text fontWeight="semibold">
+                    {`${(variant.format || '').toUpperCase()} · ${formatFileSize(variant.size)}`}
+                    {variant.savings != null ? ` · ${(variant.savings * 100).toFixed(1)}% smaller` : ''}
+                  </Text>
+                  {variant.published && <Badge tone="success">Published</Badge>}
+                  {variant.draft && <Badge tone="info">Draft</Badge>}
+                </InlineStack>
+                <Text variant="bodySm" tone="subdued">
+                  {[variant.strategy === 'tinify' ? 'Tinify' : 'Sharp', variant.preset, describeSettings(variant.settings)]
+                    .filter(Boolean).join(' · ')}
+                </Text>
+                {variant.createdAt && (
+                  <Text variant="bodySm" tone="subdued">{new Date(variant.createdAt).toLocaleString()}</Text>
+                )}
+              </BlockStack>
+              <div style={{ marginLeft: 'auto', display: 'flex', gap: '8px' }}>
+                <Button disabled={busy} onClick={() => onCompare(variant)}>Compare</Button>
+                <Button
+                  variant="primary"
+                  disabled={variant.published || !item.productId || busy}
+                  onClick={() => submit('select', variant)}
+                >
+                  Use this
+                </Button>
+                <Button
+                  variant="plain"
+                  tone="critical"
+                  disabled={variant.published || busy}
+                  onClick={() => submit('delete', variant)}
+                >
+                  Delete
+                </Button>
+              </div>
+            </InlineStack>
+          ))}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
+
+const MAX_ZOOM = 8;
+
+/* stored original next to a compressed variant: split slider, zoom/pan and difference heatmap */
+function ComparisonModal({ item, onClose, onSelected, onDeleted, onRevert }) {
+  const comparisonFetcher = useFetcher();
+  const actionFetcher = useFetcher();
+  const busy = actionFetcher.state !== 'idle';
+  const loadComparison = comparisonFetcher.load;
+  // the parent passes new callbacks on every render
+  const callbacksRef = useRef({ onSelected, onDeleted, onClose });
+  callbacksRef.current = { onSelected, onDeleted, onClose };
+
+  const [split, setSplit] = useState(50);
+  const [zoom, setZoom] = useState(1);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const viewportRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // (re)load after publishing, which changes what the image resolves to
+  useEffect(() => {
+    const params = new URLSearchParams({ url: item.imageUrl });
+    if (item.imageId) params.set('imageId', item.imageId);
+    if (item.variantId) params.set('id', item.variantId);
+    loadComparison(withShop(`/api/image-comparison?${params}`));
+  }, [loadComparison, item.imageUrl, item.imageId, item.variantId, actionFetcher.data]);
+
+  useEffect(() => {
+    if (actionFetcher.data?.type === 'variant-selected') callbacksRef.current.onSelected(actionFetcher.data);
+    if (actionFetcher.data?.type === 'variant-deleted') {
+      callbacksRef.current.onDeleted(actionFetcher.data.id);
+      callbacksRef.current.onClose();
+    }
+  }, [actionFetcher.data]);
+
+  const data = comparisonFetcher.data?.type === 'comparison' ? comparisonFetcher.data : null;
+  const error = actionFetcher.data?.type === 'error' ? actionFetcher.data.error
+    : comparisonFetcher.data?.type === 'error' ? comparisonFetcher.data.error : null;
+  const variant = data?.variant;
+
+  /* keeps the zoomed image covering the viewport */
+  function clampPan(next, scale = zoom) {
+    const rect = viewportRef.current?.getBoundingClientRect();
+    if (!rect) return next;
+    const maxX = (rect.width * (scale - 1)) / 2;
+    const maxY = (rect.height * (scale - 1)) / 2;
+    return {
+      x: Math.min(maxX, Math.max(-maxX, next.x)),
+      y: Math.min(maxY, Math.max(-maxY, next.y)),
+    };
+  }
+
+  function zoomTo(scale) {
+    const next = Math.min(MAX_ZOOM, Math.max(1, scale));
+    setZoom(next);
+    setPan(prev => clampPan(prev, next));
+  }
+
+  /* dragging the handle moves the split, dragging the image pans it */
+  function handlePointerDown(event) {
+    const onHandle = event.target.dataset.handle === 'split';
+    if (!onHandle && zoom === 1) return;
+    dragRef.current = onHandle ? { mode: 'split' } : { mode: 'pan', x: event.clientX, y: event.clientY };
+    event.currentTarget.setPointerCapture(event.pointerId);
+  }
+
+  function handlePointerMove(event) {
+    const drag = dragRef.current;
+    if (!drag) return;
+    if (drag.mode === 'split') {
+      const rect = viewportRef.current.getBoundingClientRect();
+      setSplit(Math.min(100, Math.max(0, ((event.clientX - rect.left) / rect.width) * 100)));
+      return;
+    }
+    const dx = event.clientX - drag.x;
+    const dy = event.clientY - drag.y;
+    dragRef.current = { ...drag, x: event.clientX, y: event.clientY };
+    setPan(prev => clampPan({ x: prev.x + dx, y: prev.y + dy }));
+  }
+
+  function handlePointerUp() {
+    dragRef.current = null;
+  }
+
+  function submit(intent) {
+    const form = new FormData();
+    form.append('intent', intent);
+    form.append('url', item.imageUrl);
+    form.append('id', variant.id);
+    if (item.productId) form.append('productId', item.productId);
+    if (item.imageId) form.append('imageId', item.imageId);
+    actionFetcher.submit(form, { method: 'POST', action: withShop('/api/image-variants') });
+  }
+
+  // discarding the published variant puts the original back on Shopify
+  function discard() {
+    if (variant.published) onRevert();
+    else submit('delete');
+  }
+
+  const layer = { position: 'absolute', inset: 0, overflow: 'hidden' };
+  const stage = {
+    position: 'absolute',
+    inset: 0,
+    width: '100%',
+    height: '100%',
+    objectFit: 'contain',
+    transform: `translate(${pan.x}px, ${pan.y}px) scale(${zoom})`,
+    pointerEvents: 'none',
+    userSelect: 'none',
+  };
+  const label = { position: 'absolute', top: 8, padding: '2px 8px', borderRadius: 4, background: 'rgba(0,0,0,0.6)', color: '#fff', fontSize: 12 };
+  const describe = image => `${image.width}×${image.height} · ${(image.format || '').toUpperCase()} · ${formatFileSize(image.size)}`;
+
+  return (
+    <Modal
+      open
+      large
+      onClose={onClose}
+      title="Before / after"
+      loading={!comparisonFetcher.data}
+      primaryAction={{
+        content: variant?.published ? 'Applied to Shopify' : 'Apply to Shopify',
+        disabled: !variant || variant.published || !item.productId || busy,
+        loading: busy && actionFetcher.formData?.get('intent') === 'select',
+        onAction: () => submit('select'),
+      }}
+      secondaryActions={[{
+        content: 'Discard',
+        destructive: true,
+        disabled: !variant || busy,
+        loading: busy && actionFetcher.formData?.get('intent') === 'delete',
+        onAction: discard,
+      }]}
+    >
+      <Modal.Section>
+        <BlockStack gap="400">
+          {error && <Banner tone="critical">{error}</Banner>}
+          {data && (
+            <>
+              <div
+                ref={viewportRef}
+                role="presentation"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                style={{
+                  position: 'relative',
+                  width: '100%',
+                  maxHeight: '60vh',
+                  aspectRatio: `${variant.width} / ${variant.height}`,
+                  overflow: 'hidden',
+                  background: '#f1f1f1',
+                  cursor: zoom > 1 ? 'grab' : 'default',
+                  touchAction: 'none',
+                }}
+              >
+                <div style={layer}>
+                  <img src={data.original.url} alt="Original" style={stage} draggable={false} />
+                </div>
+                <div style={{ ...layer, clipPath: `inset(0 0 0 ${split}%)` }}>
+                  <img src={variant.url} alt="Compressed" style={stage} draggable={false} />
+                  {showHeatmap && (
+                    <img src={data.difference.heatmap} alt="Differences" style={{ ...stage, opacity: 0.85 }} draggable={false} />
+                  )}
+                </div>
+                <span style={{ ...label, left: 8 }}>Before</span>
+                <span style={{ ...label, right: 8 }}>After</span>
+                <div
+                  data-handle="split"
+                  style={{
+                    position: 'absolute',
+                    top: 0,
+                    bottom: 0,
+                    left: `${split}%`,
+                    width: 16,
+                    marginLeft: -8,
+                    cursor: 'ew-resize',
+                    background: 'linear-gradient(to right, transparent 7px, #fff 7px, #fff 9px, transparent 9px)',
+                  }}
+                />
+              </div>
+
+              <InlineStack gap="200" blockAlign="center">
+                <Button disabled={zoom <= 1} onClick={() => zoomTo(zoom / 2)}>−</Button>
+                <Text variant="bodySm">{`${Math.round(zoom * 100)}%`}</Text>
+                <Button disabled={zoom >= MAX_ZOOM} onClick={() => zoomTo(zoom * 2)}>+</Button>
+                <Button variant="plain" disabled={zoom === 1} onClick={() => zoomTo(1)}>Reset</Button>
+                <div style={{ marginLeft: 'auto' }}>
+                  <Checkbox label="Show differences" checked={showHeatmap} onChange={setShowHeatmap} />
+                </div>
+              </InlineStack>
+
+              <InlineStack gap="800" wrap>
+                <BlockStack gap="100">
+                  <Text fontWeight="semibold">Original</Text>
+                  <Text variant="bodySm">{describe(data.original)}</Text>
+                </BlockStack>
+                <BlockStack gap="100">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text fontWeight="semibold">Compressed</Text>
+                    {variant.published && <Badge tone="success">Published</Badge>}
+                  </InlineStack>
+                  <Text variant="bodySm">
+                    {describe(variant)}
+                    {data.original.size ? ` · ${((1 - variant.size / data.original.size) * 100).toFixed(1)}% smaller` : ''}
+                  </Text>
+                </BlockStack>
+                <BlockStack gap="100">
+                  <Text fontWeight="semibold">Difference</Text>
+                  <Text variant="bodySm">
+                    {`SSIM ${data.difference.ssim.toFixed(3)} · ${(data.difference.changedShare * 100).toFixed(1)}% of pixels changed`}
+                  </Text>
+                </BlockStack>
+              </InlineStack>
+              {variant.published && (
+                <Text variant="bodySm" tone="subdued">
+                  This variant is live on Shopify; discarding it restores the original image.
+                </Text>
+              )}
+            </>
+          )}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
+
+const VERSION_LABELS = {
+  original:    'Original',
+  compression: 'Compressed',
+  publish:     'Published',
+  revert:      'Reverted to the original',
+};
+
+const versionLabel = version => (version.kind === 'restore'
+  ? (version.original ? 'Restored the original' : 'Restored a compression')
+  : VERSION_LABELS[version.kind] || version.kind);
+
+const versionActor = version => version.actorName
+  || (version.actorId ? `staff member ${version.actorId}` : 'the app');
+
+/* every state of one image, newest first, any of them restorable */
+function HistoryModal({ item, onClose, onRestored }) {
+  const listFetcher = useFetcher();
+  const actionFetcher = useFetcher();
+  const busy = actionFetcher.state !== 'idle';
+  const loadVersions = listFetcher.load;
+  // the parent passes a new callback on every render
+  const onRestoredRef = useRef(onRestored);
+  onRestoredRef.current = onRestored;
+
+  // (re)load after every restore
+  useEffect(() => {
+    const params = new URLSearchParams({ url: item.imageUrl });
+    if (item.imageId) params.set('imageId', item.imageId);
+    loadVersions(withShop(`/api/image-versions?${params}`));
+  }, [loadVersions, item.imageUrl, item.imageId, actionFetcher.data]);
+
+  useEffect(() => {
+    if (actionFetcher.data?.type === 'version-restored') onRestoredRef.current(actionFetcher.data);
+  }, [actionFetcher.data]);
+
+  function restore(version) {
+    const form = new FormData();
+    form.append('id', version.id);
+    form.append('productId', item.productId);
+    if (item.imageId) form.append('imageId', item.imageId);
+    actionFetcher.submit(form, { method: 'POST', action: withShop('/api/image-versions') });
+  }
+
+  const versions = listFetcher.data?.versions || [];
+  const error = actionFetcher.data?.type === 'error' ? actionFetcher.data.error : null;
+
+  return (
+    <Modal open onClose={onClose} title="Version history" loading={!listFetcher.data}>
+      <Modal.Section>
+        <BlockStack gap="400">
+          {error && <Banner tone="critical">{error}</Banner>}
+          {listFetcher.data && !versions.length && (
+            <Text tone="subdued">This image has no history yet; it starts with its first compression.</Text>
+          )}
+          {versions.map(version => (
+            <InlineStack key={version.id} gap="400" blockAlign="center" wrap={false}>
+              <Thumbnail source={version.url || ''} alt="" size="medium" />
+              <BlockStack gap="100">
+                <InlineStack gap="200" blockAlign="center">
+                  <Text fontWeight="semibold">
+                    {[versionLabel(version), (version.format || '').toUpperCase(), version.size != null ? formatFileSize(version.size) : null]
+                      .filter(Boolean).join(' · ')}
+                  </Text>
+                  {version.current && <Badge tone="success">Current</Badge>}
+                  {version.kind === 'compression' && !version.published && <Badge>Not published</Badge>}
+                  {!version.available && <Badge tone="critical">File deleted</Badge>}
+                </InlineStack>
+                {!version.original && version.strategy && (
+                  <Text variant="bodySm" tone="subdued">
+                    {[version.strategy === 'tinify' ? 'Tinify' : 'Sharp', version.preset, describeSettings(version.settings)]
+                      .filter(Boolean).join(' · ')}
+                  </Text>
+                )}
+                <Text variant="bodySm" tone="subdued">
+                  {`${new Date(version.createdAt).toLocaleString()} · by ${versionActor(version)}`}
+                </Text>
+              </BlockStack>
+              <div style={{ marginLeft: 'auto' }}>
+                <Button
+                  disabled={version.current || !version.available || !item.productId || busy}
+                  loading={busy && actionFetcher.formData?.get('id') === version.id}
+                  onClick={() => restore(version)}
+                >
+                  Restore
+                </Button>
+              </div>
+            </InlineStack>
+          ))}
+        </BlockStack>
+      </Modal.Section>
+    </Modal>
+  );
+}
@@ -0,0 +1,381 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Select,
+  Checkbox,
+  ChoiceList,
+  RangeSlider,
+  Button,
+  Badge,
+  Banner,
+} from '@shopify/polaris';
+import { json } from '@remix-run/node';
+import { useLoaderData, useFetcher } from '@remix-run/react';
+import { authenticate } from '../shopify.server';
+import {
+  listPresets,
+  savePreset,
+  deletePreset,
+  setDefaultPreset,
+  PRESET_FORMATS,
+  CHROMA_SUBSAMPLING,
+  ICC_POLICIES,
+  TARGET_SSIM_RANGE,
+  ANIMATED_FORMATS,
+  ANIMATED_VIDEO_FORMATS,
+  DERIVATIVE_FORMATS,
+} from '../utils/compressionPresets.server';
+import { FFMPEG_PATH } from '../utils/animatedVideo.server';
+
+/* ───────── loader / action ───────── */
+
+export async function loader({ request }) {
+  const { session } = await authenticate.admin(request);
+  const presets = await listPresets(session.shop);
+  return json({
+    presets,
+    formats: PRESET_FORMATS,
+    chromaOptions: CHROMA_SUBSAMPLING,
+    iccPolicies: ICC_POLICIES,
+    targetRange: TARGET_SSIM_RANGE,
+    animatedFormats: ANIMATED_FORMATS,
+    videoFormats: ANIMATED_VIDEO_FORMATS,
+    videoAvailable: !!FFMPEG_PATH,
+    derivativeFormats: DERIVATIVE_FORMATS,
+  });
+}
+
+export async function action({ request }) {
+  const { session } = await authenticate.admin(request);
+  const form = await request.formData();
+  const intent = form.get('intent');
+  const id = form.get('id') || null;
+
+  switch (intent) {
+    case 'save': {
+      const { preset, errors } = await savePreset(session.shop, id, Object.fromEntries(form));
+      if (errors) return json({ intent, id, errors }, { status: 400 });
+      return json({ intent, id: preset.id, saved: true });
+    }
+    case 'delete': {
+      const { error } = await deletePreset(session.shop, id);
+      if (error) return json({ intent, id, errors: { id: error } }, { status: 400 });
+      return json({ intent, id, deleted: true });
+    }
+    case 'set-default': {
+      const preset = await setDefaultPreset(session.shop, id);
+      if (!preset) return json({ intent, id, errors: { id: 'Preset not found' } }, { status: 404 });
+      return json({ intent, id, saved: true });
+    }
+    default:
+      return json({ error: `Unknown intent: ${intent}` }, { status: 400 });
+  }
+}
+
+/* ───────── helpers ───────── */
+
+const FORMAT_LABELS = {
+  original: 'Keep original format',
+  auto: 'Auto (smallest of AVIF, WebP, JPEG/PNG)',
+  avif: 'AVIF',
+  webp: 'WebP',
+  jpeg: 'JPEG',
+  png: 'PNG',
+};
+const CHROMA_LABELS = { '4:2:0': '4:2:0 (smaller files)', '4:4:4': '4:4:4 (sharper colour edges)' };
+const ICC_LABELS = {
+  srgb: 'Convert to sRGB and tag it',
+  keep: 'Keep the original profile',
+  strip: 'Convert to sRGB, no profile (smallest)',
+};
+const ANIMATED_LABELS = { original: 'Keep GIF or WebP', webp: 'Animated WebP' };
+const VIDEO_LABELS = { '': 'No video', mp4: 'MP4 (H.264)', webm: 'WebM (VP9)' };
+
+const EMPTY_PRESET = {
+  name: '',
+  quality: 80,
+  maxWidth: 2048,
+  maxHeight: 2048,
+  format: 'webp',
+  stripMetadata: true,
+  keepCopyright: false,
+  autoOrient: true,
+  iccProfile: 'srgb',
+  chromaSubsampling: '4:2:0',
+  targetSsim: null,
+  animatedFormat: 'original',
+  animatedVideo: null,
+  derivativeWidths: null,
+  derivativeFormats: 'webp',
+};
+
+const formValues = preset => ({
+  ...preset,
+  maxWidth: preset.maxWidth != null ? String(preset.maxWidth) : '',
+  maxHeight: preset.maxHeight != null ? String(preset.maxHeight) : '',
+  targetSsim: preset.targetSsim != null ? String(preset.targetSsim) : '',
+  animatedVideo: preset.animatedVideo || '',
+  derivativeWidths: (preset.derivativeWidths || '').split(',').join(', '),
+  derivativeFormats: (preset.derivativeFormats || '').split(',').filter(Boolean),
+});
+
+/* ───────── page ───────── */
+
+export default function SettingsRoute() {
+  const { presets, ...options } = useLoaderData();
+  const [adding, setAdding] = useState(false);
+
+  return (
+    <Page title="Settings">
+      <Layout>
+        <Layout.AnnotatedSection
+          title="Compression presets"
+          description="Named settings to compress with. The default preset is used unless another one is picked when compressing. Tinify chooses quality, chroma subsampling and colour profile handling itself, ignores perceptual targets and keeps metadata for JPEG and PNG only."
+        >
+          <BlockStack gap="400">
+            {presets.map(preset => (
+              <PresetForm
+                key={`${preset.id}-${preset.updatedAt}`}
+                preset={preset}
+                options={options}
+                canDelete={presets.length > 1}
+              />
+            ))}
+
+            {adding ? (
+              <PresetForm
+                preset={EMPTY_PRESET}
+                options={options}
+                onDone={() => setAdding(false)}
+              />
+            ) : (
+              <InlineStack>
+                <Button onClick={() => setAdding(true)}>Add preset</Button>
+              </InlineStack>
+            )}
+          </BlockStack>
+        </Layout.AnnotatedSection>
+      </Layout>
+    </Page>
+  );
+}
+
+/* one preset; new presets have no id */
+function PresetForm({ preset, options, canDelete = false, onDone }) {
+  const {
+    formats,
+    chromaOptions,
+    iccPolicies,
+    targetRange,
+    animatedFormats,
+    videoFormats,
+    videoAvailable,
+    derivativeFormats,
+  } = options;
+  const fetcher = useFetcher();
+  const [values, setValues] = useState(() => formValues(preset));
+  const set = field => value => setValues(prev => ({ ...prev, [field]: value }));
+
+  const busy   = fetcher.state !== 'idle';
+  const errors = fetcher.data?.errors || {};
+  const isNew  = !preset.id;
+  const targeting = values.targetSsim !== '';
+
+  // a new preset shows up in the list once saved
+  useEffect(() => {
+    if (isNew && fetcher.data?.saved) onDone?.();
+  }, [isNew, fetcher.data, onDone]);
+
+  const submit = (intent, extra = {}) => {
+    const form = new FormData();
+    form.append('intent', intent);
+    if (preset.id) form.append('id', preset.id);
+    Object.entries(extra).forEach(([key, value]) => form.append(key, String(value)));
+    fetcher.submit(form, { method: 'POST' });
+  };
+
+  return (
+    <Card>
+      <BlockStack gap="300">
+        <InlineStack align="space-between" blockAlign="center">
+          <Text variant="headingSm" as="h3">{isNew ? 'New preset' : preset.name}</Text>
+          {preset.isDefault && <Badge tone="success">Default</Badge>}
+        </InlineStack>
+
+        {errors.id && <Banner tone="critical">{errors.id}</Banner>}
+
+        <TextField label="Name" value={values.name} onChange={set('name')} error={errors.name} autoComplete="off" />
+        <RangeSlider
+          label="Quality"
+          min={1}
+          max={100}
+          value={Number(values.quality)}
+          onChange={set('quality')}
+          output
+          error={errors.quality}
+          disabled={targeting}
+          helpText={targeting ? 'Chosen per image to reach the perceptual target.' : 'Lower is smaller. Ignored by Tinify.'}
+        />
+        <Checkbox
+          label="Target a perceptual quality instead"
+          checked={targeting}
+          onChange={checked => set('targetSsim')(checked ? String(targetRange.default) : '')}
+          helpText="Sharp searches each image for the lowest quality that still looks the same as the original."
+        />
+        {targeting && (
+          <TextField
+            label="Target similarity (SSIM)"
+            type="number"
+            step={0.001}
+            min={targetRange.min}
+            max={targetRange.max}
+            value={values.targetSsim}
+            onChange={set('targetSsim')}
+            error={errors.targetSsim}
+            helpText={`${targetRange.min}–${targetRange.max}. Higher keeps more detail; ${targetRange.default} is visually identical for most photos.`}
+            autoComplete="off"
+          />
+        )}
+        <InlineStack gap="300" wrap={false}>
+          <TextField
+            label="Max width (px)"
+            type="number"
+            value={values.maxWidth}
+            onChange={set('maxWidth')}
+            error={errors.maxWidth}
+            placeholder="Keep"
+            autoComplete="off"
+          />
+          <TextField
+            label="Max height (px)"
+            type="number"
+            value={values.maxHeight}
+            onChange={set('maxHeight')}
+            error={errors.maxHeight}
+            placeholder="Keep"
+            autoComplete="off"
+          />
+        </InlineStack>
+        <Select
+          label="Output format"
+          options={formats.map(value => ({ value, label: FORMAT_LABELS[value] || value }))}
+          value={values.format}
+          onChange={set('format')}
+          error={errors.format}
+        />
+        <Select
+          label="Chroma subsampling"
+          options={chromaOptions.map(value => ({ value, label: CHROMA_LABELS[value] || value }))}
+          value={values.chromaSubsampling}
+          onChange={set('chromaSubsampling')}
+          error={errors.chromaSubsampling}
+          helpText="Applies to JPEG and AVIF. Ignored by Tinify."
+        />
+        <InlineStack gap="300" wrap={false}>
+          <Select
+            label="Animated images"
+            options={animatedFormats.map(value => ({ value, label: ANIMATED_LABELS[value] || value }))}
+            value={values.animatedFormat}
+            onChange={set('animatedFormat')}
+            error={errors.animatedFormat}
+            helpText="Every frame is kept. Always compressed with Sharp."
+          />
+          <Select
+            label="Also make a video"
+            options={['', ...videoFormats].map(value => ({ value, label: VIDEO_LABELS[value] || value }))}
+            value={values.animatedVideo}
+            onChange={set('animatedVideo')}
+            error={errors.animatedVideo}
+            disabled={!videoAvailable && !values.animatedVideo}
+            helpText={videoAvailable ? 'Stored next to the compressed image.' : 'Needs ffmpeg (FFMPEG_PATH).'}
+          />
+        </InlineStack>
+        <TextField
+          label="Responsive widths (px)"
+          value={values.derivativeWidths}
+          onChange={set('derivativeWidths')}
+          error={errors.derivativeWidths}
+          placeholder="e.g. 480, 960, 1440"
+          helpText="Also stores a copy at each width for srcset, served to themes through the app proxy. Leave empty for none."
+          autoComplete="off"
+        />
+        {values.derivativeWidths.trim() !== '' && (
+          <ChoiceList
+            title="Responsive formats"
+            allowMultiple
+            choices={derivativeFormats.map(value => ({ value, label: FORMAT_LABELS[value] || value }))}
+            selected={values.derivativeFormats}
+            onChange={set('derivativeFormats')}
+            error={errors.derivativeFormats}
+          />
+        )}
+        <Checkbox
+          label="Rotate photos upright"
+          checked={values.autoOrient}
+          onChange={set('autoOrient')}
+          helpText="Applies the camera's orientation tag so images don't show up sideways."
+        />
+        <Checkbox
+          label="Strip metadata (EXIF, GPS location, XMP, IPTC)"
+          checked={values.stripMetadata}
+          onChange={set('stripMetadata')}
+          helpText="Removes camera details and where the photo was taken."
+        />
+        <Checkbox
+          label="Keep copyright and artist"
+          checked={values.stripMetadata && values.keepCopyright}
+          disabled={!values.stripMetadata}
+          onChange={set('keepCopyright')}
+        />
+        <Select
+          label="Colour profile"
+          options={iccPolicies.map(value => ({ value, label: ICC_LABELS[value] || value }))}
+          value={values.iccProfile}
+          onChange={set('iccProfile')}
+          error={errors.iccProfile}
+        />
+
+        <InlineStack gap="200" align="end">
+          {!isNew && canDelete && (
+            <Button tone="critical" variant="plain" disabled={busy} onClick={() => submit('delete')}>
+              Delete
+            </Button>
+          )}
+          {!isNew && !preset.isDefault && (
+            <Button disabled={busy} onClick={() => submit('set-default')}>Make default</Button>
+          )}
+          {isNew && <Button disabled={busy} onClick={onDone}>Cancel</Button>}
+          <Button
+            variant="primary"
+            loading={busy && fetcher.formData?.get('intent') === 'save'}
+            onClick={() => submit('save', {
+              name: values.name,
+              quality: values.quality,
+              maxWidth: values.maxWidth,
+              maxHeight: values.maxHeight,
+              format: values.format,
+              chromaSubsampling: values.chromaSubsampling,
+              stripMetadata: values.stripMetadata,
+              keepCopyright: values.keepCopyright,
+              autoOrient: values.autoOrient,
+              iccProfile: values.iccProfile,
+              targetSsim: values.targetSsim,
+              animatedFormat: values.animatedFormat,
+              animatedVideo: values.animatedVideo,
+              derivativeWidths: values.derivativeWidths,
+              derivativeFormats: values.derivativeFormats.join(','),
+            })}
+          >
+            Save
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+}
@@ -0,0 +1,37 @@
+import { json } from '@remix-run/node';
+import { authenticate } from '../shopify.server';
+import { findStoredImage } from '../utils/firebaseStorage.server';
+import { buildSrcsetManifest } from '../utils/srcsetManifest.server';
+
+// Manifests only change when an image is recompressed or reverted
+const CACHE_CONTROL = 'public, max-age=300';
+
+/**
+ * GET /apps/imageboost/srcset?image_id=<media id>&src=<image url>&sizes=<sizes>
+ * App proxy endpoint for themes. Either parameter identifies the image; the
+ * storefront URL of a compressed image (any size or ?v= suffix) works as `src`.
+ * Responds with the srcset manifest, or 404 when the image has no derivatives.
+ */
+export async function loader({ request }) {
+  const { session } = await authenticate.public.appProxy(request);
+  if (!session) {
+    return json({ error: 'App not installed' }, { status: 404 });
+  }
+
+  const params = new URL(request.url).searchParams;
+  const imageId = params.get('image_id')?.split('/').pop() || null;
+  let src = params.get('src') || '';
+  if (src.startsWith('//')) src = `https:${src}`;
+  // Legacy img_url sizes ("name_800x.jpg") point at the same file
+  src = src.replace(/_(\d+x\d*|\d*x\d+)(?=\.\w+(\?|$))/, '');
+  if (!imageId && !src) {
+    return json({ error: 'image_id or src is required' }, { status: 400 });
+  }
+
+  const record = await findStoredImage(session.shop, src, imageId);
+  const manifest = buildSrcsetManifest(record, params.get('sizes') ? { sizes: params.get('sizes') } : undefined);
+  if (!manifest) {
+    return json({ error: 'No srcset for this image' }, { status: 404, headers: { 'Cache-Control': CACHE_CONTROL } });
+  }
+  return json(manifest, { headers: { 'Cache-Control': CACHE_CONTROL } });
+}
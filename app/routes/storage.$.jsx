@@ -0,0 +1,40 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { resolveLocalPath } from '../utils/storage/localAdapter.server';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.avif': 'image/avif',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+/**
+ * GET /storage/*
+ * Serves files written by the local storage backend. Stored names end in a
+ * random token or are a random uuid, the same level of protection as
+ * Firebase's token download URLs.
+ */
+export async function loader({ params }) {
+  if ((process.env.IMAGE_STORAGE_BACKEND || 'firebase').toLowerCase() !== 'local') {
+    return new Response('Not found', { status: 404 });
+  }
+
+  try {
+    const filePath = resolveLocalPath(params['*'] || '');
+    const body = await readFile(filePath);
+    return new Response(body, {
+      headers: {
+        'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+        // Not immutable: moved and republished files can reuse a path
+        'Cache-Control': 'public, max-age=3600'
+      }
+    });
+  } catch {
+    return new Response('Not found', { status: 404 });
+  }
+}
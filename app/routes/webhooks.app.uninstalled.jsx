@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { scheduleShopPurge, runDuePurges } from "../utils/shopDataPurge.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +13,10 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Stored images are kept for the grace period in case the shop reinstalls
+  await scheduleShopPurge(shop, topic);
+  // Don't hold the webhook response (Shopify times out after 5s)
+  runDuePurges().catch(error => console.error("[Purge] runDuePurges failed", error));
+
   return new Response();
 };
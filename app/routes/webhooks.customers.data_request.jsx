@@ -0,0 +1,14 @@
+import { authenticate } from "../shopify.server";
+
+// The app only stores product images and their metadata; there is no
+// customer data to report.
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`, {
+    customerId: payload.customer?.id,
+    dataRequestId: payload.data_request?.id,
+  });
+
+  return new Response();
+};
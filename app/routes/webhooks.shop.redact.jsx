@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { scheduleShopPurge, runDuePurges } from "../utils/shopDataPurge.server";
+
+// Sent 48 hours after uninstall (and only if the shop did not reinstall).
+// The purge keeps the schedule set by app/uninstalled, if any.
+export const action = async ({ request }) => {
+  const { shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await scheduleShopPurge(shop, topic);
+  // Don't hold the webhook response (Shopify times out after 5s)
+  runDuePurges().catch(error => console.error("[Purge] runDuePurges failed", error));
+
+  return new Response();
+};
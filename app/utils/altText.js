@@ -0,0 +1,83 @@
+// Alt text checks and templates, shared by the SEO Audits loader and the
+// inline editor in the browser.
+
+// Screen readers commonly cut alt text off around this length
+export const ALT_TEXT_MAX_LENGTH = 125;
+
+export const ALT_TEXT_PLACEHOLDERS = ['product_title', 'vendor', 'variant', 'product_type', 'handle', 'index'];
+
+export const ALT_ISSUE_LABELS = {
+  missing: 'Missing',
+  duplicate: 'Duplicate',
+  'too-long': 'Too long',
+  'filename-like': 'Looks like a filename'
+};
+
+const IMAGE_EXTENSION = /\.(jpe?g|png|gif|webp|avif|heic|tiff?|bmp|svg)$/i;
+const CAMERA_NAME = /^(img|dsc|dscn|dcim|pxl|photo|image|screenshot)[\s_-]*\d+/i;
+const SEPARATORS = '-–—|,·/';
+
+/**
+ * Key used to compare alt texts for duplicates.
+ */
+export const normalizeAlt = alt => (alt || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Whether alt text reads like a file or camera name rather than a description
+ * ("IMG_2041", "blue-shirt-final_v2.jpg").
+ */
+export function isFilenameLike(alt) {
+  const value = (alt || '').trim();
+  if (!value) return false;
+  if (IMAGE_EXTENSION.test(value) || CAMERA_NAME.test(value)) return true;
+  // One token glued together with _ or -, carrying digits: "product_01", "shirt-3-2"
+  return !/\s/.test(value) && /[_-]/.test(value) && /\d/.test(value);
+}
+
+/**
+ * Problems with an image's alt text.
+ * @param {string} alt
+ * @param {Object} [options]
+ * @param {number} [options.usageCount] - How many images in the catalog use this alt text
+ * @returns {Array<string>} - Keys of ALT_ISSUE_LABELS
+ */
+export function altTextIssues(alt, { usageCount = 1 } = {}) {
+  const value = (alt || '').trim();
+  if (!value) return ['missing'];
+
+  const issues = [];
+  if (usageCount > 1) issues.push('duplicate');
+  if (value.length > ALT_TEXT_MAX_LENGTH) issues.push('too-long');
+  if (isFilenameLike(value)) issues.push('filename-like');
+  return issues;
+}
+
+/**
+ * Fills an alt text template such as `{product_title} - {vendor} - {variant}`.
+ * Placeholders without a value are dropped together with the separator next
+ * to them, so a product without variants doesn't end in a dangling " - ".
+ *
+ * @param {string} template
+ * @param {Object} image - Row with title, vendor, productType, productHandle, variants, position
+ * @returns {string}
+ */
+export function renderAltTemplate(template, image) {
+  const values = {
+    product_title: image.title,
+    vendor: image.vendor,
+    variant: (image.variants || []).join(', '),
+    product_type: image.productType,
+    handle: image.productHandle,
+    index: image.position != null ? String(image.position) : ''
+  };
+
+  const sep = `[${SEPARATORS.replace(/[-\\/|]/g, '\\$&')}]`;
+  return template
+    .replace(/\{(\w+)\}/g, (match, key) => (key in values ? (values[key] || '').trim() : match))
+    // empty placeholder between two separators: keep one
+    .replace(new RegExp(`\\s*(${sep})(\\s*${sep})+\\s*`, 'g'), ' $1 ')
+    .replace(new RegExp(`^(\\s*${sep})+\\s*|\\s*(${sep}\\s*)+$`, 'g'), '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 512);
+}
@@ -0,0 +1,97 @@
+import prisma from '../db.server';
+import { unauthenticated } from '../shopify.server';
+import { fetchCatalogAltTexts } from './productCatalog.server';
+import { normalizeAlt } from './altText';
+
+// Catalog-wide alt text usage per shop, for duplicate detection on the SEO
+// audit. Counting needs every product, far too slow for a page load, so the
+// counts are stored and rebuilt in the background once they get old; alt
+// text saves adjust them in between.
+
+/** Hours after which a shop's index is rebuilt on its next read. */
+export const ALT_INDEX_MAX_AGE_HOURS = Math.max(1, Number(process.env.ALT_INDEX_MAX_AGE_HOURS ?? 24));
+
+// Builds running in THIS process, keyed by shop
+const runningBuilds = new Map();
+
+const parseCounts = value => {
+  try {
+    return JSON.parse(value) || {};
+  } catch {
+    return {};
+  }
+};
+
+async function buildAltTextIndex(shop) {
+  const { admin } = await unauthenticated.admin(shop);
+  const alts = await fetchCatalogAltTexts(admin);
+  const counts = {};
+  alts.forEach(alt => {
+    const key = normalizeAlt(alt);
+    if (key) counts[key] = (counts[key] || 0) + 1;
+  });
+
+  const data = { counts: JSON.stringify(counts), images: alts.length, builtAt: new Date() };
+  await prisma.altTextIndex.upsert({ where: { shop }, create: { shop, ...data }, update: data });
+  console.log(`[AltIndex] Indexed ${alts.length} images of ${shop}`);
+}
+
+/**
+ * Rebuilds the shop's index from its whole catalog in the background if this
+ * process is not already doing so. Returns immediately.
+ */
+export function refreshAltTextIndex(shop) {
+  if (runningBuilds.has(shop)) return runningBuilds.get(shop);
+
+  const run = buildAltTextIndex(shop)
+    .catch(err => console.error(`[AltIndex] Could not index ${shop}:`, err))
+    .finally(() => runningBuilds.delete(shop));
+  runningBuilds.set(shop, run);
+  return run;
+}
+
+/**
+ * How many images of the shop's catalog use each of the given alt texts.
+ * Starts a rebuild when the index is missing or older than
+ * ALT_INDEX_MAX_AGE_HOURS.
+ * @param {string} shop
+ * @param {Array<string>} keys - Normalized alt texts (see normalizeAlt)
+ * @returns {Promise<{counts: Object, builtAt: Date|null, building: boolean}>} -
+ *   `counts` is empty until the first build has finished
+ */
+export async function getAltTextUsage(shop, keys) {
+  const index = await prisma.altTextIndex.findUnique({ where: { shop } });
+  const stale = !index || Date.now() - index.builtAt.getTime() > ALT_INDEX_MAX_AGE_HOURS * 3600 * 1000;
+  if (stale) refreshAltTextIndex(shop);
+
+  const all = index ? parseCounts(index.counts) : {};
+  const counts = {};
+  keys.forEach(key => {
+    if (all[key]) counts[key] = all[key];
+  });
+  return { counts, builtAt: index?.builtAt ?? null, building: runningBuilds.has(shop) };
+}
+
+/**
+ * Moves saved alt texts from their previous entry to their new one, so the
+ * index stays right until its next rebuild.
+ * @param {string} shop
+ * @param {Array<{previousAlt: string, alt: string}>} changes
+ */
+export async function recordAltTextChanges(shop, changes) {
+  const index = await prisma.altTextIndex.findUnique({ where: { shop } });
+  if (!index) return;
+
+  const counts = parseCounts(index.counts);
+  changes.forEach(({ previousAlt, alt }) => {
+    const from = normalizeAlt(previousAlt);
+    const to = normalizeAlt(alt);
+    if (from === to) return;
+    if (from && counts[from]) {
+      counts[from] -= 1;
+      if (!counts[from]) delete counts[from];
+    }
+    if (to) counts[to] = (counts[to] || 0) + 1;
+  });
+  await prisma.altTextIndex.update({ where: { shop }, data: { counts: JSON.stringify(counts) } });
+}
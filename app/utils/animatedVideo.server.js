@@ -0,0 +1,56 @@
+// Converts animated GIFs to MP4/WebM with ffmpeg. Video is usually a fraction
+// of the GIF's size; themes can play it in place of the animated image.
+// ffmpeg is optional: without FFMPEG_PATH no video is made.
+import { execFile } from 'node:child_process';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+export const FFMPEG_PATH = process.env.FFMPEG_PATH || null;
+export const VIDEO_FORMATS = ['mp4', 'webm'];
+
+const FFMPEG_TIMEOUT_MS = 120000;
+
+const ENCODER_ARGS = {
+  // H.264 needs even dimensions and 4:2:0 for browsers to play it
+  mp4: ['-c:v', 'libx264', '-preset', 'slow', '-crf', '26', '-pix_fmt', 'yuv420p',
+    '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2', '-movflags', '+faststart'],
+  webm: ['-c:v', 'libvpx-vp9', '-crf', '34', '-b:v', '0', '-row-mt', '1']
+};
+
+export const videoContentType = format => `video/${format}`;
+
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, args, { timeout: FFMPEG_TIMEOUT_MS }, (error, _stdout, stderr) => {
+      if (error) {
+        reject(new Error(`ffmpeg failed: ${(stderr || error.message).trim().split('\n').pop()}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Encodes an animated GIF as a silent, looping-friendly video.
+ * @param {Buffer} gifBuffer
+ * @param {string} format - 'mp4' | 'webm'
+ * @returns {Promise<{buffer: Buffer, format: string, contentType: string}>}
+ * @throws When FFMPEG_PATH is not set or ffmpeg fails
+ */
+export async function convertGifToVideo(gifBuffer, format) {
+  if (!FFMPEG_PATH) throw new Error('FFMPEG_PATH is not set');
+  if (!VIDEO_FORMATS.includes(format)) throw new Error(`Unsupported video format: ${format}`);
+
+  const dir = await mkdtemp(path.join(tmpdir(), 'animation-'));
+  try {
+    const input = path.join(dir, 'input.gif');
+    const output = path.join(dir, `output.${format}`);
+    await writeFile(input, gifBuffer);
+    await runFfmpeg(['-hide_banner', '-loglevel', 'error', '-y', '-i', input, '-an', ...ENCODER_ARGS[format], output]);
+    return { buffer: await readFile(output), format, contentType: videoContentType(format) };
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,172 @@
+// Compressions made for review: stored like any variant but marked as a
+// pending draft, and only published on Shopify once the merchant approves.
+// Drafts nobody approves expire and are cleaned up the next time drafts are
+// looked at (listing, a new compression job).
+import {
+  COMPRESSED_COLLECTION,
+  listStoredImages,
+  updateStoredImage,
+  deleteStoredImage
+} from './firebaseStorage.server';
+import { publishStoredImage, CLEARED_DRAFT } from './compressionPipeline.server';
+import { recordImageVersion, currentShopifyImageId } from './imageVersions.server';
+
+function summarizeDraft(record) {
+  const meta = record._compressionMetadata || {};
+  return {
+    id: record.id,
+    sourceUrl: record.originalUrl,
+    url: record.compressedUrl,
+    format: record.format,
+    size: record.size,
+    originalSize: record.originalSize ?? null,
+    savings: record.originalSize ? 1 - (record.size / record.originalSize) : null,
+    strategy: record.compressionStrategy ?? meta.strategy ?? null,
+    fallbackReason: meta.fallbackReason ?? null,
+    preset: meta.preset ?? null,
+    frames: record.frames ?? null,
+    productId: record.draftDetails?.productId ?? null,
+    imageId: record.draftDetails?.imageId ?? null,
+    requestedAt: record.draftDetails?.requestedAt ?? null,
+    expiresAt: record.draftDetails?.expiresAt ?? null
+  };
+}
+
+/** Deletes a draft made for review, or takes the mark off an earlier variant. */
+async function dropDraft(record) {
+  if (record.draftDetails?.created) {
+    await deleteStoredImage(COMPRESSED_COLLECTION, record);
+  } else {
+    await updateStoredImage(record.id, CLEARED_DRAFT);
+  }
+}
+
+/**
+ * Discards the shop's drafts whose review period has passed.
+ * @param {string} shop
+ * @returns {Promise<number>} - How many expired
+ */
+export async function expireDrafts(shop) {
+  const now = new Date().toISOString();
+  const records = await listStoredImages(shop, COMPRESSED_COLLECTION, { draft: true });
+  const expired = records.filter(record => !record.draftDetails?.expiresAt || record.draftDetails.expiresAt <= now);
+  for (const record of expired) {
+    try {
+      await dropDraft(record);
+    } catch (err) {
+      console.error(`[Drafts] Could not expire draft ${record.id}:`, err);
+    }
+  }
+  if (expired.length) console.log(`[Drafts] Expired ${expired.length} draft(s) of ${shop}`);
+  return expired.length;
+}
+
+/**
+ * The shop's pending drafts, oldest request first. Expired drafts are
+ * discarded first.
+ * @param {string} shop
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listDrafts(shop) {
+  await expireDrafts(shop);
+  const records = await listStoredImages(shop, COMPRESSED_COLLECTION, { draft: true });
+  return records
+    .map(summarizeDraft)
+    .sort((a, b) => String(a.requestedAt).localeCompare(String(b.requestedAt)));
+}
+
+async function pendingDraft(shop, id) {
+  const records = await listStoredImages(shop, COMPRESSED_COLLECTION, { draft: true });
+  const now = new Date().toISOString();
+  return records.find(record => record.id === id && record.draftDetails?.expiresAt > now) || null;
+}
+
+/**
+ * Media id the draft's image is shown as now. The one recorded with the
+ * draft is stale once another variant, or the original, was published in
+ * its place since.
+ */
+async function currentImageId(shop, record) {
+  const fromHistory = await currentShopifyImageId(shop, record.originalUrl);
+  if (fromHistory) return fromHistory;
+  const variants = await listStoredImages(shop, COMPRESSED_COLLECTION, { originalUrl: record.originalUrl });
+  return variants.find(variant => variant.shopifyImageId)?.shopifyImageId ?? record.draftDetails.imageId ?? null;
+}
+
+/**
+ * Publishes drafts on Shopify in place of the images they were made for.
+ * Drafts of the same image in one batch are all refused: each would replace
+ * the one published before it.
+ * @param {Object} params
+ * @param {string} params.shop
+ * @param {Object} params.admin - Admin API context
+ * @param {Array<string>} params.ids - Draft (compressed image record) ids
+ * @param {Object} [params.actor] - Who published them (see actorOf)
+ * @returns {Promise<Array<Object>>} - Per id: { id, published, draft?, shopify?, error? }
+ */
+export async function publishDrafts({ shop, admin, ids, actor = {} }) {
+  const uniqueIds = [...new Set(ids)];
+  const records = new Map();
+  for (const id of uniqueIds) records.set(id, await pendingDraft(shop, id));
+  const draftsPerSource = new Map();
+  for (const record of records.values()) {
+    if (record) draftsPerSource.set(record.originalUrl, (draftsPerSource.get(record.originalUrl) || 0) + 1);
+  }
+
+  const results = [];
+  for (const id of uniqueIds) {
+    const record = records.get(id);
+    if (!record) {
+      results.push({ id, published: false, error: 'Draft not found or expired' });
+      continue;
+    }
+    if (draftsPerSource.get(record.originalUrl) > 1) {
+      results.push({ id, published: false, error: 'Pick one draft per image to publish' });
+      continue;
+    }
+    const { productId } = record.draftDetails;
+    if (!productId) {
+      results.push({ id, published: false, error: 'The draft has no product to publish on' });
+      continue;
+    }
+
+    try {
+      const imageId = await currentImageId(shop, record);
+      const shopify = await publishStoredImage({ shop, admin, record, productId, imageId });
+      if (!shopify.replaced) {
+        results.push({ id, published: false, shopify, error: shopify.error || 'Shopify did not replace the image' });
+        continue;
+      }
+      await recordImageVersion({
+        shop,
+        sourceUrl: record.originalUrl,
+        kind: 'publish',
+        collection: COMPRESSED_COLLECTION,
+        record,
+        shopify,
+        actor
+      });
+      results.push({ id, published: true, draft: summarizeDraft(record), shopify });
+    } catch (err) {
+      console.error(`[Drafts] Could not publish draft ${id}:`, err);
+      results.push({ id, published: false, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Discards pending drafts without publishing them.
+ * @param {string} shop
+ * @param {Array<string>} ids
+ * @returns {Promise<Array<string>>} - Ids that were discarded
+ */
+export async function discardDrafts(shop, ids) {
+  const records = await listStoredImages(shop, COMPRESSED_COLLECTION, { draft: true });
+  const discarded = [];
+  for (const record of records.filter(r => ids.includes(r.id))) {
+    await dropDraft(record);
+    discarded.push(record.id);
+  }
+  return discarded;
+}
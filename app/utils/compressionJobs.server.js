@@ -0,0 +1,367 @@
+import { EventEmitter } from 'events';
+import prisma from '../db.server';
+import { unauthenticated } from '../shopify.server';
+import { compressImageItem, summarizeResults } from './compressionPipeline.server';
+import { expireDrafts } from './compressionDrafts.server';
+
+// How many times an item is attempted before it is marked as failed
+export const MAX_ATTEMPTS = Number(process.env.COMPRESSION_JOB_MAX_ATTEMPTS || 3);
+// Delay before retrying a failed item, multiplied by the attempt number
+const RETRY_DELAY_MS = 2000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Jobs currently being worked on by THIS process, keyed by job id. Anything in
+// the database marked as running but missing here was interrupted (deploy,
+// crash) and can be resumed.
+const runningJobs = new Map();
+
+// Per-image progress events, keyed by job id. The streaming route subscribes
+// here; nothing is persisted, the job rows remain the source of truth.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function emitJobEvent(jobId, event) {
+  jobEvents.emit(jobId, { jobId, ...event });
+}
+
+const counts = job => ({
+  total: job.total,
+  completed: job.completed,
+  failed: job.failed,
+  progress: job.total ? Math.round(((job.completed + job.failed) / job.total) * 100) : 0
+});
+
+/**
+ * Subscribes to progress events of a job. Returns an unsubscribe function.
+ * Events: item-start, item-retry, item-complete, complete.
+ */
+export function subscribeToJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const parseJson = (value, fallback = null) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Shapes a job row (with items) for the client.
+ */
+function serializeJob(job) {
+  if (!job) return null;
+  const items = (job.items || []).map(item => ({
+    id: item.id,
+    position: item.position,
+    url: item.url,
+    productId: item.productId,
+    imageId: item.imageId,
+    status: item.status,
+    attempts: item.attempts,
+    error: item.error,
+    result: parseJson(item.result)
+  }));
+  const results = items.map(item => item.result || (item.status === 'failed'
+    ? { url: item.url, success: false, error: item.error, strategy: job.strategy }
+    : null)).filter(Boolean);
+
+  return {
+    id: job.id,
+    shop: job.shop,
+    strategy: job.strategy,
+    options: parseJson(job.options, {}),
+    force: job.force,
+    draft: job.draft,
+    status: job.status,
+    ...counts(job),
+    currentUrl: items.find(item => item.status === 'running')?.url || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    items,
+    results,
+    ...summarizeResults(results)
+  };
+}
+
+/**
+ * Persists a new compression job with one item per image.
+ * @param {Object} params
+ * @param {string} params.shop
+ * @param {string} params.strategy
+ * @param {Object} params.options - Compression options passed to the strategy
+ * @param {boolean} [params.force] - Compress again even when a variant with these settings exists
+ * @param {boolean} [params.draft] - Keep the results as drafts for review instead of publishing them
+ * @param {Object} [params.actor] - Who queued the job (see actorOf)
+ * @param {Array<{url: string, productId?: string, imageId?: string}>} params.items
+ * @returns {Promise<Object>} - The serialized job
+ */
+export async function createCompressionJob({ shop, strategy, options = {}, force = false, draft = false, actor = {}, items }) {
+  const job = await prisma.compressionJob.create({
+    data: {
+      shop,
+      strategy,
+      force,
+      draft,
+      actorId: actor.actorId ?? null,
+      actorName: actor.actorName ?? null,
+      options: JSON.stringify(options),
+      total: items.length,
+      items: {
+        create: items.map((item, position) => ({
+          position,
+          url: item.url,
+          productId: item.productId || null,
+          imageId: item.imageId || null
+        }))
+      }
+    },
+    include: { items: { orderBy: { position: 'asc' } } }
+  });
+  console.log(`[Jobs] Created job ${job.id} for ${shop} with ${items.length} item(s)`);
+  return serializeJob(job);
+}
+
+/**
+ * Loads a job for the given shop, or null if it does not exist / belongs to
+ * another shop.
+ */
+export async function getCompressionJob(shop, jobId) {
+  const job = await prisma.compressionJob.findFirst({
+    where: { id: jobId, shop },
+    include: { items: { orderBy: { position: 'asc' } } }
+  });
+  return serializeJob(job);
+}
+
+/**
+ * Returns the most recent queued/running job for the shop so the UI can pick
+ * up its progress after a page reload.
+ */
+export async function findActiveCompressionJob(shop) {
+  const job = await prisma.compressionJob.findFirst({
+    where: { shop, status: { in: ACTIVE_STATUSES } },
+    orderBy: { createdAt: 'desc' },
+    include: { items: { orderBy: { position: 'asc' } } }
+  });
+  return serializeJob(job);
+}
+
+/**
+ * Starts processing a job in the background if this process is not already
+ * working on it. Returns immediately.
+ */
+export function startCompressionJob(jobId) {
+  if (runningJobs.has(jobId)) return runningJobs.get(jobId);
+
+  const run = runJob(jobId)
+    .catch(err => console.error(`[Jobs] Job ${jobId} crashed:`, err))
+    .finally(() => runningJobs.delete(jobId));
+  runningJobs.set(jobId, run);
+  return run;
+}
+
+/**
+ * Picks up jobs for the shop that are marked active in the database but are
+ * not being processed by this process (e.g. after a restart).
+ */
+export async function resumeInterruptedJobs(shop) {
+  const jobs = await prisma.compressionJob.findMany({
+    where: { shop, status: { in: ACTIVE_STATUSES } },
+    select: { id: true }
+  });
+  for (const { id } of jobs) {
+    if (!runningJobs.has(id)) {
+      console.log(`[Jobs] Resuming interrupted job ${id}`);
+      startCompressionJob(id);
+    }
+  }
+}
+
+/**
+ * Re-queues the failed items of a finished (completed or cancelled) job and
+ * starts it again. Returns 'active' while the job is still queued or running:
+ * the run in progress owns its items and status.
+ */
+export async function retryFailedItems(shop, jobId) {
+  const job = await prisma.compressionJob.findFirst({ where: { id: jobId, shop } });
+  if (!job) return null;
+  if (ACTIVE_STATUSES.includes(job.status)) return 'active';
+
+  // A run that just finished may still be wrapping up
+  await runningJobs.get(jobId);
+
+  const { count } = await prisma.compressionJobItem.updateMany({
+    where: { jobId, status: 'failed' },
+    data: { status: 'pending', attempts: 0, error: null, result: null }
+  });
+  if (count) {
+    await prisma.compressionJob.update({
+      where: { id: jobId },
+      data: { status: 'queued', failed: { decrement: count }, finishedAt: null }
+    });
+    startCompressionJob(jobId);
+  }
+  return getCompressionJob(shop, jobId);
+}
+
+/**
+ * Stops a job after the item currently in progress.
+ */
+export async function cancelCompressionJob(shop, jobId) {
+  const { count } = await prisma.compressionJob.updateMany({
+    where: { id: jobId, shop, status: { in: ACTIVE_STATUSES } },
+    data: { status: 'cancelled', finishedAt: new Date() }
+  });
+  if (!count) return null;
+  const job = await getCompressionJob(shop, jobId);
+  emitJobEvent(jobId, { type: 'complete', job });
+  return job;
+}
+
+/**
+ * Cancels every queued or running job of the shop, e.g. before its data is
+ * purged. Returns whether this process is still working on one of its jobs:
+ * a job stops only after the item in progress.
+ */
+export async function cancelShopJobs(shop) {
+  const jobs = await prisma.compressionJob.findMany({ where: { shop }, select: { id: true, status: true } });
+  for (const { id, status } of jobs) {
+    if (ACTIVE_STATUSES.includes(status)) await cancelCompressionJob(shop, id);
+  }
+  return jobs.some(({ id }) => runningJobs.has(id));
+}
+
+async function runJob(jobId) {
+  const job = await prisma.compressionJob.findUnique({ where: { id: jobId } });
+  if (!job || !ACTIVE_STATUSES.includes(job.status)) return;
+
+  // Conditional update so a job cancelled in the meantime stays cancelled
+  const { count } = await prisma.compressionJob.updateMany({
+    where: { id: jobId, status: { in: ACTIVE_STATUSES } },
+    data: { status: 'running', startedAt: job.startedAt || new Date() }
+  });
+  if (!count) return;
+
+  // Items left "running" by an interrupted process are picked up again
+  await prisma.compressionJobItem.updateMany({
+    where: { jobId, status: 'running' },
+    data: { status: 'pending' }
+  });
+
+  // Offline session gives us an Admin API client that outlives the request that queued the job
+  let admin = null;
+  try {
+    ({ admin } = await unauthenticated.admin(job.shop));
+  } catch (authErr) {
+    console.warn(`[Jobs] No offline session for ${job.shop}, images will not be replaced on Shopify:`, authErr.message);
+  }
+
+  const compressionOptions = parseJson(job.options, {});
+
+  // Drafts left unreviewed past their expiry make way before new ones are made
+  try {
+    await expireDrafts(job.shop);
+  } catch (err) {
+    console.error(`[Jobs] Could not expire drafts of ${job.shop}:`, err);
+  }
+
+  for (;;) {
+    const current = await prisma.compressionJob.findUnique({ where: { id: jobId }, select: { status: true } });
+    if (current?.status !== 'running') {
+      console.log(`[Jobs] Job ${jobId} is ${current?.status}, stopping worker`);
+      return;
+    }
+
+    const item = await prisma.compressionJobItem.findFirst({
+      where: { jobId, status: 'pending' },
+      orderBy: { position: 'asc' }
+    });
+    if (!item) break;
+
+    const attempt = item.attempts + 1;
+    await prisma.compressionJobItem.update({
+      where: { id: item.id },
+      data: { status: 'running', attempts: attempt }
+    });
+    console.log(`\n--- [Jobs] ${jobId} item ${item.position + 1}/${job.total} (attempt ${attempt}): ${item.url} ---`);
+    emitJobEvent(jobId, { type: 'item-start', position: item.position, url: item.url, attempt });
+
+    try {
+      const result = await compressImageItem({
+        shop: job.shop,
+        url: item.url,
+        productId: item.productId,
+        imageId: item.imageId,
+        strategy: job.strategy,
+        compressionOptions,
+        force: job.force,
+        draft: job.draft,
+        actor: { actorId: job.actorId, actorName: job.actorName },
+        admin
+      });
+      const [, updatedJob] = await prisma.$transaction([
+        prisma.compressionJobItem.update({
+          where: { id: item.id },
+          data: { status: 'succeeded', result: JSON.stringify(result), error: null }
+        }),
+        prisma.compressionJob.update({
+          where: { id: jobId },
+          data: { completed: { increment: 1 } }
+        })
+      ]);
+      emitJobEvent(jobId, { type: 'item-complete', position: item.position, url: item.url, result, ...counts(updatedJob) });
+    } catch (error) {
+      console.error(`[Jobs] Error processing ${item.url} with ${job.strategy}:`, error.message);
+
+      // Errors marked `retryable: false` would fail the same way again
+      if (attempt < MAX_ATTEMPTS && error.retryable !== false) {
+        await prisma.compressionJobItem.update({
+          where: { id: item.id },
+          data: { status: 'pending', error: error.message }
+        });
+        emitJobEvent(jobId, { type: 'item-retry', position: item.position, url: item.url, attempt, error: error.message });
+        await sleep(RETRY_DELAY_MS * attempt);
+        continue;
+      }
+
+      const failure = {
+        url: item.url,
+        success: false,
+        error: error.message,
+        errorDetails: {
+          code: error.code,
+          name: error.name,
+          status: error.status,
+          details: error.details
+        },
+        strategy: job.strategy
+      };
+      const [, updatedJob] = await prisma.$transaction([
+        prisma.compressionJobItem.update({
+          where: { id: item.id },
+          data: { status: 'failed', result: JSON.stringify(failure), error: error.message }
+        }),
+        prisma.compressionJob.update({
+          where: { id: jobId },
+          data: { failed: { increment: 1 } }
+        })
+      ]);
+      emitJobEvent(jobId, { type: 'item-complete', position: item.position, url: item.url, result: failure, ...counts(updatedJob) });
+    }
+  }
+
+  await prisma.compressionJob.updateMany({
+    where: { id: jobId, status: 'running' },
+    data: { status: 'completed', finishedAt: new Date() }
+  });
+  console.log(`[Jobs] Job ${jobId} completed`);
+  emitJobEvent(jobId, { type: 'complete', job: await getCompressionJob(job.shop, jobId) });
+}
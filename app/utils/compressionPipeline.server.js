@@ -0,0 +1,542 @@
+import { createHash } from 'node:crypto';
+import { compressMultipleImages as tinifyCompress } from './imageCompression.server';
+import { compressMultipleImages as sharpCompress, generateDerivatives } from './sharpCompression.server';
+import {
+  findStoredImage,
+  findStoredImageByContent,
+  storeCompressedImage,
+  storeOriginalImage,
+  findOriginalImage,
+  readStoredImage,
+  updateStoredImage,
+  listStoredImages,
+  COMPRESSED_COLLECTION,
+  ORIGINALS_COLLECTION,
+  canonical
+} from './firebaseStorage.server.js';
+import { replaceProductImage, mimeTypeForFormat, getMediaPlacement, getProductImageFilenames } from './shopifyMedia.server';
+import { getProductSummary } from './productCatalog.server';
+import { getProductKeywords } from './productKeywords.server';
+import { renderFilename, dedupeFilename } from './seoFilename.server';
+import { buildSrcsetManifest } from './srcsetManifest.server';
+import { fetchSourceImage, describeSourceImage } from './sourceImage.server';
+import { resolveSourceUrl, recordImageVersion } from './imageVersions.server';
+
+// Preset fields that shaped the output, recorded with every compressed image
+const compressionSettings = ({
+  quality, maxWidth, maxHeight, format, stripMetadata, keepCopyright, autoOrient, iccProfile,
+  chromaSubsampling, targetSsim, animatedFormat, animatedVideo, derivativeWidths, derivativeFormats
+}) => ({
+  quality, maxWidth, maxHeight, format, stripMetadata, keepCopyright, autoOrient, iccProfile,
+  chromaSubsampling, targetSsim, animatedFormat, animatedVideo, derivativeWidths, derivativeFormats
+});
+
+/** How long a draft compression waits for review, in hours (default 72). */
+export const DRAFT_TTL_HOURS = Math.max(1, Number(process.env.COMPRESSION_DRAFT_TTL_HOURS ?? 72));
+
+/**
+ * Fields marking a compressed image record as a pending draft: stored, but
+ * only published on Shopify once approved (see compressionDrafts.server).
+ * @param {Object} target
+ * @param {string} [target.productId] - Product the draft is to be published on
+ * @param {string} [target.imageId] - Media it replaces when published
+ * @param {boolean} target.created - Whether the record was made for the draft;
+ *   such records are deleted when the draft is discarded or expires, while
+ *   variants that existed before only lose the mark
+ */
+function draftFields({ productId = null, imageId = null, created }) {
+  const now = Date.now();
+  return {
+    draft: true,
+    draftDetails: {
+      productId,
+      imageId,
+      created,
+      requestedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + DRAFT_TTL_HOURS * 3600 * 1000).toISOString()
+    }
+  };
+}
+
+/** Takes the draft mark off a record. */
+export const CLEARED_DRAFT = { draft: false, draftDetails: null };
+
+const extensionFor = format => (format === 'jpeg' ? 'jpg' : format);
+
+/**
+ * SEO filename (without extension) for the compressed image, rendered from
+ * IMAGE_FILENAME_TEMPLATE with the product's handle, focus keyword and the
+ * image's position. Without a product only the source filename is known.
+ */
+async function seoFilenameFor({ shop, url, productId, imageId, admin }) {
+  const context = { originalUrl: url };
+  if (admin && productId) {
+    try {
+      const [product, keywords, placement] = await Promise.all([
+        getProductSummary(admin, productId),
+        getProductKeywords(shop, [productId]),
+        imageId ? getMediaPlacement(admin, productId, imageId) : null
+      ]);
+      Object.assign(context, product, {
+        keyword: keywords[String(productId)],
+        index: placement?.position
+      });
+    } catch (err) {
+      console.warn('[Pipeline] Could not load product details for the filename:', err.message);
+    }
+  }
+  return renderFilename(context);
+}
+
+/**
+ * srcset derivatives of the source for the preset's widths and formats,
+ * as companions of the compressed image. Animations get none. Failures are
+ * logged and yield none; the compressed image is stored either way.
+ */
+async function derivativesFor({ sourceBuffer, frames, compressionOptions }) {
+  const { derivativeWidths, derivativeFormats } = compressionOptions;
+  if (!derivativeWidths?.length || !derivativeFormats?.length || frames > 1) return [];
+
+  try {
+    const derivatives = await generateDerivatives(sourceBuffer, compressionOptions);
+    return derivatives.map(({ buffer: data, format, width, height }) => ({
+      kind: 'derivative',
+      buffer: data,
+      format: extensionFor(format),
+      contentType: mimeTypeForFormat(format),
+      suffix: `-${width}w`,
+      width,
+      height
+    }));
+  } catch (err) {
+    console.error('[Pipeline] Could not generate srcset derivatives:', err);
+    return [];
+  }
+}
+
+const sha256 = value => createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+/**
+ * Key of the effective compression settings: the requested strategy and the
+ * preset fields. A source has one stored variant per settings key.
+ */
+const settingsKeyFor = (strategy, settings) => sha256([strategy, settings]);
+
+/**
+ * Cache key of a compression: the source bytes, the requested strategy and
+ * the settings. Compressed images with the same key share their files.
+ */
+const contentKeyFor = (sourceHash, strategy, settings) => sha256([sourceHash, strategy, settings]);
+
+/**
+ * The image to compress. Once an original is stored it is the source, so
+ * recompressing never starts from an earlier compression that replaced the
+ * image on Shopify; otherwise it is downloaded.
+ * @returns {Promise<{source: Object, original: Object|null}>}
+ */
+async function sourceFor(shop, url) {
+  const original = await findOriginalImage(shop, url);
+  if (original) {
+    try {
+      return { source: describeSourceImage(url, await readStoredImage(original), original.format), original };
+    } catch (err) {
+      console.warn('[Pipeline] Could not read the stored original, downloading the source:', err.message);
+    }
+  }
+  return { source: await fetchSourceImage(url), original };
+}
+
+/**
+ * A stored compression with the same content key (a photo shared by several
+ * products, or re-uploaded under a new URL) as a compressor result, so it is
+ * recorded and published without compressing again.
+ */
+async function previousCompressionOf({ shop, source, contentKey }) {
+  const match = await findStoredImageByContent(shop, contentKey);
+  if (!match) return null;
+
+  try {
+    const buffer = await readStoredImage(match);
+    console.log(`[Pipeline] Same content already compressed as ${match.id}, reusing it`);
+    return {
+      success: true,
+      buffer,
+      originalSize: source.size,
+      compressedSize: buffer.length,
+      savings: 1 - (buffer.length / source.size),
+      format: match.format,
+      strategy: match.compressionStrategy,
+      frames: match.frames,
+      _compressionMetadata: { ...match._compressionMetadata, reusedFrom: match.id }
+    };
+  } catch (err) {
+    console.warn('[Pipeline] Could not read the previous compression, compressing again:', err.message);
+    return null;
+  }
+}
+
+/** Marks every variant of a source but `exceptId` as no longer on Shopify. */
+async function unpublishVariants(shop, sourceUrl, exceptId = null) {
+  const variants = await listStoredImages(shop, COMPRESSED_COLLECTION, { originalUrl: canonical(sourceUrl) });
+  for (const variant of variants) {
+    if (variant.id !== exceptId && variant.shopifyImageId) {
+      await updateStoredImage(variant.id, { shopifyImageId: null, shopifyCompressedUrl: null });
+    }
+  }
+}
+
+/**
+ * Puts the stored original of an image back on Shopify in place of the
+ * product image; none of its variants is published afterwards.
+ * @param {Object} params
+ * @param {string} params.shop
+ * @param {Object} params.admin - Admin API context
+ * @param {Object} params.original - Original image record (findOriginalImage)
+ * @param {string} params.productId - Shopify product numeric id
+ * @param {string} [params.imageId] - Media id currently shown for the image
+ * @returns {Promise<Object>} - replaceProductImage's result
+ */
+export async function publishOriginalImage({ shop, admin, original, productId, imageId }) {
+  const replaced = await replaceProductImage(admin, {
+    productId,
+    mediaId: imageId || null,
+    buffer: await readStoredImage(original),
+    filename: new URL(original.originalUrl).pathname.split('/').pop() || `original.${original.format}`,
+    mimeType: mimeTypeForFormat(original.format)
+  });
+  if (replaced.newImageId) await unpublishVariants(shop, original.originalUrl);
+  return replaced;
+}
+
+/**
+ * Name (without extension) for an upload to Shopify: the SEO filename, with
+ * -2, -3, … when another image of the product already has it, since Shopify
+ * would append a UUID instead. The image being replaced doesn't count.
+ */
+async function shopifyFilename(admin, productId, imageId, seoFilename) {
+  try {
+    const filenames = await getProductImageFilenames(admin, productId);
+    if (imageId) filenames.delete(String(imageId));
+    const taken = new Set([...filenames.values()].map(name => name.toLowerCase()));
+    return (await dedupeFilename(seoFilename, async name => taken.has(name.toLowerCase()))) || seoFilename;
+  } catch (err) {
+    console.warn('[Pipeline] Could not read the product\'s image filenames:', err.message);
+    return seoFilename;
+  }
+}
+
+/**
+ * Publishes a stored variant on Shopify in place of the product image and
+ * records it as the published variant of its source.
+ * @param {Object} params
+ * @param {string} params.shop
+ * @param {Object} params.admin - Admin API context
+ * @param {Object} params.record - Compressed image record (or storeCompressedImage result)
+ * @param {string} params.productId - Shopify product numeric id
+ * @param {string} [params.imageId] - Media id currently shown for the image
+ * @param {Buffer} [params.buffer] - The variant's bytes, read from storage when omitted
+ * @returns {Promise<Object>} - replaceProductImage's result
+ */
+export async function publishStoredImage({ shop, admin, record, productId, imageId, buffer }) {
+  const format = record.format || 'webp';
+  const replaced = await replaceProductImage(admin, {
+    productId,
+    mediaId: imageId || null,
+    buffer: buffer || await readStoredImage(record),
+    filename: `${await shopifyFilename(admin, productId, imageId, record.seoFilename || 'image')}.${extensionFor(format)}`,
+    mimeType: mimeTypeForFormat(format)
+  });
+
+  if (record.id && replaced.newImageId && replaced.newImageUrl) {
+    // Only one variant of a source is live on Shopify
+    await unpublishVariants(shop, record.originalUrl, record.id);
+    await updateStoredImage(record.id, {
+      shopifyImageId:       replaced.newImageId,
+      shopifyCompressedUrl: canonical(replaced.newImageUrl),
+      ...(record.draft ? CLEARED_DRAFT : {})
+    });
+  }
+  return replaced;
+}
+
+/**
+ * Compresses a single image with the given strategy, stores the original and
+ * the compressed copy in image storage and, when Shopify identifiers are supplied,
+ * replaces the product image on Shopify. With `draft` the compressed copy is
+ * kept as a pending draft for review instead, published later through
+ * publishDrafts.
+ *
+ * Each source keeps one variant per strategy and settings: an existing
+ * variant for the requested ones is returned (and published in place of the
+ * image `imageId` when that is another variant) unless `force` is set. The
+ * source is the stored original, or downloaded once (see fetchSourceImage)
+ * for the compressor, the stored original and the derivatives. Identical
+ * bytes compressed before with the same strategy and settings are reused
+ * instead of compressed again, and the stored files are shared (see
+ * storeCompressedImage).
+ *
+ * Errors from the download and the compression itself are thrown so the
+ * caller (the job worker) can decide whether to retry; storage and Shopify
+ * failures are reported on the returned result instead.
+ *
+ * @param {Object} item
+ * @param {string} item.shop - Shop domain the image belongs to
+ * @param {string} item.url - Source image URL, or the URL of a compressed variant
+ * @param {string} [item.productId] - Shopify product numeric id
+ * @param {string} [item.imageId] - Shopify media image id being replaced
+ * @param {string} item.strategy - 'sharp' | 'tinify'
+ * @param {Object} item.compressionOptions - Preset options (see presetToCompressionOptions)
+ * @param {boolean} [item.force] - Compress again even when a variant with these settings exists
+ * @param {boolean} [item.draft] - Store as a pending draft instead of publishing on Shopify
+ * @param {Object} [item.actor] - Who asked for it, for the image history (see actorOf)
+ * @param {Object} [item.admin] - Admin API context, required for Shopify replacement
+ * @returns {Promise<Object>} - Per-image result as returned to the client
+ */
+export async function compressImageItem({ shop, url, productId, imageId, strategy, compressionOptions, force = false, draft = false, actor = {}, admin }) {
+  // A variant's URL (or an earlier revert's upload) stands for its source
+  const sourceUrl = await resolveSourceUrl(shop, url, imageId);
+  const settings = compressionSettings(compressionOptions);
+  const settingsKey = settingsKeyFor(strategy, settings);
+
+  // Try to find existing compressed image in storage first
+  const storedImage = force ? null : await findStoredImage(shop, sourceUrl, imageId, { settingsKey });
+  if (storedImage) {
+    console.log('Found existing compressed image in storage:', storedImage.url);
+    const cached = {
+      url,
+      success: true,
+      originalSize: storedImage.originalSize || 0,
+      compressedSize: storedImage.size || 0,
+      savings: storedImage.originalSize ? (1 - (storedImage.size / storedImage.originalSize)) : 0,
+      format: storedImage.format || 'webp',
+      compressedUrl: storedImage.url,
+      variantId: storedImage.id,
+      fromCache: true
+    };
+    const live = imageId ? storedImage.shopifyImageId === imageId : !!storedImage.shopifyImageId;
+    if (draft && !live) {
+      // The variant is up for review again; an existing draft stays one
+      const fields = draftFields({ productId, imageId, created: !!storedImage.draftDetails?.created });
+      await updateStoredImage(storedImage.id, fields);
+      cached.draft = { id: storedImage.id, expiresAt: fields.draftDetails.expiresAt };
+      return cached;
+    }
+    // Picking other settings again switches the product back to that variant
+    if (admin && productId && imageId && !live) {
+      try {
+        cached.shopify = await publishStoredImage({ shop, admin, record: storedImage, productId, imageId });
+      } catch (shopifyErr) {
+        console.error('[Pipeline] Shopify image replace error:', shopifyErr);
+        cached.shopify = { replaced: false, error: shopifyErr.message };
+      }
+      await recordImageVersion({
+        shop,
+        sourceUrl,
+        kind: 'publish',
+        collection: COMPRESSED_COLLECTION,
+        record: storedImage,
+        shopify: cached.shopify,
+        actor
+      });
+    }
+    return cached;
+  }
+
+  console.log(force ? 'Forced recompression...' : 'No cached version found, compressing...');
+
+  const { source, original } = await sourceFor(shop, sourceUrl);
+
+  // Ensure the ORIGINAL image is saved for future revert before we compress
+  if (!original) {
+    let storedOriginal = null;
+    try {
+      storedOriginal = await storeOriginalImage(shop, source.buffer, sourceUrl, { format: source.format, sourceHash: source.hash });
+      console.log('[Pipeline] Original image stored');
+    } catch (origErr) {
+      console.error('[Pipeline] Error while storing original image:', origErr);
+    }
+    if (storedOriginal) {
+      // what the product showed before any compression
+      await recordImageVersion({
+        shop,
+        sourceUrl,
+        kind: 'original',
+        collection: ORIGINALS_COLLECTION,
+        record: storedOriginal,
+        published: true,
+        actor
+      });
+    }
+  }
+
+  const contentKey = contentKeyFor(source.hash, strategy, settings);
+  let result = force ? null : await previousCompressionOf({ shop, source, contentKey });
+  const reused = !!result;
+
+  if (!result) {
+    const compressFunction = strategy === 'sharp' ? sharpCompress : tinifyCompress;
+    try {
+      const compressionGenerator = compressFunction([source], compressionOptions, { shop });
+      const firstYield = await compressionGenerator.next();
+
+      if (!firstYield.done && firstYield.value) {
+        const compressionResults = Array.isArray(firstYield.value) ? firstYield.value : [firstYield.value];
+        // Prefer the first successful result with a buffer, else whatever came back
+        result = compressionResults.find(r => r?.success && r?.buffer) || compressionResults[0] || null;
+      }
+    } catch (genError) {
+      console.error('Error in compression generator:', {
+        name: genError.name,
+        message: genError.message,
+        stack: genError.stack
+      });
+      throw new Error(`Compression failed: ${genError.message}`);
+    }
+  }
+
+  if (!result?.success || !result?.buffer) {
+    throw new Error(result?.error || 'Compression failed');
+  }
+
+  const savings = 1 - (result.compressedSize / result.originalSize);
+  const formatToStore = result.format || 'webp';
+  // Tinify hands images to Sharp when it can't handle them (GIF, animations),
+  // is out of quota or fails
+  const usedStrategy = result.strategy || strategy;
+  const fallbackReason = result._compressionMetadata?.fallbackReason ?? null;
+  const seoFilename = await seoFilenameFor({ shop, url: sourceUrl, productId, imageId, admin });
+  // A reused compression shares the companions made the first time
+  const derivatives = reused ? [] : await derivativesFor({
+    sourceBuffer: source.buffer,
+    frames: result.frames,
+    compressionOptions
+  });
+
+  const draftMark = draft ? draftFields({ productId, imageId, created: true }) : null;
+  let stored;
+  try {
+    stored = await storeCompressedImage(
+      shop,
+      result.buffer,
+      sourceUrl,
+      {
+        originalSize: result.originalSize,
+        compressionStrategy: usedStrategy,
+        format: formatToStore,
+        seoFilename,
+        sourceHash: source.hash,
+        // a forced recompression gets its own files instead of sharing the earlier ones
+        ...(force ? {} : { contentKey }),
+        settingsKey,
+        ...draftMark,
+        ...(result.frames > 1 ? { frames: result.frames } : {}),
+        _compressionMetadata: {
+          ...result._compressionMetadata,
+          originalFormat: result.originalFormat,
+          detectedFormat: result.format,
+          strategy: usedStrategy,
+          preset: compressionOptions.presetName ?? null,
+          settings,
+          timestamp: new Date().toISOString()
+        }
+      },
+      [...(result.video ? [{ kind: 'video', ...result.video }] : []), ...derivatives]
+    );
+    console.log('[Pipeline] Image stored successfully at:', stored.url);
+  } catch (storageError) {
+    console.error('Error storing compressed image:', storageError);
+    // Still return the result even if storage fails
+    const { buffer: _buffer, video: _video, ...rest } = result;
+    return {
+      ...rest,
+      url,
+      savings: result.savings || savings,
+      compressedUrl: url, // Fallback to original URL
+      fromCache: false,
+      storageError: storageError.message
+    };
+  }
+
+  const itemResult = {
+    url,
+    originalSize: result.originalSize,
+    compressedSize: result.compressedSize,
+    format: result.format,
+    savings: result.savings || savings,
+    compressedUrl: stored.url,
+    variantId: stored.id,
+    fromCache: false,
+    storedFormat: formatToStore,
+    strategy: usedStrategy,
+    ...(fallbackReason ? { requestedStrategy: strategy, fallbackReason } : {}),
+    ...(result._compressionMetadata?.reusedFrom ? { reusedFrom: result._compressionMetadata.reusedFrom } : {}),
+    ...(result.frames > 1 ? { frames: result.frames } : {}),
+    ...(stored.companions?.length ? { companions: stored.companions } : {}),
+    ...(stored.companions?.some(c => c.kind === 'derivative') ? { srcset: buildSrcsetManifest(stored) } : {}),
+    success: true
+  };
+
+  const versionOf = shopify => recordImageVersion({
+    shop,
+    sourceUrl,
+    kind: 'compression',
+    collection: COMPRESSED_COLLECTION,
+    record: {
+      ...stored,
+      compressionStrategy: usedStrategy,
+      _compressionMetadata: { strategy: usedStrategy, preset: compressionOptions.presetName ?? null, settings }
+    },
+    shopify,
+    actor
+  });
+
+  if (draftMark) {
+    itemResult.draft = { id: stored.id, expiresAt: draftMark.draftDetails.expiresAt };
+    await versionOf(null);
+    return itemResult;
+  }
+
+  // After storing, optionally replace image on Shopify
+  if (admin && productId) {
+    try {
+      itemResult.shopify = await publishStoredImage({
+        shop,
+        admin,
+        record: { ...stored, originalUrl: sourceUrl },
+        productId,
+        imageId,
+        buffer: result.buffer
+      });
+    } catch (shopifyErr) {
+      console.error('[Pipeline] Shopify image replace error:', shopifyErr);
+      itemResult.shopify = {
+        replaced: false,
+        error: shopifyErr.message
+      };
+    }
+  }
+  await versionOf(itemResult.shopify);
+
+  return itemResult;
+}
+
+/**
+ * Aggregates per-image results into the totals shown in the progress panel.
+ * @param {Array<Object>} results
+ * @returns {Object}
+ */
+export function summarizeResults(results) {
+  const successful = results.filter(r => r.success);
+  const totalOriginalSize = successful.reduce((sum, r) => sum + (r.originalSize || 0), 0);
+  const totalCompressedSize = successful.reduce((sum, r) => sum + (r.compressedSize || 0), 0);
+  const totalSavings = totalOriginalSize > 0 ? (1 - (totalCompressedSize / totalOriginalSize)) * 100 : 0;
+
+  return {
+    totalProcessed: results.length,
+    totalSuccessful: successful.length,
+    totalErrors: results.length - successful.length,
+    totalOriginalSize,
+    totalCompressedSize,
+    totalSavings: parseFloat(totalSavings.toFixed(2))
+  };
+}
@@ -0,0 +1,191 @@
+import prisma from '../db.server';
+
+export const PRESET_FORMATS = ['original', 'auto', 'avif', 'webp', 'jpeg', 'png'];
+export const CHROMA_SUBSAMPLING = ['4:2:0', '4:4:4'];
+export const ICC_POLICIES = ['srgb', 'keep', 'strip'];
+export const ANIMATED_FORMATS = ['original', 'webp'];
+export const ANIMATED_VIDEO_FORMATS = ['mp4', 'webm'];
+export const DERIVATIVE_FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+
+const MAX_DIMENSION = 10000;
+// Perceptual quality targets (SSIM) a preset may aim for
+export const TARGET_SSIM_RANGE = { min: 0.9, max: 0.999, default: 0.985 };
+const MAX_NAME_LENGTH = 40;
+const MAX_DERIVATIVE_WIDTHS = 8;
+const MIN_DERIVATIVE_WIDTH = 16;
+
+/**
+ * Presets every shop starts with. "Balanced" is the default.
+ */
+export const BUILT_IN_PRESETS = [
+  { name: 'Lossless',   quality: 100, maxWidth: null, maxHeight: null, format: 'original', stripMetadata: false, iccProfile: 'keep',  chromaSubsampling: '4:4:4', isDefault: false },
+  { name: 'Balanced',   quality: 80,  maxWidth: 2048, maxHeight: 2048, format: 'webp',     stripMetadata: true,  iccProfile: 'srgb',  chromaSubsampling: '4:2:0', isDefault: true },
+  { name: 'Aggressive', quality: 60,  maxWidth: 1600, maxHeight: 1600, format: 'webp',     stripMetadata: true,  iccProfile: 'strip', chromaSubsampling: '4:2:0', isDefault: false }
+];
+
+/**
+ * The shop's presets, default first. Creates the built-in presets for a
+ * shop that has none yet.
+ */
+export async function listPresets(shop) {
+  const presets = await prisma.compressionPreset.findMany({
+    where: { shop },
+    orderBy: [{ isDefault: 'desc' }, { createdAt: 'asc' }]
+  });
+  if (presets.length) return presets;
+
+  // skipDuplicates isn't available on SQLite; a concurrent first read may
+  // already have created them
+  await prisma.$transaction(BUILT_IN_PRESETS.map(preset => prisma.compressionPreset.upsert({
+    where: { shop_name: { shop, name: preset.name } },
+    create: { shop, ...preset },
+    update: {}
+  })));
+  return listPresets(shop);
+}
+
+/**
+ * A preset of the shop by id, or the shop's default preset when no id is
+ * given or it doesn't exist (e.g. deleted while a page was open).
+ */
+export async function resolvePreset(shop, presetId) {
+  const presets = await listPresets(shop);
+  return presets.find(p => p.id === presetId) || presets.find(p => p.isDefault) || presets[0];
+}
+
+const toInt = value => (value === '' || value == null ? null : Number(value));
+const toFloat = value => (value === '' || value == null ? null : Number(value));
+const toBool = value => value === true || value === 'true' || value === 'on';
+// Lists are stored comma-separated; SQLite has no array columns
+const toList = value => [...new Set(String(value ?? '').split(/[\s,]+/).filter(Boolean))];
+
+/**
+ * Checks and normalises preset fields coming from a form.
+ * @returns {{values: Object, errors: Object}} - errors keyed by field name
+ */
+export function validatePreset(input) {
+  const errors = {};
+  const values = {
+    name: String(input.name || '').trim().slice(0, MAX_NAME_LENGTH),
+    quality: toInt(input.quality),
+    maxWidth: toInt(input.maxWidth),
+    maxHeight: toInt(input.maxHeight),
+    format: input.format || 'original',
+    stripMetadata: toBool(input.stripMetadata),
+    keepCopyright: toBool(input.keepCopyright),
+    autoOrient: toBool(input.autoOrient),
+    iccProfile: input.iccProfile || 'srgb',
+    chromaSubsampling: input.chromaSubsampling || '4:2:0',
+    targetSsim: toFloat(input.targetSsim),
+    animatedFormat: input.animatedFormat || 'original',
+    animatedVideo: input.animatedVideo || null,
+    derivativeWidths: toList(input.derivativeWidths).map(Number).sort((a, b) => a - b).join(',') || null,
+    derivativeFormats: toList(input.derivativeFormats).join(',') || 'webp'
+  };
+
+  if (!values.name) errors.name = 'Name is required';
+  if (!Number.isInteger(values.quality) || values.quality < 1 || values.quality > 100) {
+    errors.quality = 'Quality must be between 1 and 100';
+  }
+  for (const field of ['maxWidth', 'maxHeight']) {
+    const value = values[field];
+    if (value != null && (!Number.isInteger(value) || value < 1 || value > MAX_DIMENSION)) {
+      errors[field] = `Must be empty or between 1 and ${MAX_DIMENSION}`;
+    }
+  }
+  if (!PRESET_FORMATS.includes(values.format)) errors.format = 'Unknown format';
+  if (!CHROMA_SUBSAMPLING.includes(values.chromaSubsampling)) errors.chromaSubsampling = 'Unknown chroma subsampling';
+  if (values.targetSsim != null && !(values.targetSsim >= TARGET_SSIM_RANGE.min && values.targetSsim <= TARGET_SSIM_RANGE.max)) {
+    errors.targetSsim = `Must be between ${TARGET_SSIM_RANGE.min} and ${TARGET_SSIM_RANGE.max}`;
+  }
+  if (!ICC_POLICIES.includes(values.iccProfile)) errors.iccProfile = 'Unknown colour profile policy';
+  if (!ANIMATED_FORMATS.includes(values.animatedFormat)) errors.animatedFormat = 'Unknown format';
+  if (values.animatedVideo && !ANIMATED_VIDEO_FORMATS.includes(values.animatedVideo)) errors.animatedVideo = 'Unknown video format';
+  const widths = toList(values.derivativeWidths).map(Number);
+  if (widths.length > MAX_DERIVATIVE_WIDTHS) {
+    errors.derivativeWidths = `At most ${MAX_DERIVATIVE_WIDTHS} widths`;
+  } else if (widths.some(w => !Number.isInteger(w) || w < MIN_DERIVATIVE_WIDTH || w > MAX_DIMENSION)) {
+    errors.derivativeWidths = `Widths must be whole numbers between ${MIN_DERIVATIVE_WIDTH} and ${MAX_DIMENSION}`;
+  }
+  if (toList(values.derivativeFormats).some(f => !DERIVATIVE_FORMATS.includes(f))) errors.derivativeFormats = 'Unknown format';
+
+  return { values, errors };
+}
+
+/**
+ * Creates (no id) or updates a preset of the shop.
+ * @returns {Promise<{preset?: Object, errors?: Object}>}
+ */
+export async function savePreset(shop, id, input) {
+  const { values, errors } = validatePreset(input);
+
+  const clash = values.name && await prisma.compressionPreset.findFirst({
+    where: { shop, name: values.name, ...(id ? { NOT: { id } } : {}) }
+  });
+  if (clash) errors.name = 'A preset with this name already exists';
+  if (Object.keys(errors).length) return { errors };
+
+  if (!id) {
+    return { preset: await prisma.compressionPreset.create({ data: { shop, ...values } }) };
+  }
+
+  const { count } = await prisma.compressionPreset.updateMany({ where: { id, shop }, data: values });
+  if (!count) return { errors: { id: 'Preset not found' } };
+  return { preset: await prisma.compressionPreset.findUnique({ where: { id } }) };
+}
+
+/**
+ * Makes a preset the one used when compressing without choosing a preset.
+ */
+export async function setDefaultPreset(shop, id) {
+  const preset = await prisma.compressionPreset.findFirst({ where: { id, shop } });
+  if (!preset) return null;
+  await prisma.$transaction([
+    prisma.compressionPreset.updateMany({ where: { shop, NOT: { id } }, data: { isDefault: false } }),
+    prisma.compressionPreset.update({ where: { id }, data: { isDefault: true } })
+  ]);
+  return preset;
+}
+
+/**
+ * Deletes a preset. The last preset can't be deleted; deleting the default
+ * makes the oldest remaining preset the default.
+ * @returns {Promise<{deleted?: boolean, error?: string}>}
+ */
+export async function deletePreset(shop, id) {
+  const presets = await listPresets(shop);
+  const preset = presets.find(p => p.id === id);
+  if (!preset) return { error: 'Preset not found' };
+  if (presets.length === 1) return { error: 'At least one preset is required' };
+
+  await prisma.compressionPreset.delete({ where: { id } });
+  if (preset.isDefault) {
+    const [next] = presets.filter(p => p.id !== id).sort((a, b) => a.createdAt - b.createdAt);
+    await prisma.compressionPreset.update({ where: { id: next.id }, data: { isDefault: true } });
+  }
+  return { deleted: true };
+}
+
+/**
+ * The compression options a job stores and the compressors read.
+ */
+export function presetToCompressionOptions(preset) {
+  return {
+    presetId: preset.id,
+    presetName: preset.name,
+    quality: preset.quality,
+    maxWidth: preset.maxWidth,
+    maxHeight: preset.maxHeight,
+    format: preset.format,
+    stripMetadata: preset.stripMetadata,
+    keepCopyright: preset.keepCopyright,
+    autoOrient: preset.autoOrient,
+    iccProfile: preset.iccProfile,
+    chromaSubsampling: preset.chromaSubsampling,
+    targetSsim: preset.targetSsim,
+    animatedFormat: preset.animatedFormat,
+    animatedVideo: preset.animatedVideo,
+    derivativeWidths: toList(preset.derivativeWidths).map(Number),
+    derivativeFormats: toList(preset.derivativeFormats)
+  };
+}
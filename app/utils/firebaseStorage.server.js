@@ -1,20 +1,166 @@
-import admin from 'firebase-admin';
+import { randomBytes } from 'node:crypto';
 import { v4 as uuidv4 } from 'uuid';
-import { db, bucket } from '../../firebase.js';
+import { getStorageAdapter } from './storage/index.server';
 export const canonical = url => (url ? url.split('?')[0] : url);
 
+export const COMPRESSED_COLLECTION = 'compressedImages';
+export const ORIGINALS_COLLECTION = 'originalImages';
+// Files of compressed images shared by every record with the same content key
+export const COMPRESSED_OBJECTS_COLLECTION = 'compressedObjects';
+
+// Every object lives under its shop:
+//   shops/<shop>/original/<uuid>.<ext>
+//   shops/<shop>/compressed/<name>.<ext> - <name> is the SEO filename with a
+//     random token, or a uuid; companions sit next to it as
+//     <name><suffix>.<ext> (e.g. <name>-480w.webp, or <name>.mp4/.webm for
+//     the video of an animation)
+const shopPath = (shop, path) => `shops/${shop}/${path}`;
+
+const URL_FIELDS = {
+  [COMPRESSED_COLLECTION]: 'compressedUrl',
+  [ORIGINALS_COLLECTION]: 'storedUrl'
+};
+
+// Helper to recursively strip undefined values (Firestore rejects them)
+const stripUndefined = (input) => {
+  if (Array.isArray(input)) return input.map(stripUndefined);
+  if (input && typeof input === 'object' && !(input instanceof Date)) {
+    return Object.entries(input).reduce((acc, [k, v]) => {
+      if (v !== undefined) acc[k] = stripUndefined(v);
+      return acc;
+    }, {});
+  }
+  return input;
+};
+
+// Appended to SEO filenames: a name rendered from product data is guessable,
+// and stored files (unpublished drafts included) are served to anyone with the URL
+const fileToken = () => randomBytes(8).toString('hex');
+
 /**
- * Stores a compressed image in Firebase Storage and saves its metadata to Firestore
+ * Writes a compressed image and its companions under the shop's compressed/
+ * folder, named after metadata.seoFilename plus a random token or a random
+ * id.
+ * @returns {Promise<Object>} - { compressedUrl, size, format, companions,
+ *   _storageMetadata } as kept on the record
+ */
+async function writeCompressedFiles(storage, shop, imageBuffer, originalUrl, metadata, companions) {
+  // Get format from metadata or default to webp
+  const format = (metadata.format || 'webp').toLowerCase();
+
+  // Normalize format for content type (jpeg → jpg, etc.)
+  const normalizedFormat = format === 'jpeg' ? 'jpg' : format;
+
+  // Get correct content type for the format
+  const contentType = `image/${format === 'jpg' ? 'jpeg' : format}`;
+
+  const baseName = metadata.seoFilename ? `${metadata.seoFilename}-${fileToken()}` : uuidv4();
+  const fileName = shopPath(shop, `compressed/${baseName}.${normalizedFormat}`);
+  console.log(`[Storage] Uploading ${fileName} (${contentType}) to ${storage.name} storage...`);
+
+  const { url: publicUrl, ...fileInfo } = await storage.saveFile(fileName, imageBuffer, {
+    contentType,
+    metadata: {
+      shop,
+      originalUrl,
+      format: normalizedFormat, // Store normalized format in metadata
+      ...metadata,
+      storedAt: new Date().toISOString(),
+      size: imageBuffer.length
+    }
+  });
+  console.log('Download URL:', publicUrl);
+
+  const storedCompanions = [];
+  for (const companion of companions) {
+    const { kind, buffer, suffix = '', format: companionFormat, contentType: companionType, width, height } = companion;
+    const companionPath = shopPath(shop, `compressed/${baseName}${suffix}.${companionFormat}`);
+    const { url } = await storage.saveFile(companionPath, buffer, {
+      contentType: companionType,
+      metadata: { shop, originalUrl, kind, format: companionFormat, size: buffer.length }
+    });
+    storedCompanions.push(stripUndefined({
+      kind,
+      format: companionFormat,
+      url,
+      size: buffer.length,
+      width,
+      height,
+      storagePath: companionPath
+    }));
+  }
+
+  return {
+    compressedUrl: publicUrl,
+    size: imageBuffer.length,
+    format: normalizedFormat,
+    ...(storedCompanions.length ? { companions: storedCompanions.map(({ storagePath: _path, ...c }) => c) } : {}),
+    _storageMetadata: {
+      normalizedFormat,
+      originalFormat: metadata?.format ?? null,
+      detectedContentType: contentType,
+      storagePath: fileName,
+      ...(storedCompanions.length ? { companionPaths: storedCompanions.map(c => c.storagePath) } : {}),
+      backend: storage.name,
+      ...fileInfo
+    }
+  };
+}
+
+/**
+ * The shop's shared object for a content key, or null. An object whose file
+ * is gone is deleted so it gets written again.
+ */
+async function findSharedObject(storage, shop, contentKey) {
+  const [object] = await storage.findRecords(COMPRESSED_OBJECTS_COLLECTION, { shop, contentKey }, { limit: 1 });
+  if (!object) return null;
+  if (await storage.fileExists(object._storageMetadata.storagePath)) return object;
+  console.warn('[Storage] Shared object file missing, writing it again:', object._storageMetadata.storagePath);
+  await storage.deleteRecord(COMPRESSED_OBJECTS_COLLECTION, object.id);
+  return null;
+}
+
+/**
+ * Sets a shared object's reference count to the number of compressed records
+ * using it, deleting its files once nothing does. Counting the records
+ * rather than incrementing keeps the count right when records were removed
+ * some other way (e.g. as stale).
+ */
+async function updateSharedObjectRefs(storage, shop, contentKey) {
+  const [object] = await storage.findRecords(COMPRESSED_OBJECTS_COLLECTION, { shop, contentKey }, { limit: 1 });
+  if (!object) return;
+  const refCount = (await storage.findRecords(COMPRESSED_COLLECTION, { shop, contentKey })).length;
+  if (refCount > 0) {
+    await storage.updateRecord(COMPRESSED_OBJECTS_COLLECTION, object.id, { refCount });
+    return;
+  }
+  for (const path of [object._storageMetadata.storagePath, ...(object._storageMetadata.companionPaths || [])]) {
+    await storage.deleteFile(path);
+  }
+  await storage.deleteRecord(COMPRESSED_OBJECTS_COLLECTION, object.id);
+  console.log(`[Storage] Deleted shared object ${object.id}, no references left`, object._storageMetadata.storagePath);
+}
+
+/**
+ * Stores a compressed image via the configured storage backend and saves its metadata
+ * @param {string} shop - Shop domain the image belongs to
  * @param {Buffer} imageBuffer - The compressed image buffer
  * @param {string} originalUrl - The original image URL
- * @param {Object} metadata - Additional metadata about the image
+ * @param {Object} metadata - Additional metadata about the image; `seoFilename`
+ *   (without extension) names the stored object instead of a random id.
+ *   With a `contentKey` the files are shared by every record of the shop
+ *   with that key: when they already exist, `imageBuffer` and `companions`
+ *   are not written again
+ * @param {Array<{kind: string, buffer: Buffer, format: string, contentType: string, suffix?: string, width?: number, height?: number}>} [companions] -
+ *   Files stored next to the image under the same name plus `suffix` (e.g. an
+ *   MP4 of an animated GIF, or "-480w" srcset derivatives); listed on the
+ *   record and deleted with it
  * @returns {Promise<Object>} - The public URL and metadata of the stored image
  */
-export async function storeCompressedImage(imageBuffer, originalUrl, metadata = {}) {
+export async function storeCompressedImage(shop, imageBuffer, originalUrl, metadata = {}, companions = []) {
   try {
     console.log('Starting to store compressed image...');
     console.log('Original URL:', originalUrl);
-    console.log('Image buffer type:', typeof imageBuffer);
     console.log('Image buffer size:', imageBuffer?.length || 'undefined');
 
     if (!Buffer.isBuffer(imageBuffer)) {
@@ -25,101 +171,48 @@ export async function storeCompressedImage(imageBuffer, originalUrl, metadata =
       throw new Error('Image buffer is empty');
     }
 
-    // Get format from metadata or default to webp
-    const format = (metadata.format || 'webp').toLowerCase();
-    console.log('[Storage] Received format from metadata:', format);
-    console.log('[Storage] Full metadata:', JSON.stringify(metadata, null, 2));
+    if (!shop) {
+      throw new Error('shop is required to store an image');
+    }
 
-    // Normalize format for content type (jpeg → jpg, etc.)
-    const normalizedFormat = format === 'jpeg' ? 'jpg' : format;
-    console.log('[Storage] Normalized format:', normalizedFormat);
-
-    // Get correct content type for the format
-    const contentType = `image/${format === 'jpg' ? 'jpeg' : format}`;
-    console.log('[Storage] Content-Type:', contentType);
-
-    const fileName = `compressed/${uuidv4()}.${normalizedFormat}`;
-    const file = bucket.file(fileName);
-
-    console.log('[Storage] Generated filename:', fileName);
-    console.log('[Storage] Full file path:', file.name);
-    console.log('[Storage] Storage bucket:', bucket.name);
-    console.log('Content-Type:', contentType);
-
-    // Upload the file to Firebase Storage (using token so Firebase console can preview/download)
-    console.log('Uploading to Firebase Storage...');
-    const downloadToken = uuidv4(); // Firebase console relies on this token
-    try {
-      await file.save(imageBuffer, {
-        metadata: {
-          contentType: contentType,
-          metadata: {
-            firebaseStorageDownloadTokens: downloadToken, // make available in console
-            originalUrl,
-            format: normalizedFormat, // Store normalized format in metadata
-            ...metadata,
-            storedAt: new Date().toISOString(),
-            size: imageBuffer.length
-          }
-        },
-        validation: false // do not make public; token grants access
-      });
-      console.log('File saved to storage');
-
-      // Build token-based download URL that works in Firebase console
-      const publicUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(fileName)}?alt=media&token=${downloadToken}`;
-      console.log('Download URL:', publicUrl);
-
-      // Save metadata to Firestore
-      console.log('[Storage] Saving metadata to Firestore...');
-      // Helper to recursively strip undefined values
-      const stripUndefined = (input) => {
-        if (Array.isArray(input)) return input.map(stripUndefined);
-        if (input && typeof input === 'object') {
-          return Object.entries(input).reduce((acc,[k,v])=>{
-            if (v !== undefined) acc[k]=stripUndefined(v);
-            return acc;
-          },{});
-        }
-        return input;
-      };
-
-      const cleanedMetadata = stripUndefined(metadata);
-      const docData = {
-        originalUrl: canonical(originalUrl),
-        compressedUrl: publicUrl,
-        size: imageBuffer.length,
-        format: normalizedFormat, // Use the normalized format
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        ...cleanedMetadata,
-        _storageMetadata: {
-          normalizedFormat,
-          originalFormat: metadata?.format ?? null,
-          detectedContentType: contentType,
-          storagePath: fileName,
-          downloadToken
-        }
-      };
-      console.log('[Storage] Document data to be saved:', JSON.stringify(docData, null, 2));
-      console.log('Document data:', JSON.stringify(docData, null, 2));
-
-      const docRef = await db.collection('compressedImages').add(docData);
-      console.log('Document written with ID: ', docRef.id);
-
-      return {
-        id: docRef.id,
-        url: publicUrl,
-        ...cleanedMetadata
-      };
-    } catch (storageError) {
-      console.error('Storage error details:', {
-        name: storageError.name,
-        message: storageError.message,
-        code: storageError.code,
-        stack: storageError.stack
-      });
-      throw storageError;
+    const storage = getStorageAdapter();
+    const { contentKey } = metadata;
+
+    let files;
+    const shared = contentKey ? await findSharedObject(storage, shop, contentKey) : null;
+    if (shared) {
+      console.log(`[Storage] Sharing ${shared._storageMetadata.storagePath} (content ${contentKey.slice(0, 12)})`);
+      const { compressedUrl, size, format, companions: sharedCompanions, _storageMetadata } = shared;
+      files = { compressedUrl, size, format, ...(sharedCompanions ? { companions: sharedCompanions } : {}), _storageMetadata };
+    } else {
+      files = await writeCompressedFiles(storage, shop, imageBuffer, originalUrl, metadata, companions);
+      if (contentKey) {
+        await storage.addRecord(COMPRESSED_OBJECTS_COLLECTION, stripUndefined({ shop, contentKey, refCount: 0, ...files }));
+      }
+    }
+
+    const cleanedMetadata = stripUndefined(metadata);
+    const docData = {
+      shop,
+      originalUrl: canonical(originalUrl),
+      ...cleanedMetadata,
+      ...files
+    };
+
+    const id = await storage.addRecord(COMPRESSED_COLLECTION, docData);
+    console.log('Document written with ID: ', id);
+    if (contentKey) {
+      await updateSharedObjectRefs(storage, shop, contentKey);
     }
+
+    return {
+      id,
+      url: files.compressedUrl,
+      ...cleanedMetadata,
+      format: files.format,
+      ...(files.companions ? { companions: files.companions } : {}),
+      shop
+    };
   } catch (error) {
     console.error('Error in storeCompressedImage:', {
       name: error.name,
@@ -132,104 +225,71 @@ export async function storeCompressedImage(imageBuffer, originalUrl, metadata =
 }
 
 /**
- * Checks if an image has already been compressed and stored
- * @param {string} originalUrl - The original image URL to check
- * @returns {Promise<Object|null>} - The stored image metadata if found, null otherwise
+ * Storage path of a record's file: the recorded one, or derived from its URL
+ * for records written without it.
  */
-export async function findStoredImage(originalUrl, imageId = null) {
-  // Ensure consistent matching with stored documents (which save canonical URLs)
-  const canonicalUrl = canonical(originalUrl);
+const storagePathOf = (storage, record) => record?._storageMetadata?.storagePath
+  || storage.pathFromUrl(record.compressedUrl || record.storedUrl);
 
+/**
+ * Whether the file behind a record still exists. Lookups only read: a record
+ * whose file is gone is skipped, not deleted.
+ */
+async function storedFileExists(storage, record) {
   try {
-   if (imageId) {
-       const byId = await db.collection('compressedImages')
-                            .where('shopifyImageId', '==', imageId)
-                            .limit(1).get();
-       if (!byId.empty) {
-         const doc = byId.docs[0];
-         return { id: doc.id, ...doc.data() };
-       }
-     }
-    const snapshot = await db.collection('compressedImages')
-      .where('originalUrl', '==', canonicalUrl)
-      .limit(1)
-      .get();
-
-    let doc;
-    if (snapshot.empty) {
-      const byShopifyUrl = await db.collection('compressedImages')
-      .where('shopifyCompressedUrl', '==', canonicalUrl)
-      .limit(1).get();
-  if (!byShopifyUrl.empty) {
-    const doc = byShopifyUrl.docs[0];
-    return { id: doc.id, ...doc.data() };
+    const storagePath = storagePathOf(storage, record);
+    if (storagePath && await storage.fileExists(storagePath)) return true;
+    console.warn('[Storage] Stored image missing, skipping record:', record.id, storagePath);
+  } catch (err) {
+    console.warn(`[Storage] Could not check the file of ${record.id}:`, err.message);
   }
-      // Fallback: maybe caller passed the COMPRESSED url (current product image)
-      const fallback = await db.collection('compressedImages')
-      .where('compressedUrl', '==', canonicalUrl)
-      .limit(1)
-      .get();
-
-      if (fallback.empty) {
-        return null;
-      }
-      doc = fallback.docs[0];
-    } else {
-      doc = snapshot.docs[0];
-    }
+  return false;
+}
 
-    const data = doc.data();
-
-
-
-    // Determine the storage object path to verify existence.
-    let storagePath = data?._storageMetadata?.storagePath;
-
-    // If not recorded, attempt to derive it from the download URL
-    if (!storagePath && data.compressedUrl) {
-      try {
-        const url = new URL(data.compressedUrl);
-        const derived = decodeURIComponent(url.pathname.split('/o/')[1] || '').split('?')[0];
-        if (derived) {
-          storagePath = derived;
-          // Persist the derived path for next time so we don’t repeat this work
-          await doc.ref.set({
-            _storageMetadata: {
-              ...(data._storageMetadata || {}),
-              storagePath: derived
-            }
-          }, { merge: true });
-          console.log('[findStoredImage] Back-filled missing storagePath for', doc.id);
-        }
-      } catch (err) {
-        console.warn('[findStoredImage] Failed to derive storagePath from URL:', err.message);
-      }
+/**
+ * Finds the first record of the shop matching one of the lookups, in order,
+ * whose file still exists.
+ */
+async function findShopRecord(storage, collection, shop, lookups) {
+  for (const where of lookups) {
+    for (const record of await storage.findRecords(collection, { ...where, shop })) {
+      if (await storedFileExists(storage, record)) return record;
     }
+  }
+  return null;
+}
 
-    // If still unavailable, treat document as stale
-    if (!storagePath) {
-      console.warn('[findStoredImage] Could not resolve storage path after fallback, deleting stale doc.');
-      await doc.ref.delete();
-      return null;
-    }
+/**
+ * Checks if an image has already been compressed and stored for the shop
+ * @param {string} shop - Shop domain
+ * @param {string} originalUrl - The original image URL to check
+ * @param {string} [imageId] - Shopify media id the compressed image was published as
+ * @param {Object} [filter]
+ * @param {string} [filter.settingsKey] - Only the variant compressed with these
+ *   settings (see the pipeline); without it any variant matches
+ * @returns {Promise<Object|null>} - The stored image metadata if found, null otherwise
+ */
+export async function findStoredImage(shop, originalUrl, imageId = null, { settingsKey } = {}) {
+  // Ensure consistent matching with stored documents (which save canonical URLs)
+  const canonicalUrl = canonical(originalUrl);
+  const storage = getStorageAdapter();
 
-    try {
-      const [exists] = await bucket.file(storagePath).exists();
-      if (!exists) {
-        console.warn('[findStoredImage] Stored image missing from bucket, deleting stale doc:', storagePath);
-        await doc.ref.delete();
-        return null;
-      }
-    } catch (checkErr) {
-      console.error('[findStoredImage] Error checking object existence:', checkErr);
-      await doc.ref.delete();
-      return null;
-    }
+  try {
+    // Most specific first: the Shopify media we replaced, then the source URL,
+    // then the caller passing a URL we produced (Shopify's or our own)
+    const lookups = [
+      imageId ? { shopifyImageId: imageId } : null,
+      { originalUrl: canonicalUrl },
+      { shopifyCompressedUrl: canonicalUrl },
+      { compressedUrl: canonicalUrl }
+    ].filter(Boolean).map(where => (settingsKey ? { ...where, settingsKey } : where));
+
+    const record = await findShopRecord(storage, COMPRESSED_COLLECTION, shop, lookups);
+    if (!record) return null;
 
     return {
-      id: doc.id,
-      url: data.compressedUrl,
-      ...data
+      url: record.compressedUrl,
+      ...record
     };
   } catch (error) {
     console.error('Error finding stored image:', error);
@@ -237,20 +297,54 @@ export async function findStoredImage(originalUrl, imageId = null) {
   }
 }
 
+/**
+ * Finds a compressed image of the shop by its content key (source bytes plus
+ * settings, see the pipeline), whatever URL the source had.
+ * @param {string} shop - Shop domain
+ * @param {string} contentKey
+ * @returns {Promise<Object|null>} - A record whose file still exists
+ */
+export async function findStoredImageByContent(shop, contentKey) {
+  const storage = getStorageAdapter();
+  try {
+    for (const record of await storage.findRecords(COMPRESSED_COLLECTION, { contentKey, shop })) {
+      if (await storedFileExists(storage, record)) {
+        return { url: record.compressedUrl, ...record };
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error('Error finding stored image by content:', error);
+    return null;
+  }
+}
+
+/**
+ * Merges fields into a stored compressed image record.
+ */
+export async function updateStoredImage(id, patch) {
+  await getStorageAdapter().updateRecord(COMPRESSED_COLLECTION, id, stripUndefined(patch));
+}
+
 // -----------------------------------------------------------------------------
 // Original image helpers
 // -----------------------------------------------------------------------------
 /**
- * Stores an ORIGINAL (uncompressed) image buffer in Firebase Storage so that we
- * can later revert a Shopify replacement. Very similar to storeCompressedImage
- * but files live under the `original/` folder and get written to their own
- * Firestore collection (`originalImages`).
+ * Stores an ORIGINAL (uncompressed) image buffer so that we can later revert a
+ * Shopify replacement. Very similar to storeCompressedImage but files live
+ * under the shop's `original/` folder and records go to their own collection
+ * (`originalImages`).
  */
-export async function storeOriginalImage(imageBuffer, originalUrl, metadata = {}) {
+export async function storeOriginalImage(shop, imageBuffer, originalUrl, metadata = {}) {
   try {
     if (!Buffer.isBuffer(imageBuffer) || !imageBuffer.length) {
       throw new Error('Invalid or empty image buffer provided to storeOriginalImage');
     }
+    if (!shop) {
+      throw new Error('shop is required to store an image');
+    }
+
+    const storage = getStorageAdapter();
 
     // Infer format (jpeg/png/webp/gif) from metadata or originalUrl as best we can
     let format = (metadata.format || '').toLowerCase();
@@ -262,43 +356,38 @@ export async function storeOriginalImage(imageBuffer, originalUrl, metadata = {}
     const normalizedFormat = format === 'jpeg' ? 'jpg' : format;
     const contentType = `image/${normalizedFormat === 'jpg' ? 'jpeg' : normalizedFormat}`;
 
-    const fileName = `original/${uuidv4()}.${normalizedFormat}`;
-    const file = bucket.file(fileName);
-    const downloadToken = uuidv4();
+    const fileName = shopPath(shop, `original/${uuidv4()}.${normalizedFormat}`);
 
-    await file.save(imageBuffer, {
+    const { url: publicUrl, ...fileInfo } = await storage.saveFile(fileName, imageBuffer, {
+      contentType,
       metadata: {
-        contentType,
-        metadata: {
-          firebaseStorageDownloadTokens: downloadToken,
-          originalUrl,
-          format: normalizedFormat,
-          storedAt: new Date().toISOString(),
-          size: imageBuffer.length,
-          ...metadata
-        }
-      },
-      validation: false
+        shop,
+        originalUrl,
+        format: normalizedFormat,
+        storedAt: new Date().toISOString(),
+        size: imageBuffer.length,
+        ...metadata
+      }
     });
 
-    const publicUrl = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(fileName)}?alt=media&token=${downloadToken}`;
-
-    const docRef = await db.collection('originalImages').add({
-      originalUrl,
+    const id = await storage.addRecord(ORIGINALS_COLLECTION, stripUndefined({
+      shop,
+      // canonical so findOriginalImage matches regardless of ?v= cache busters
+      originalUrl: canonical(originalUrl),
       storedUrl: publicUrl,
       size: imageBuffer.length,
       format: normalizedFormat,
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
       ...metadata,
       _storageMetadata: {
         storagePath: fileName,
-        downloadToken,
-        contentType
+        contentType,
+        backend: storage.name,
+        ...fileInfo
       }
-    });
+    }));
 
     return {
-      id: docRef.id,
+      id,
       url: publicUrl,
       size: imageBuffer.length,
       format: normalizedFormat
@@ -310,29 +399,132 @@ export async function storeOriginalImage(imageBuffer, originalUrl, metadata = {}
 }
 
 /**
- * Retrieve stored ORIGINAL image metadata, if any.
+ * Retrieve the shop's stored ORIGINAL image metadata, if any.
  */
-export async function findOriginalImage(originalUrl) {
+export async function findOriginalImage(shop, originalUrl) {
   try {
-    const snapshot = await db.collection('originalImages')
-      .where('originalUrl', '==', canonical(originalUrl))
-      .limit(1)
-      .get();
-
-    if (snapshot.empty) return null;
-
-    const doc = snapshot.docs[0];
-    const data = doc.data();
-    return { id: doc.id, ...data };
+    const storage = getStorageAdapter();
+    const lookups = [{ originalUrl: canonical(originalUrl) }];
+    // Older records kept the URL with its query string
+    if (originalUrl && originalUrl !== canonical(originalUrl)) {
+      lookups.push({ originalUrl });
+    }
+    return await findShopRecord(storage, ORIGINALS_COLLECTION, shop, lookups);
   } catch (err) {
     console.error('[findOriginalImage] Error:', err);
     return null;
   }
 }
 
+// -----------------------------------------------------------------------------
+// Generic helpers
+// -----------------------------------------------------------------------------
+/**
+ * Reads the bytes of a stored image record (compressed or original).
+ * @param {Object} record - A record returned by one of the find/list helpers
+ * @returns {Promise<Buffer>}
+ */
+export async function readStoredImage(record) {
+  const storage = getStorageAdapter();
+  const storagePath = storagePathOf(storage, record);
+  if (!storagePath) {
+    throw new Error(`No storage path for record ${record?.id}`);
+  }
+  return storage.readFile(storagePath);
+}
+
+/**
+ * Lists the shop's stored image records of a collection matching the equality filter.
+ * @param {string} shop - Shop domain
+ * @param {string} collection - COMPRESSED_COLLECTION or ORIGINALS_COLLECTION
+ * @param {Object} [where] - Field/value pairs that must all match
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listStoredImages(shop, collection, where = {}, options = {}) {
+  return getStorageAdapter().findRecords(collection, { ...where, shop }, options);
+}
+
+/**
+ * Deletes a stored image record and its file. Files shared through a content
+ * key are only deleted with the last record using them.
+ * @param {string} collection - COMPRESSED_COLLECTION, ORIGINALS_COLLECTION or COMPRESSED_OBJECTS_COLLECTION
+ * @param {Object} record - A record returned by one of the find/list helpers
+ */
+export async function deleteStoredImage(collection, record) {
+  const storage = getStorageAdapter();
+  if (collection === COMPRESSED_COLLECTION && record?.contentKey) {
+    await storage.deleteRecord(collection, record.id);
+    await updateSharedObjectRefs(storage, record.shop, record.contentKey);
+    console.log(`[Storage] Deleted ${collection}/${record.id} (shared content ${record.contentKey.slice(0, 12)})`);
+    return;
+  }
+
+  const storagePath = storagePathOf(storage, record);
+
+  if (storagePath) {
+    await storage.deleteFile(storagePath);
+  }
+  for (const companionPath of record?._storageMetadata?.companionPaths || []) {
+    await storage.deleteFile(companionPath);
+  }
+  await storage.deleteRecord(collection, record.id);
+  console.log(`[Storage] Deleted ${collection}/${record.id}`, storagePath || '(no file)');
+}
+
+// -----------------------------------------------------------------------------
+// Records from before images were scoped per shop
+// -----------------------------------------------------------------------------
+/**
+ * Records written before images were scoped per shop (no `shop` field).
+ * Reads the whole collection: only for scripts/claim-legacy-images.js.
+ * @param {string} collection - COMPRESSED_COLLECTION or ORIGINALS_COLLECTION
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listLegacyRecords(collection) {
+  return (await getStorageAdapter().findRecords(collection)).filter(record => !record.shop);
+}
+
+/**
+ * Moves a legacy record and its file under the given shop. The caller must
+ * have established that the image belongs to that shop.
+ * @param {string} collection - COMPRESSED_COLLECTION or ORIGINALS_COLLECTION
+ * @param {Object} record - A record returned by listLegacyRecords
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} - The record as now stored
+ */
+export async function claimLegacyRecord(collection, record, shop) {
+  const storage = getStorageAdapter();
+  const urlField = URL_FIELDS[collection];
+  const oldPath = record._storageMetadata?.storagePath || storage.pathFromUrl(record[urlField]);
+  const patch = { shop };
+
+  if (oldPath && !oldPath.startsWith('shops/') && await storage.fileExists(oldPath)) {
+    const newPath = shopPath(shop, oldPath);
+    const { url, ...fileInfo } = await storage.moveFile(oldPath, newPath);
+    patch[urlField] = url;
+    patch._storageMetadata = { storagePath: newPath, ...fileInfo };
+  }
+
+  await storage.updateRecord(collection, record.id, patch);
+  console.log(`[Storage] Migrated legacy ${collection}/${record.id} to shop ${shop}`);
+  return {
+    ...record,
+    ...patch,
+    _storageMetadata: { ...record._storageMetadata, ...patch._storageMetadata }
+  };
+}
+
 export default {
   storeCompressedImage,
   findStoredImage,
+  findStoredImageByContent,
+  updateStoredImage,
   storeOriginalImage,
-  findOriginalImage
+  findOriginalImage,
+  readStoredImage,
+  listStoredImages,
+  deleteStoredImage,
+  listLegacyRecords,
+  claimLegacyRecord
 };
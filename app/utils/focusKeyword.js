@@ -0,0 +1,42 @@
+// Focus keyword suggestions from a product's own data. Shared by the SEO
+// Audits loader and the keyword editor.
+
+const MAX_SUGGESTIONS = 6;
+const MAX_WORDS = 4;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'on', 'by', 'to', 'new', 'sale']);
+// Variant-ish words that make poor keywords ("Shirt - Large / Blue")
+const NOISE = /^(xx?s|s|m|l|xx?l|\d+(\.\d+)?(cm|mm|ml|g|kg|oz|in)?|pack|set|size|default)$/i;
+
+const words = text => (text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(word => word && !STOP_WORDS.has(word) && !NOISE.test(word));
+
+const phrase = list => list.slice(0, MAX_WORDS).join(' ');
+
+/**
+ * Candidate focus keywords for a product, best first: the title without the
+ * vendor, the product type, title + type, tags, and vendor + type.
+ * @param {Object} product - { title, productType, tags, vendor }
+ * @returns {Array<string>}
+ */
+export function suggestFocusKeywords({ title, productType, tags = [], vendor }) {
+  const vendorWords = new Set(words(vendor));
+  const titleWords = words(title).filter(word => !vendorWords.has(word));
+  const typeWords = words(productType);
+
+  const candidates = [
+    phrase(titleWords),
+    phrase(typeWords),
+    // "Aurora linen shirt" + type "Shirts" → "aurora linen shirts"
+    typeWords.length && titleWords.length && !typeWords.every(word => titleWords.includes(word))
+      ? phrase([...titleWords.slice(0, MAX_WORDS - typeWords.length), ...typeWords])
+      : null,
+    // Internal tags such as "collection:summer" or "__hidden" aren't keywords
+    ...tags.filter(tag => !/[:_]/.test(tag)).map(tag => phrase(words(tag))),
+    vendorWords.size && typeWords.length ? phrase([...words(vendor), ...typeWords]) : null
+  ];
+
+  return [...new Set(candidates.filter(Boolean))].slice(0, MAX_SUGGESTIONS);
+}
@@ -1,39 +1,113 @@
 import tinify from 'tinify';
+import sharp from 'sharp';
+import { compressMultipleImages as sharpCompress } from './sharpCompression.server';
+import { getTinifyQuota, recordTinifyUsage, markTinifyExhausted } from './tinifyQuota.server';
+import { loadSourceImage } from './sourceImage.server';
 
 // Initialize Tinify with API key from environment variables
 tinify.key = process.env.TINIFY_API_KEY;
 
-export async function compressImage(imageUrl) {
+// Preset fields Tinify has no control over; they are reported on the result
+const UNSUPPORTED_OPTIONS = ['quality', 'chromaSubsampling', 'targetSsim', 'iccProfile'];
+
+// Tinify's names for the metadata it can copy to the output (JPEG and PNG only)
+const PRESERVE_ALL = ['copyright', 'creation', 'location'];
+
+/**
+ * Kind of a Tinify API error: 'account' (key or monthly limit), 'client'
+ * (the request or image was rejected), 'server' or 'connection'; null for
+ * errors that didn't come from Tinify, such as a failed source download.
+ */
+function tinifyErrorKind(error) {
+  if (error instanceof tinify.AccountError) return 'account';
+  if (error instanceof tinify.ClientError) return 'client';
+  if (error instanceof tinify.ServerError) return 'server';
+  if (error instanceof tinify.ConnectionError) return 'connection';
+  return null;
+}
+
+/**
+ * Tinify resize for the preset's maximum dimensions, or null when the image
+ * already fits. Tinify would upscale smaller images, so the source size is
+ * checked first.
+ */
+function resizeFor({ width, height }, { maxWidth, maxHeight }) {
+  if (!maxWidth && !maxHeight) return null;
+  if ((!maxWidth || width <= maxWidth) && (!maxHeight || height <= maxHeight)) return null;
+  if (maxWidth && maxHeight) return { method: 'fit', width: maxWidth, height: maxHeight };
+  return maxWidth ? { method: 'scale', width: maxWidth } : { method: 'scale', height: maxHeight };
+}
+
+/**
+ * Compresses one image with Tinify.
+ * @param {string|Object} image - URL, or a source downloaded with fetchSourceImage
+ * @param {Object} [options] - Compression preset options; Tinify honours
+ *   format, maxWidth/maxHeight, autoOrient (done with sharp beforehand) and
+ *   stripMetadata/keepCopyright (JPEG/PNG only), and picks quality and
+ *   chroma subsampling itself. With format 'auto' Tinify converts
+ *   to AVIF, WebP and JPEG (PNG for transparent images) and returns the
+ *   smallest.
+ */
+export async function compressImage(image, options = {}) {
+  const {
+    format: targetFormat = options.toWebp ? 'webp' : 'original',
+    stripMetadata = true,
+    keepCopyright = false,
+    autoOrient = true
+  } = options;
+
   try {
-    const response = await fetch(imageUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
+    const { buffer: originalBuffer, format: sourceFormat } = await loadSourceImage(image);
+    const originalSize = originalBuffer.length;
+    let format = sourceFormat;
+
+    // Preset output format, else keep the source format
+    if (targetFormat && targetFormat !== 'original') {
+      format = targetFormat === 'jpeg' ? 'jpg' : targetFormat;
     }
-    
-    const originalBuffer = await response.arrayBuffer();
-    const originalSize = originalBuffer.byteLength;
-    const contentType = response.headers.get('content-type') || '';
-    let format = 'webp';
-    
-    // Determine format from content type
-    if (contentType.includes('jpeg') || contentType.includes('jpg')) {
-      format = 'jpg';
-    } else if (contentType.includes('png')) {
-      format = 'png';
-    } else if (contentType.includes('webp')) {
-      format = 'webp';
-    } else if (contentType.includes('gif')) {
-      format = 'gif';
-    } else {
-      // Try to get format from URL as fallback
-      const urlObj = new URL(imageUrl);
-      const ext = urlObj.pathname.split('.').pop().toLowerCase();
-      if (['jpg', 'jpeg', 'png', 'webp', 'gif'].includes(ext)) {
-        format = ext === 'jpeg' ? 'jpg' : ext;
-      }
+
+    const sourceMeta = await sharp(originalBuffer).metadata();
+    // Tinify can't read GIFs or keep an animation; these go to Sharp instead
+    if (sourceMeta.format === 'gif' || (sourceMeta.pages || 1) > 1) {
+      const frames = sourceMeta.pages || 1;
+      return {
+        success: false,
+        unsupported: true,
+        error: frames > 1
+          ? `Tinify can't compress animated images (${sourceMeta.format}, ${frames} frames)`
+          : "Tinify can't compress GIF images"
+      };
     }
-    
-    const source = tinify.fromBuffer(Buffer.from(originalBuffer));
+
+    // Tinify ignores the EXIF orientation; rotate upright first, at full
+    // quality since Tinify compresses the result anyway
+    let sourceBuffer = originalBuffer;
+    const orientation = sourceMeta.orientation || null;
+    const autoOriented = !!(autoOrient && orientation > 1);
+    if (autoOriented) {
+      sourceBuffer = await sharp(sourceBuffer)
+        .rotate()
+        .keepMetadata()
+        .toFormat(sourceMeta.format, { quality: 100 })
+        .toBuffer();
+    }
+    const upright = autoOriented && orientation >= 5
+      ? { width: sourceMeta.height, height: sourceMeta.width }
+      : sourceMeta;
+
+    let source = tinify.fromBuffer(sourceBuffer);
+    const resize = resizeFor(upright, options);
+    if (resize) {
+      source = source.resize(resize);
+    }
+    // Tinify strips metadata unless asked to keep it, which only JPEG and PNG support
+    const preserve = !stripMetadata ? PRESERVE_ALL : keepCopyright ? ['copyright'] : [];
+    const preserved = format === 'jpg' || format === 'png' ? preserve : [];
+    if (preserved.length) {
+      source = source.preserve(...preserved);
+    }
+
+    const countBefore = tinify.compressionCount;
     let converted;
     
     try {
@@ -48,8 +122,13 @@ export async function compressImage(imageUrl) {
         case 'webp':
           converted = source.convert({ type: ['image/webp'] });
           break;
-        case 'gif':
-          converted = source.convert({ type: ['image/gif'] });
+        case 'avif':
+          converted = source.convert({ type: ['image/avif'] });
+          break;
+        case 'auto':
+          converted = source.convert({
+            type: ['image/avif', 'image/webp', sourceMeta.hasAlpha ? 'image/png' : 'image/jpeg']
+          });
           break;
         default:
           converted = source;
@@ -60,8 +139,23 @@ export async function compressImage(imageUrl) {
     
     const result = await converted.result();
     const compressedBuffer = await result.toBuffer();
+    let formatSelection = null;
+    if (format === 'auto') {
+      const extension = await result.extension();
+      format = extension === 'jpeg' ? 'jpg' : extension;
+      formatSelection = {
+        mode: 'auto',
+        chosen: format,
+        reason: `smallest of the formats converted by Tinify${sourceMeta.hasAlpha ? '; transparent, so PNG instead of JPEG' : ''}`
+      };
+    }
     const compressedSize = compressedBuffer.byteLength;
     const savings = (1 - (compressedSize / originalSize)) * 100;
+    // Resizing and converting are charged as extra compressions
+    const compressionCount = tinify.compressionCount ?? null;
+    const compressions = Number.isFinite(countBefore) && compressionCount > countBefore
+      ? compressionCount - countBefore
+      : 1 + (resize ? 1 : 0) + (converted !== source ? 1 : 0);
 
     return {
       success: true,
@@ -69,22 +163,104 @@ export async function compressImage(imageUrl) {
       compressedSize,
       savings: savings / 100,
       buffer: compressedBuffer,
-      format: format
+      format: format,
+      resized: !!resize,
+      formatSelection,
+      metadataPolicy: { autoOriented, orientation, preserved, stripped: 'all other metadata' },
+      compressions,
+      compressionCount
     };
   } catch (error) {
     return {
       success: false,
-      error: error.message
+      error: error.message,
+      tinifyError: tinifyErrorKind(error),
+      // 429: the account's compressions for the month are used up
+      limitReached: error instanceof tinify.AccountError && error.status === 429
     };
   }
 }
 
-export async function* compressMultipleImages(imageUrls) {
+/**
+ * Why Tinify can't be used for a shop right now, or null when it can: no
+ * API key, or the shop's or the account's monthly quota is used up.
+ * @param {string} [shop] - Shop domain; without it only the key is checked
+ * @returns {Promise<string|null>}
+ */
+export async function tinifyUnavailableReason(shop) {
+  // tinify.key can be set but not read back
+  if (!process.env.TINIFY_API_KEY) return 'TINIFY_API_KEY is not set';
+  if (!shop) return null;
+  const quota = await getTinifyQuota(shop);
+  if (!quota.exhausted) return null;
+  return quota.shopLimit && quota.used >= quota.shopLimit
+    ? `Tinify monthly quota of the shop used up (${quota.used} of ${quota.shopLimit})`
+    : 'Tinify monthly quota used up';
+}
+
+/** Compresses one image with Sharp instead, noting why Tinify wasn't used. */
+async function sharpFallback(source, options, reason) {
+  const { url } = source;
+  console.warn(`[Tinify] ${url} compressed with Sharp: ${reason}`);
+  const [sharpResult] = (await sharpCompress([source], options).next()).value;
+  return {
+    ...sharpResult,
+    url,
+    _compressionMetadata: {
+      ...sharpResult._compressionMetadata,
+      requestedStrategy: 'tinify',
+      fallbackReason: reason,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Compresses images with Tinify, one result per yield. Images go to Sharp
+ * instead when Tinify is unavailable (see tinifyUnavailableReason), can't
+ * handle them (GIF, animations) or fails with an API error; the result's
+ * `strategy` is the one that produced it.
+ * @param {Array<string|Object>} images - URLs, or sources already downloaded
+ *   with fetchSourceImage
+ * @param {Object} [options] - Compression preset options
+ * @param {Object} [context]
+ * @param {string} [context.shop] - Shop the compressions are counted against
+ */
+export async function* compressMultipleImages(images, options = {}, { shop } = {}) {
   const results = [];
+  const ignoredOptions = UNSUPPORTED_OPTIONS.filter(key => options[key] != null);
 
-  for (const url of imageUrls) {
+  for (const image of images) {
+    const url = typeof image === 'string' ? image : image.url;
     try {
-      const result = await compressImage(url);
+      // Downloaded once, for Tinify and a fallback alike
+      const source = await loadSourceImage(image);
+      const unavailable = await tinifyUnavailableReason(shop);
+      if (unavailable) {
+        const fallbackResult = await sharpFallback(source, options, unavailable);
+        results.push(fallbackResult);
+        yield [fallbackResult];
+        continue;
+      }
+
+      const result = await compressImage(source, options);
+      if (result.limitReached && shop) {
+        await markTinifyExhausted(shop);
+      }
+      if (result.unsupported || result.tinifyError) {
+        const reason = result.tinifyError ? `Tinify ${result.tinifyError} error: ${result.error}` : result.error;
+        const fallbackResult = await sharpFallback(source, options, reason);
+        results.push(fallbackResult);
+        yield [fallbackResult];
+        continue;
+      }
+      if (result.success && shop) {
+        try {
+          await recordTinifyUsage(shop, result.compressions, result.compressionCount);
+        } catch (usageError) {
+          console.error('[Tinify] Could not record usage:', usageError);
+        }
+      }
       const normalizedFormat = result.format === 'jpeg' ? 'jpg' : (result.format || 'webp');
       
       const currentResult = {
@@ -95,9 +271,16 @@ export async function* compressMultipleImages(imageUrls) {
         savings: result.savings,
         buffer: result.buffer,
         format: normalizedFormat,
+        strategy: 'tinify',
+        ...(result.success ? {} : { error: result.error }),
         _compressionMetadata: {
           detectedFormat: result.format,
           normalizedFormat: normalizedFormat,
+          resized: result.resized,
+          ignoredOptions,
+          ...(result.formatSelection ? { formatSelection: result.formatSelection } : {}),
+          metadataPolicy: result.metadataPolicy,
+          ...(result.success ? { tinifyCompressions: result.compressions } : {}),
           strategy: 'tinify',
           timestamp: new Date().toISOString()
         }
@@ -112,6 +295,7 @@ export async function* compressMultipleImages(imageUrls) {
         success: false,
         error: error.message,
         format: null, // Don't assume webp on error
+        strategy: 'tinify',
         _compressionMetadata: {
           error: error.message,
           strategy: 'tinify',
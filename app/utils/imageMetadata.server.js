@@ -0,0 +1,129 @@
+// What happens to an image's metadata when it's compressed: orientation,
+// EXIF/GPS, XMP/IPTC and the ICC colour profile, applied per preset and
+// reported with the result so merchants can see what was removed.
+
+const TAG_ORIENTATION = 0x0112;
+const TAG_ARTIST = 0x013b;
+const TAG_COPYRIGHT = 0x8298;
+const TAG_GPS_IFD = 0x8825;
+const TYPE_ASCII = 2;
+
+/**
+ * Reads the few IFD0 fields the policy needs from a raw EXIF block as
+ * returned by sharp's metadata() ("Exif\0\0" followed by a TIFF header).
+ * Malformed EXIF yields what could be read before the error.
+ * @param {Buffer} [exif]
+ * @returns {{orientation: number|null, artist: string|null, copyright: string|null, hasGps: boolean}}
+ */
+export function readExif(exif) {
+  const summary = { orientation: null, artist: null, copyright: null, hasGps: false };
+  if (!exif || exif.length < 14) return summary;
+
+  const tiff = exif.toString('latin1', 0, 4) === 'Exif' ? 6 : 0;
+  const little = exif.toString('latin1', tiff, tiff + 2) === 'II';
+  const u16 = offset => (little ? exif.readUInt16LE(offset) : exif.readUInt16BE(offset));
+  const u32 = offset => (little ? exif.readUInt32LE(offset) : exif.readUInt32BE(offset));
+  const ascii = (count, valueOffset) => {
+    const start = count <= 4 ? valueOffset : tiff + u32(valueOffset);
+    const text = exif.toString('utf8', start, start + count).replace(/\0+$/, '').trim();
+    return text || null;
+  };
+
+  try {
+    const ifd0 = tiff + u32(tiff + 4);
+    const entries = u16(ifd0);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd0 + 2 + i * 12;
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const count = u32(entry + 4);
+      if (tag === TAG_ORIENTATION) summary.orientation = u16(entry + 8);
+      else if (tag === TAG_ARTIST && type === TYPE_ASCII) summary.artist = ascii(count, entry + 8);
+      else if (tag === TAG_COPYRIGHT && type === TYPE_ASCII) summary.copyright = ascii(count, entry + 8);
+      else if (tag === TAG_GPS_IFD) summary.hasGps = u16(tiff + u32(entry + 8)) > 0;
+    }
+  } catch (err) {
+    console.warn('[Metadata] Could not read EXIF:', err.message);
+  }
+  return summary;
+}
+
+/**
+ * Applies a preset's metadata policy to a sharp pipeline and describes the
+ * outcome. Auto-orientation rotates the pixels and drops the orientation
+ * tag. ICC 'srgb' converts to sRGB and attaches a compact sRGB profile,
+ * 'strip' converts without attaching one and 'keep' keeps the source profile.
+ * Call before resizing, so limits apply to the upright image.
+ *
+ * @param {import('sharp').Sharp} sharpInstance
+ * @param {Object} metadata - sharp metadata() of the source
+ * @param {Object} policy
+ * @param {boolean} policy.autoOrient
+ * @param {boolean} policy.stripMetadata - Remove EXIF (including GPS), XMP and IPTC
+ * @param {boolean} policy.keepCopyright - Keep EXIF Copyright and Artist when stripping
+ * @param {string} policy.iccProfile - 'srgb' | 'keep' | 'strip'
+ * @returns {{sharpInstance: import('sharp').Sharp, report: Object}} - `report`
+ *   lists what was kept, stripped and converted
+ */
+export function applyMetadataPolicy(sharpInstance, metadata, { autoOrient, stripMetadata, keepCopyright, iccProfile }) {
+  const exif = readExif(metadata.exif);
+  const kept = [];
+  const stripped = [];
+  const sourceFields = [
+    ['EXIF', !!metadata.exif],
+    ['GPS location', exif.hasGps],
+    ['XMP', !!metadata.xmp],
+    ['IPTC', !!metadata.iptc]
+  ].filter(([, present]) => present).map(([name]) => name);
+
+  // Multi-page input can't be rotated correctly and never carries EXIF orientation
+  const orientation = exif.orientation || metadata.orientation || null;
+  const autoOriented = !!(autoOrient && orientation > 1 && !(metadata.pages > 1));
+  if (autoOriented) sharpInstance = sharpInstance.rotate();
+
+  if (!stripMetadata) {
+    if (iccProfile === 'strip') {
+      // sharp can't keep XMP/IPTC without attaching a profile, so only EXIF stays
+      sharpInstance = sharpInstance.keepExif();
+      kept.push(...sourceFields.filter(name => name === 'EXIF' || name === 'GPS location'));
+      stripped.push(...sourceFields.filter(name => name === 'XMP' || name === 'IPTC'));
+    } else {
+      sharpInstance = sharpInstance.keepMetadata();
+      kept.push(...sourceFields);
+    }
+  } else {
+    stripped.push(...sourceFields);
+    const copyright = keepCopyright
+      ? Object.fromEntries([['Copyright', exif.copyright], ['Artist', exif.artist]].filter(([, value]) => value))
+      : {};
+    if (Object.keys(copyright).length) {
+      sharpInstance = sharpInstance.withExif({ IFD0: copyright });
+      kept.push(...Object.keys(copyright));
+    }
+  }
+
+  let icc = metadata.icc ? null : 'none in source';
+  switch (iccProfile) {
+    case 'keep':
+      sharpInstance = sharpInstance.keepIccProfile();
+      if (metadata.icc) { icc = 'kept'; kept.push('ICC profile'); }
+      break;
+    case 'strip':
+      if (metadata.icc) { icc = 'converted to sRGB, profile removed'; stripped.push('ICC profile'); }
+      break;
+    default:
+      sharpInstance = sharpInstance.withIccProfile('srgb');
+      if (metadata.icc) icc = 'converted to sRGB';
+  }
+
+  return {
+    sharpInstance,
+    report: {
+      autoOriented,
+      orientation,
+      icc,
+      kept,
+      stripped
+    }
+  };
+}
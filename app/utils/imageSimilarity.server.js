@@ -0,0 +1,146 @@
+import sharp from 'sharp';
+
+// Images are compared at this size (longest side); enough to catch visible
+// artefacts without decoding full-size rasters for every candidate.
+const COMPARE_SIZE = 512;
+const WINDOW = 8;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Luma plane of an image at the given size. Transparent pixels are flattened
+ * onto white so both sides of a comparison see the same background.
+ * @param {Buffer|import('sharp').Sharp} input - Encoded image or a sharp pipeline (cloned, not consumed)
+ */
+async function lumaPlane(input, width, height) {
+  const pipeline = Buffer.isBuffer(input) ? sharp(input) : input.clone();
+  return pipeline
+    .flatten({ background: '#ffffff' })
+    .resize(width, height, { fit: 'fill' })
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Mean structural similarity (SSIM) of two equally sized luma planes over
+ * non-overlapping 8×8 windows. 1 means identical.
+ */
+function meanSsim(a, b, width, height) {
+  let total = 0;
+  let windows = 0;
+
+  for (let y = 0; y + WINDOW <= height; y += WINDOW) {
+    for (let x = 0; x + WINDOW <= width; x += WINDOW) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+      for (let wy = 0; wy < WINDOW; wy++) {
+        const row = (y + wy) * width + x;
+        for (let wx = 0; wx < WINDOW; wx++) {
+          const pa = a[row + wx];
+          const pb = b[row + wx];
+          sumA += pa;
+          sumB += pb;
+          sumAA += pa * pa;
+          sumBB += pb * pb;
+          sumAB += pa * pb;
+        }
+      }
+      const n = WINDOW * WINDOW;
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varA = sumAA / n - meanA * meanA;
+      const varB = sumBB / n - meanB * meanB;
+      const cov = sumAB / n - meanA * meanB;
+      total += ((2 * meanA * meanB + C1) * (2 * cov + C2))
+        / ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+      windows++;
+    }
+  }
+
+  return windows ? total / windows : 1;
+}
+
+/**
+ * Prepares a reference image once so several candidates can be compared
+ * against it.
+ * @param {Buffer|import('sharp').Sharp} reference - The image as it should look
+ * @param {number} width - Width of the candidates (after any resize)
+ * @param {number} height
+ * @returns {Promise<Function>} - async (candidateBuffer) → SSIM between 0 and 1
+ */
+export async function createSimilarityScorer(reference, width, height) {
+  const scale = Math.min(1, COMPARE_SIZE / Math.max(width, height));
+  const w = Math.max(WINDOW, Math.round(width * scale));
+  const h = Math.max(WINDOW, Math.round(height * scale));
+  const referencePlane = await lumaPlane(reference, w, h);
+
+  return async candidate => meanSsim(referencePlane, await lumaPlane(candidate, w, h), w, h);
+}
+
+// Per-channel differences below this are invisible in practice (and JPEG noise)
+const DIFFERENCE_FLOOR = 8;
+// Differences are scaled up so subtle artefacts still show; 64 and above is full red
+const DIFFERENCE_GAIN = 4;
+
+/** RGB pixels of an image at the given size, transparency flattened onto white. */
+async function rgbPixels(input, width, height) {
+  const pipeline = Buffer.isBuffer(input) ? sharp(input) : input.clone();
+  return pipeline
+    .flatten({ background: '#ffffff' })
+    .resize(width, height, { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Where a compressed image differs visibly from its original, as a PNG overlay:
+ * transparent where they match, yellow to red as the difference grows.
+ * @param {Buffer|import('sharp').Sharp} reference - The original image
+ * @param {Buffer|import('sharp').Sharp} candidate - The compressed image
+ * @param {number} width - Width of the candidate (after any resize)
+ * @param {number} height
+ * @returns {Promise<{png: Buffer, width: number, height: number, ssim: number, meanDifference: number, changedShare: number}>} -
+ *   The overlay is at most COMPARE_SIZE on its longest side; `meanDifference`
+ *   (0–1) and `changedShare` (pixels above the noise floor) describe it
+ */
+export async function differenceHeatmap(reference, candidate, width, height) {
+  const scale = Math.min(1, COMPARE_SIZE / Math.max(width, height));
+  const w = Math.max(WINDOW, Math.round(width * scale));
+  const h = Math.max(WINDOW, Math.round(height * scale));
+  const [a, b, score] = await Promise.all([
+    rgbPixels(reference, w, h),
+    rgbPixels(candidate, w, h),
+    createSimilarityScorer(reference, width, height).then(scorer => scorer(candidate))
+  ]);
+
+  const overlay = Buffer.alloc(w * h * 4);
+  let total = 0;
+  let changed = 0;
+  for (let i = 0, o = 0; i < a.length; i += 3, o += 4) {
+    const diff = Math.max(
+      Math.abs(a[i] - b[i]),
+      Math.abs(a[i + 1] - b[i + 1]),
+      Math.abs(a[i + 2] - b[i + 2])
+    );
+    total += diff;
+    if (diff < DIFFERENCE_FLOOR) continue;
+    changed++;
+    const heat = Math.min(255, diff * DIFFERENCE_GAIN);
+    overlay[o] = 255;
+    overlay[o + 1] = 255 - heat;
+    overlay[o + 2] = 0;
+    overlay[o + 3] = Math.max(96, heat);
+  }
+
+  const png = await sharp(overlay, { raw: { width: w, height: h, channels: 4 } }).png().toBuffer();
+  const pixels = w * h;
+  return {
+    png,
+    width: w,
+    height: h,
+    ssim: score,
+    meanDifference: total / (pixels * 255),
+    changedShare: changed / pixels
+  };
+}
@@ -0,0 +1,207 @@
+// The compressed variants of a source image (one per strategy and settings,
+// plus forced recompressions), for merchants to compare and pick from.
+import sharp from 'sharp';
+import {
+  COMPRESSED_COLLECTION,
+  ORIGINALS_COLLECTION,
+  findStoredImage,
+  findOriginalImage,
+  readStoredImage,
+  listStoredImages,
+  deleteStoredImage,
+  canonical
+} from './firebaseStorage.server';
+import { publishStoredImage, publishOriginalImage } from './compressionPipeline.server';
+import { differenceHeatmap } from './imageSimilarity.server';
+import { resolveSourceUrl, recordImageVersion, findImageVersion } from './imageVersions.server';
+
+function summarizeVariant(record) {
+  const meta = record._compressionMetadata || {};
+  return {
+    id: record.id,
+    url: record.compressedUrl,
+    format: record.format,
+    size: record.size,
+    originalSize: record.originalSize ?? null,
+    savings: record.originalSize ? 1 - (record.size / record.originalSize) : null,
+    strategy: record.compressionStrategy ?? meta.strategy ?? null,
+    fallbackReason: meta.fallbackReason ?? null,
+    preset: meta.preset ?? null,
+    settings: meta.settings ?? null,
+    frames: record.frames ?? null,
+    createdAt: meta.timestamp || record.timestamp || null,
+    published: !!record.shopifyImageId,
+    draft: !!record.draft
+  };
+}
+
+/**
+ * Variant records of the image a URL stands for: its source URL, or the URL
+ * of one of its variants (such as the compressed image published on Shopify).
+ */
+async function variantRecords(shop, url, imageId) {
+  const sourceUrl = canonical(await resolveSourceUrl(shop, url, imageId));
+  return { sourceUrl, records: await listStoredImages(shop, COMPRESSED_COLLECTION, { originalUrl: sourceUrl }) };
+}
+
+async function findVariant(shop, url, imageId, variantId) {
+  const { records } = await variantRecords(shop, url, imageId);
+  return records.find(record => record.id === variantId) || null;
+}
+
+/**
+ * The variants of an image.
+ * @param {string} shop - Shop domain
+ * @param {string} url - Source URL, or the URL of a variant
+ * @param {string} [imageId] - Shopify media id of the image
+ * @returns {Promise<{sourceUrl: string, variants: Array<Object>}>} - Newest first
+ */
+export async function listImageVariants(shop, url, imageId = null) {
+  const { sourceUrl, records } = await variantRecords(shop, url, imageId);
+  const variants = records
+    .map(summarizeVariant)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  return { sourceUrl, variants };
+}
+
+/** Dimensions as displayed (EXIF orientation applied) and format of image bytes. */
+async function describePixels(pipeline) {
+  const meta = await pipeline.metadata();
+  const { width, height } = meta.autoOrient || meta;
+  return { width, height, format: meta.format === 'jpeg' ? 'jpg' : meta.format };
+}
+
+/**
+ * The stored original of an image next to one of its variants, for a
+ * before/after comparison.
+ * @param {string} shop
+ * @param {string} url - Source URL, or the URL of a variant
+ * @param {string} [imageId] - Shopify media id of the image
+ * @param {string} [variantId] - Defaults to the variant the image currently resolves to
+ * @returns {Promise<Object|null>} - { sourceUrl, original, variant, difference },
+ *   where `difference.heatmap` is a PNG data URL; null when the variant or
+ *   the original isn't stored
+ */
+export async function compareImageVariant(shop, url, imageId = null, variantId = null) {
+  const record = variantId
+    ? await findVariant(shop, url, imageId, variantId)
+    : await findStoredImage(shop, url, imageId);
+  if (!record) return null;
+  const original = await findOriginalImage(shop, record.originalUrl);
+  if (!original) return null;
+
+  const [originalBuffer, variantBuffer] = await Promise.all([readStoredImage(original), readStoredImage(record)]);
+  const before = sharp(originalBuffer).autoOrient();
+  const after = sharp(variantBuffer).autoOrient();
+  const [originalPixels, variantPixels] = await Promise.all([describePixels(before), describePixels(after)]);
+  const { png, ...difference } = await differenceHeatmap(before, after, variantPixels.width, variantPixels.height);
+
+  return {
+    sourceUrl: record.originalUrl,
+    original: {
+      url: original.storedUrl,
+      size: original.size ?? originalBuffer.length,
+      ...originalPixels
+    },
+    variant: { ...summarizeVariant(record), ...variantPixels, size: variantBuffer.length },
+    difference: { ...difference, heatmap: `data:image/png;base64,${png.toString('base64')}` }
+  };
+}
+
+/**
+ * Publishes a variant of an image on Shopify in place of the product image.
+ * @param {Object} params
+ * @param {string} params.shop
+ * @param {Object} params.admin - Admin API context
+ * @param {string} params.url - Source URL, or the URL of a variant
+ * @param {string} params.variantId
+ * @param {string} params.productId - Shopify product numeric id
+ * @param {string} [params.imageId] - Media id currently shown for the image
+ * @param {Object} [params.actor] - Who published it (see actorOf)
+ * @returns {Promise<Object|null>} - { variant, shopify }, or null when the
+ *   image has no such variant
+ */
+export async function selectImageVariant({ shop, admin, url, variantId, productId, imageId, actor = {} }) {
+  const record = await findVariant(shop, url, imageId, variantId);
+  if (!record) return null;
+  const shopify = await publishStoredImage({ shop, admin, record, productId, imageId });
+  await recordImageVersion({
+    shop,
+    sourceUrl: record.originalUrl,
+    kind: 'publish',
+    collection: COMPRESSED_COLLECTION,
+    record,
+    shopify,
+    actor
+  });
+  return {
+    variant: summarizeVariant({
+      ...record,
+      shopifyImageId: shopify.newImageId || record.shopifyImageId
+    }),
+    shopify
+  };
+}
+
+/**
+ * Deletes a variant of an image that isn't published.
+ * @returns {Promise<'deleted'|'published'|null>} - null when the image has no such variant
+ */
+export async function deleteImageVariant({ shop, url, variantId, imageId = null }) {
+  const record = await findVariant(shop, url, imageId, variantId);
+  if (!record) return null;
+  if (record.shopifyImageId) return 'published';
+  await deleteStoredImage(COMPRESSED_COLLECTION, record);
+  return 'deleted';
+}
+
+/**
+ * Puts an earlier version of an image back on Shopify: the original or any
+ * compression still stored. The restore is added to the history.
+ * @param {Object} params
+ * @param {string} params.shop
+ * @param {Object} params.admin - Admin API context
+ * @param {string} params.versionId
+ * @param {string} params.productId - Shopify product numeric id
+ * @param {string} [params.imageId] - Media id currently shown for the image
+ * @param {Object} [params.actor] - Who restored it (see actorOf)
+ * @returns {Promise<Object|null>} - { version, restored, shopify }; `restored`
+ *   is 'gone' when the version's file is no longer stored, null when there is
+ *   no such version
+ */
+export async function restoreImageVersion({ shop, admin, versionId, productId, imageId = null, actor = {} }) {
+  const found = await findImageVersion(shop, versionId);
+  if (!found) return null;
+  const { version, record } = found;
+  if (!record) return { version, restored: 'gone' };
+
+  const isOriginal = version.collection === ORIGINALS_COLLECTION;
+  const shopify = isOriginal
+    ? await publishOriginalImage({ shop, admin, original: record, productId, imageId })
+    : await publishStoredImage({ shop, admin, record, productId, imageId });
+  const entry = await recordImageVersion({
+    shop,
+    sourceUrl: version.sourceUrl,
+    kind: 'restore',
+    collection: version.collection,
+    record,
+    shopify,
+    restoredFrom: version.id,
+    actor
+  });
+
+  return {
+    version,
+    restored: {
+      id: entry?.id ?? null,
+      original: isOriginal,
+      url: record.compressedUrl || record.storedUrl,
+      size: record.size,
+      originalSize: isOriginal ? record.size : (record.originalSize ?? null),
+      ...(isOriginal ? {} : {
+        variant: summarizeVariant({ ...record, shopifyImageId: shopify.newImageId || record.shopifyImageId })
+      })
+    },
+    shopify
+  };
+}
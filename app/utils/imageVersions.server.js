@@ -0,0 +1,247 @@
+import prisma from '../db.server';
+import {
+  COMPRESSED_COLLECTION,
+  ORIGINALS_COLLECTION,
+  findStoredImage,
+  findOriginalImage,
+  listStoredImages,
+  canonical
+} from './firebaseStorage.server';
+
+// Per-image history: one ImageVersion row per state the image went through.
+// The rows only point at stored records, so a version stays restorable as
+// long as its record exists (variants can be deleted, drafts expire).
+
+const parseJson = value => {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Who made a change, from the admin context of the request.
+ * @param {Object} context - authenticate.admin() result ({ session, sessionToken })
+ * @returns {{actorId: string|null, actorName: string|null}} - The staff
+ *   member's name is only known with online sessions
+ */
+export function actorOf({ session, sessionToken } = {}) {
+  const actorName = [session?.firstName, session?.lastName].filter(Boolean).join(' ') || session?.email || null;
+  const actorId = session?.userId != null ? String(session.userId) : (sessionToken?.sub ?? null);
+  return { actorId: actorId == null ? null : String(actorId), actorName };
+}
+
+/**
+ * Source URL of the image a URL stands for: the source of a stored variant,
+ * the source an earlier publish or revert put on Shopify as `imageId`, or the
+ * URL itself.
+ * @param {string} shop
+ * @param {string} url - Source URL, URL of a variant or of the image on Shopify
+ * @param {string} [imageId] - Shopify media id of the image
+ */
+export async function resolveSourceUrl(shop, url, imageId = null) {
+  const current = await findStoredImage(shop, url, imageId);
+  if (current) return current.originalUrl;
+  if (imageId) {
+    const published = await prisma.imageVersion.findFirst({
+      where: { shop, shopifyImageId: String(imageId) },
+      orderBy: { createdAt: 'desc' }
+    });
+    if (published) return published.sourceUrl;
+  }
+  return url;
+}
+
+function versionData({ shop, sourceUrl, kind, collection, record, shopify, published, restoredFrom, actor }) {
+  const meta = record._compressionMetadata || {};
+  return {
+    shop,
+    sourceUrl: canonical(sourceUrl),
+    kind,
+    collection,
+    recordId: record.id,
+    fileUrl: record.compressedUrl || record.storedUrl || record.url || null,
+    format: record.format || null,
+    size: record.size ?? null,
+    strategy: record.compressionStrategy ?? meta.strategy ?? null,
+    preset: meta.preset ?? null,
+    settings: meta.settings ? JSON.stringify(meta.settings) : null,
+    published,
+    shopifyImageId: shopify?.replaced && shopify.newImageId ? String(shopify.newImageId) : null,
+    restoredFrom,
+    actorId: actor.actorId ?? null,
+    actorName: actor.actorName ?? null
+  };
+}
+
+/**
+ * Starts the history of an image compressed before histories were kept,
+ * rebuilt from what is stored: the original, then every variant, the
+ * published one current (the original when none is).
+ * @param {string} [skipRecordId] - Record about to get its own entry
+ */
+async function ensureHistory(shop, sourceUrl, skipRecordId = null) {
+  const where = { shop, sourceUrl: canonical(sourceUrl) };
+  if (await prisma.imageVersion.count({ where })) return;
+
+  const [original, variants] = await Promise.all([
+    findOriginalImage(shop, where.sourceUrl),
+    listStoredImages(shop, COMPRESSED_COLLECTION, { originalUrl: where.sourceUrl })
+  ]);
+  const timestamp = record => record._compressionMetadata?.timestamp || record.timestamp || null;
+  const sorted = variants
+    .filter(record => record.id !== skipRecordId)
+    .sort((a, b) => String(timestamp(a)).localeCompare(String(timestamp(b))));
+  const firstAt = sorted.map(timestamp).find(Boolean);
+  const entries = [
+    ...(original && original.id !== skipRecordId ? [{
+      collection: ORIGINALS_COLLECTION,
+      kind: 'original',
+      record: original,
+      published: !sorted.some(v => v.shopifyImageId),
+      // originals carry no date; they came just before the first compression
+      at: firstAt ? new Date(Date.parse(firstAt) - 1) : undefined
+    }] : []),
+    ...sorted.map(record => ({
+      collection: COMPRESSED_COLLECTION,
+      kind: 'compression',
+      record,
+      published: !!record.shopifyImageId,
+      at: timestamp(record) ? new Date(timestamp(record)) : undefined
+    }))
+  ];
+  for (const { at, ...entry } of entries) {
+    await prisma.imageVersion.create({
+      data: {
+        ...versionData({
+          shop,
+          sourceUrl,
+          ...entry,
+          shopify: entry.record.shopifyImageId ? { replaced: true, newImageId: entry.record.shopifyImageId } : null,
+          restoredFrom: null,
+          actor: {}
+        }),
+        createdAt: at
+      }
+    });
+  }
+}
+
+/**
+ * Adds an entry to an image's history. Failures are logged, never thrown:
+ * the change itself already happened.
+ * @param {Object} params
+ * @param {string} params.shop
+ * @param {string} params.sourceUrl
+ * @param {'original'|'compression'|'publish'|'revert'|'restore'} params.kind
+ * @param {string} params.collection - COMPRESSED_COLLECTION or ORIGINALS_COLLECTION
+ * @param {Object} params.record - Stored image record (or store* result) holding the bytes
+ * @param {Object} [params.shopify] - replaceProductImage's result when the entry was published
+ * @param {boolean} [params.published] - Whether the entry is what Shopify shows;
+ *   defaults to the replacement having succeeded (an original was shown before
+ *   any compression replaced it)
+ * @param {string} [params.restoredFrom] - Version id a revert or restore went back to
+ * @param {Object} [params.actor] - actorOf() result
+ * @returns {Promise<Object|null>} - The entry
+ */
+export async function recordImageVersion({
+  shop, sourceUrl, kind, collection, record, shopify = null, published = !!shopify?.replaced, restoredFrom = null, actor = {}
+}) {
+  try {
+    await ensureHistory(shop, sourceUrl, record.id);
+    return await prisma.imageVersion.create({
+      data: versionData({ shop, sourceUrl, kind, collection, record, shopify, published, restoredFrom, actor })
+    });
+  } catch (err) {
+    console.error(`[Versions] Could not record ${kind} of ${sourceUrl}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Media id an image is shown as on Shopify according to its history: that of
+ * the latest published version, or null when the history doesn't know it.
+ * @param {string} shop
+ * @param {string} sourceUrl
+ * @returns {Promise<string|null>}
+ */
+export async function currentShopifyImageId(shop, sourceUrl) {
+  const version = await prisma.imageVersion.findFirst({
+    where: { shop, sourceUrl: canonical(sourceUrl), published: true },
+    orderBy: { createdAt: 'desc' }
+  });
+  return version?.shopifyImageId ?? null;
+}
+
+function summarizeVersion(version, { current, available }) {
+  return {
+    id: version.id,
+    kind: version.kind,
+    original: version.collection === ORIGINALS_COLLECTION,
+    url: version.fileUrl,
+    format: version.format,
+    size: version.size,
+    strategy: version.strategy,
+    preset: version.preset,
+    settings: parseJson(version.settings),
+    published: version.published,
+    restoredFrom: version.restoredFrom,
+    actorId: version.actorId,
+    actorName: version.actorName,
+    createdAt: version.createdAt,
+    current,
+    available
+  };
+}
+
+/**
+ * The history of an image, newest first.
+ * @param {string} shop
+ * @param {string} url - Source URL, URL of a variant or of the image on Shopify
+ * @param {string} [imageId] - Shopify media id of the image
+ * @returns {Promise<{sourceUrl: string, versions: Array<Object>}>} - `current`
+ *   marks the version shown on Shopify, `available` whether its file is still stored
+ */
+export async function listImageVersions(shop, url, imageId = null) {
+  const sourceUrl = canonical(await resolveSourceUrl(shop, url, imageId));
+  await ensureHistory(shop, sourceUrl);
+  const [original, variants, versions] = await Promise.all([
+    findOriginalImage(shop, sourceUrl),
+    listStoredImages(shop, COMPRESSED_COLLECTION, { originalUrl: sourceUrl }),
+    prisma.imageVersion.findMany({ where: { shop, sourceUrl }, orderBy: { createdAt: 'asc' } })
+  ]);
+
+  const stored = new Set([original?.id, ...variants.map(v => v.id)].filter(Boolean));
+  const current = versions.findLast(version => version.published);
+  return {
+    sourceUrl,
+    versions: versions
+      .map(version => summarizeVersion(version, {
+        current: version === current,
+        available: stored.has(version.recordId)
+      }))
+      .reverse()
+  };
+}
+
+/**
+ * A version of the shop with the stored record it points at.
+ * @returns {Promise<{version: Object, record: Object|null}|null>} - null when
+ *   the shop has no such version; `record` is null once the file is gone
+ */
+export async function findImageVersion(shop, versionId) {
+  const version = await prisma.imageVersion.findFirst({ where: { id: versionId, shop } });
+  if (!version) return null;
+
+  let record = null;
+  if (version.collection === ORIGINALS_COLLECTION) {
+    const original = await findOriginalImage(shop, version.sourceUrl);
+    record = original?.id === version.recordId ? original : null;
+  } else {
+    const variants = await listStoredImages(shop, COMPRESSED_COLLECTION, { originalUrl: version.sourceUrl });
+    record = variants.find(variant => variant.id === version.recordId) || null;
+  }
+  return { version, record };
+}
@@ -0,0 +1,279 @@
+// Page sizes are kept small so a products × (media + variants) page stays
+// under the Admin API's 1000-point query cost limit.
+const PRODUCTS_PAGE_SIZE = 15;
+const MEDIA_PAGE_SIZE = 25;
+// Only used to name the variants shown in an image; larger products just
+// list the first ones.
+const VARIANTS_PAGE_SIZE = 10;
+// The alt text walk asks for little per image, so pages can be larger
+const ALT_PRODUCTS_PAGE_SIZE = 25;
+const ALT_MEDIA_PAGE_SIZE = 20;
+// Pause between pages of a full catalog walk, leaving query budget to the
+// merchant's own requests
+const CATALOG_WALK_DELAY_MS = 1000;
+
+const MEDIA_FIELDS = `
+  pageInfo { hasNextPage endCursor }
+  edges {
+    node {
+      id
+      mediaContentType
+      ... on MediaImage {
+        alt
+        mimeType
+        originalSource { fileSize }
+        image { url altText width height }
+      }
+    }
+  }
+`;
+
+const PRODUCTS_QUERY = `#graphql
+  query AuditProducts($first: Int, $after: String, $last: Int, $before: String, $query: String) {
+    products(first: $first, after: $after, last: $last, before: $before, query: $query, sortKey: TITLE) {
+      pageInfo { hasNextPage hasPreviousPage startCursor endCursor }
+      edges {
+        node {
+          id
+          title
+          handle
+          vendor
+          productType
+          tags
+          media(first: ${MEDIA_PAGE_SIZE}) { ${MEDIA_FIELDS} }
+          variants(first: ${VARIANTS_PAGE_SIZE}) {
+            nodes {
+              title
+              media(first: 1) { nodes { id } }
+            }
+          }
+        }
+      }
+    }
+  }`;
+
+const PRODUCT_MEDIA_QUERY = `#graphql
+  query AuditProductMedia($id: ID!, $cursor: String) {
+    product(id: $id) {
+      media(first: ${MEDIA_PAGE_SIZE}, after: $cursor) { ${MEDIA_FIELDS} }
+    }
+  }`;
+
+const PRODUCTS_COUNT_QUERY = `#graphql
+  query AuditProductsCount($query: String) {
+    productsCount(query: $query) { count precision }
+  }`;
+
+const CATALOG_ALT_QUERY = `#graphql
+  query CatalogAltTexts($cursor: String) {
+    products(first: ${ALT_PRODUCTS_PAGE_SIZE}, after: $cursor) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        id
+        media(first: ${ALT_MEDIA_PAGE_SIZE}) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ... on MediaImage { alt } }
+        }
+      }
+    }
+  }`;
+
+const PRODUCT_ALT_QUERY = `#graphql
+  query ProductAltTexts($id: ID!, $cursor: String) {
+    product(id: $id) {
+      media(first: ${ALT_MEDIA_PAGE_SIZE}, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ... on MediaImage { alt } }
+      }
+    }
+  }`;
+
+const PRODUCT_SUMMARY_QUERY = `#graphql
+  query ProductSummary($id: ID!) {
+    product(id: $id) { title handle vendor productType }
+  }`;
+
+const numericId = gid => (gid ? gid.split('/').pop() : null);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function runQuery(admin, query, variables) {
+  const res = await admin.graphql(query, { variables });
+  const body = await res.json();
+  if (body.errors?.length) {
+    throw new Error(`GraphQL error: ${body.errors.map(e => e.message).join(', ')}`);
+  }
+  return body.data;
+}
+
+/**
+ * Product search for a title search box: every word must start a word of
+ * the title. Shopify's search syntax has no substring match.
+ * @param {string} search
+ * @returns {string|null}
+ */
+export function titleSearchQuery(search) {
+  const words = String(search || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.length ? words.map(word => `title:${word}*`).join(' AND ') : null;
+}
+
+/** A product node with ALL of its image media, following the media cursor. */
+async function toProduct(admin, node) {
+  const mediaEdges = [...node.media.edges];
+
+  // Galleries longer than one page: keep fetching this product's media
+  let mediaPage = node.media.pageInfo;
+  while (mediaPage.hasNextPage) {
+    const more = await runQuery(admin, PRODUCT_MEDIA_QUERY, { id: node.id, cursor: mediaPage.endCursor });
+    mediaEdges.push(...more.product.media.edges);
+    mediaPage = more.product.media.pageInfo;
+  }
+
+  // Variant titles per media id; the default variant of a product without
+  // options is not a real variant
+  const variantsByMedia = {};
+  node.variants.nodes.forEach(variant => {
+    const mediaId = variant.media.nodes[0]?.id;
+    if (!mediaId || variant.title === 'Default Title') return;
+    (variantsByMedia[mediaId] ||= []).push(variant.title);
+  });
+
+  const images = [];
+  mediaEdges.forEach(({ node: media }, index) => {
+    if (media.mediaContentType !== 'IMAGE' || !media.image?.url) return;
+    images.push({
+      mediaId: media.id,
+      // Numeric MediaImage id, used by the GraphQL media mutations
+      imageId: numericId(media.id),
+      url: media.image.url,
+      alt: media.alt ?? media.image.altText ?? '',
+      width: media.image.width,
+      height: media.image.height,
+      mimeType: media.mimeType,
+      fileSize: media.originalSource?.fileSize ?? null,
+      position: index + 1,
+      variants: variantsByMedia[media.id] || []
+    });
+  });
+
+  return {
+    id: node.id,
+    productId: numericId(node.id),
+    title: node.title,
+    handle: node.handle,
+    vendor: node.vendor,
+    productType: node.productType,
+    tags: node.tags,
+    images
+  };
+}
+
+/**
+ * One page of products (by title) with ALL of their image media, following
+ * the cursor the previous page ended (`after`) or started (`before`) at.
+ * Larger pages are read in several queries to stay under the cost limit.
+ *
+ * @param {Object} admin - Admin API context from authenticate.admin
+ * @param {Object} params
+ * @param {number} params.limit - Products per page
+ * @param {string} [params.after] - endCursor of the previous page
+ * @param {string} [params.before] - startCursor of the next page, to go back
+ * @param {string} [params.search] - Title search (see titleSearchQuery)
+ * @returns {Promise<{products: Array<Object>, pageInfo: Object}>} - Products
+ *   with an `images` array, in media order (each image lists the titles of
+ *   the variants that show it), and the page's hasNextPage, hasPreviousPage,
+ *   startCursor and endCursor
+ */
+export async function fetchProductImagesPage(admin, { limit, after = null, before = null, search = '' }) {
+  const backwards = !after && !!before;
+  const query = titleSearchQuery(search);
+  const chunks = [];
+  let cursor = backwards ? before : after;
+  let count = 0;
+
+  do {
+    const size = Math.min(PRODUCTS_PAGE_SIZE, limit - count);
+    const data = await runQuery(admin, PRODUCTS_QUERY, backwards
+      ? { last: size, before: cursor, query }
+      : { first: size, after: cursor, query });
+    const { edges, pageInfo } = data.products;
+    const products = [];
+    for (const { node } of edges) products.push(await toProduct(admin, node));
+    chunks.push({ products, pageInfo });
+    count += products.length;
+
+    const more = backwards ? pageInfo.hasPreviousPage : pageInfo.hasNextPage;
+    cursor = more && count < limit ? (backwards ? pageInfo.startCursor : pageInfo.endCursor) : null;
+  } while (cursor);
+
+  // Going back, the chunks came in from the end of the page
+  if (backwards) chunks.reverse();
+  const [first, last] = [chunks[0].pageInfo, chunks[chunks.length - 1].pageInfo];
+  const products = chunks.flatMap(chunk => chunk.products);
+  console.log(`[Catalog] Loaded ${products.length} products with ${products.reduce((n, p) => n + p.images.length, 0)} images`);
+  return {
+    products,
+    pageInfo: {
+      hasPreviousPage: first.hasPreviousPage,
+      hasNextPage: last.hasNextPage,
+      startCursor: first.startCursor,
+      endCursor: last.endCursor
+    }
+  };
+}
+
+/**
+ * Number of products matching a title search, in one query.
+ * @param {Object} admin - Admin API context
+ * @param {string} [search]
+ * @returns {Promise<{count: number, exact: boolean}>} - Shopify stops
+ *   counting past a limit, `exact` is false then
+ */
+export async function countProducts(admin, search = '') {
+  const data = await runQuery(admin, PRODUCTS_COUNT_QUERY, { query: titleSearchQuery(search) });
+  return { count: data.productsCount.count, exact: data.productsCount.precision === 'EXACT' };
+}
+
+/**
+ * The alt text of every product image of the shop. Walks the whole catalog
+ * with pauses between pages, so it belongs in background work (see
+ * altTextIndex.server), never in a request.
+ * @param {Object} admin - Admin API context
+ * @returns {Promise<Array<string>>}
+ */
+export async function fetchCatalogAltTexts(admin) {
+  const alts = [];
+  const collect = nodes => nodes.forEach(media => {
+    if (media.alt !== undefined) alts.push(media.alt || '');
+  });
+  let cursor = null;
+
+  do {
+    const data = await runQuery(admin, CATALOG_ALT_QUERY, { cursor });
+    for (const product of data.products.nodes) {
+      collect(product.media.nodes);
+      let mediaPage = product.media.pageInfo;
+      while (mediaPage.hasNextPage) {
+        const more = await runQuery(admin, PRODUCT_ALT_QUERY, { id: product.id, cursor: mediaPage.endCursor });
+        collect(more.product.media.nodes);
+        mediaPage = more.product.media.pageInfo;
+      }
+    }
+    cursor = data.products.pageInfo.hasNextPage ? data.products.pageInfo.endCursor : null;
+    if (cursor) await sleep(CATALOG_WALK_DELAY_MS);
+  } while (cursor);
+
+  return alts;
+}
+
+/**
+ * Title, handle, vendor and product type of a single product.
+ * @param {Object} admin - Admin API context
+ * @param {string} productId - Numeric id or gid
+ * @returns {Promise<Object|null>}
+ */
+export async function getProductSummary(admin, productId) {
+  const id = String(productId).startsWith('gid://') ? productId : `gid://shopify/Product/${productId}`;
+  const data = await runQuery(admin, PRODUCT_SUMMARY_QUERY, { id });
+  return data.product;
+}
@@ -0,0 +1,39 @@
+import prisma from '../db.server';
+
+// Long enough for a phrase, short enough to still fit in an alt text
+export const MAX_KEYWORD_LENGTH = 80;
+
+/**
+ * Focus keywords of the given products.
+ * @param {string} shop - Shop domain
+ * @param {Array<string>} productIds - Numeric product ids
+ * @returns {Promise<Object>} - productId → keyword, for products that have one
+ */
+export async function getProductKeywords(shop, productIds) {
+  if (!productIds.length) return {};
+  const rows = await prisma.productKeyword.findMany({
+    where: { shop, productId: { in: productIds.map(String) } }
+  });
+  return Object.fromEntries(rows.map(row => [row.productId, row.keyword]));
+}
+
+/**
+ * Sets a product's focus keyword; an empty keyword removes it.
+ * @returns {Promise<string|null>} - The keyword as stored
+ */
+export async function setProductKeyword(shop, productId, keyword) {
+  const value = (keyword || '').trim().replace(/\s+/g, ' ').slice(0, MAX_KEYWORD_LENGTH);
+  const id = String(productId);
+
+  if (!value) {
+    await prisma.productKeyword.deleteMany({ where: { shop, productId: id } });
+    return null;
+  }
+
+  await prisma.productKeyword.upsert({
+    where: { shop_productId: { shop, productId: id } },
+    create: { shop, productId: id, keyword: value },
+    update: { keyword: value }
+  });
+  return value;
+}
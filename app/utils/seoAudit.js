@@ -0,0 +1,163 @@
+// Rule-based SEO audit of product images. Pure functions, shared by the SEO
+// Audits loader and the page itself so scores follow unsaved alt text edits.
+import { altTextIssues, ALT_ISSUE_LABELS } from './altText';
+
+// Above this an image is worth compressing regardless of its dimensions
+export const MAX_IMAGE_BYTES = 300 * 1024;
+// Storefront themes rarely render product images wider than this
+export const MAX_IMAGE_DIMENSION = 2048;
+
+const MODERN_FORMATS = ['webp', 'avif'];
+
+const GENERIC_NAMES = /^(image|img|photo|picture|pic|untitled|download|file|product|screenshot|copy|final|new|default)$/i;
+const UUID = /[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}/gi;
+
+// Points taken off an image's score of 100 per failed rule
+const RULES = {
+  'missing-alt':              { weight: 25, severity: 'critical', label: 'Missing alt text' },
+  'weak-alt':                 { weight: 5,  severity: 'warning',  label: 'Alt text needs work' },
+  'oversized-file':           { weight: 20, severity: 'critical', label: 'Heavy file' },
+  'excessive-dimensions':     { weight: 10, severity: 'warning',  label: 'Excessive dimensions' },
+  'legacy-format':            { weight: 10, severity: 'warning',  label: 'Not a modern format' },
+  'poor-filename':            { weight: 10, severity: 'warning',  label: 'Non-descriptive filename' },
+  'keyword-missing-alt':      { weight: 10, severity: 'warning',  label: 'Focus keyword not in alt text' },
+  'keyword-missing-filename': { weight: 5,  severity: 'info',     label: 'Focus keyword not in filename' },
+  'no-keyword':               { weight: 0,  severity: 'info',     label: 'No focus keyword' }
+};
+
+const issue = (rule, detail) => ({ rule, severity: RULES[rule].severity, label: RULES[rule].label, detail });
+
+const formatKb = bytes => `${Math.round(bytes / 1024)} KB`;
+
+/**
+ * Filename of an image URL without extension, query string, our
+ * `compressed_` prefix or the UUID Shopify appends to duplicate uploads.
+ */
+export function imageFilename(url) {
+  const base = decodeURIComponent((url || '').split('?')[0].split('/').pop() || '');
+  return base
+    .replace(/\.[^.]+$/, '')
+    .replace(/^compressed_/, '')
+    .replace(UUID, '')
+    .replace(/[_-]+$/, '');
+}
+
+/**
+ * Format of an image from its MIME type, falling back to the URL extension.
+ */
+export function imageFormat(image) {
+  const fromMime = image.mimeType?.split('/').pop();
+  const fromUrl = (image.imageUrl || image.url || '').split('?')[0].split('.').pop();
+  return (fromMime || fromUrl || '').toLowerCase().replace('jpg', 'jpeg');
+}
+
+/**
+ * Whether a filename says nothing about the product: camera names, hashes,
+ * numbers only, or generic words like "image".
+ */
+export function isPoorFilename(name) {
+  const words = name.split(/[\s_.-]+/).filter(Boolean);
+  const descriptive = words.filter(word => /[a-z]{3,}/i.test(word) && !GENERIC_NAMES.test(word));
+  return !descriptive.length || /^(img|dsc|dscn|pxl|mvimg)[_-]?\d+/i.test(name);
+}
+
+const slugWords = text => (text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[a-z0-9]+/g) || [];
+
+/**
+ * Whether every word of the keyword appears in the text, ignoring case,
+ * accents and separators ("blue-linen_shirt" contains "linen shirt").
+ */
+export function containsKeyword(text, keyword) {
+  const haystack = slugWords(text);
+  const needles = slugWords(keyword);
+  return needles.length > 0 && needles.every(word => haystack.includes(word));
+}
+
+/**
+ * Audits a single image.
+ * @param {Object} image
+ * @param {string} image.imageUrl
+ * @param {string} [image.alt]
+ * @param {number} [image.fileSize] - Bytes
+ * @param {number} [image.width]
+ * @param {number} [image.height]
+ * @param {string} [image.mimeType]
+ * @param {Object} [context]
+ * @param {string} [context.keyword] - The product's focus keyword
+ * @param {number} [context.altUsageCount] - How often the image's alt text is used in the catalog
+ * @returns {{score: number, issues: Array<{rule: string, severity: string, label: string, detail: string}>}}
+ */
+export function auditImage(image, { keyword = null, altUsageCount = 1 } = {}) {
+  const issues = [];
+  const fail = (rule, detail) => issues.push(issue(rule, detail));
+
+  const alt = (image.alt || '').trim();
+  const altIssues = altTextIssues(alt, { usageCount: altUsageCount });
+  if (altIssues.includes('missing')) {
+    fail('missing-alt', 'Describe the image for shoppers using screen readers and for image search.');
+  } else if (altIssues.length) {
+    fail('weak-alt', altIssues.map(key => ALT_ISSUE_LABELS[key]).join(', '));
+  }
+
+  if (image.fileSize > MAX_IMAGE_BYTES) {
+    fail('oversized-file', `${formatKb(image.fileSize)}, aim for under ${formatKb(MAX_IMAGE_BYTES)}. Compress it.`);
+  }
+
+  if (Math.max(image.width || 0, image.height || 0) > MAX_IMAGE_DIMENSION) {
+    fail('excessive-dimensions', `${image.width}×${image.height}px, ${MAX_IMAGE_DIMENSION}px on the longest side is enough.`);
+  }
+
+  const format = imageFormat(image);
+  if (format && !MODERN_FORMATS.includes(format)) {
+    fail('legacy-format', `${format.toUpperCase()}; WebP or AVIF is usually much smaller.`);
+  }
+
+  const filename = imageFilename(image.imageUrl || image.url);
+  if (isPoorFilename(filename)) {
+    fail('poor-filename', `"${filename || '(empty)'}" tells search engines nothing about the product.`);
+  }
+
+  if (keyword) {
+    if (alt && !containsKeyword(alt, keyword)) {
+      fail('keyword-missing-alt', `Mention "${keyword}" in the alt text.`);
+    }
+    if (!containsKeyword(filename, keyword)) {
+      fail('keyword-missing-filename', `Include "${keyword}" in the filename.`);
+    }
+  }
+
+  const score = Math.max(0, 100 - issues.reduce((sum, { rule }) => sum + RULES[rule].weight, 0));
+  return { score, issues };
+}
+
+/**
+ * Audits all images of a product. The product score is the average image
+ * score; a product without images scores 0 since it has nothing to rank.
+ * @param {Array<Object>} images - See auditImage
+ * @param {Object} [context]
+ * @param {string} [context.keyword]
+ * @param {Function} [context.altUsageCount] - alt → number of uses in the catalog
+ * @returns {{score: number, issueCount: number, issues: Array<Object>, images: Array<Object>}} -
+ *   `issues` are product-level, `images[].issues` per image
+ */
+export function auditProduct(images, { keyword = null, altUsageCount = () => 1 } = {}) {
+  const audited = images.map(image => ({
+    image,
+    ...auditImage(image, { keyword, altUsageCount: altUsageCount(image.alt) })
+  }));
+
+  const score = audited.length
+    ? Math.round(audited.reduce((sum, a) => sum + a.score, 0) / audited.length)
+    : 0;
+  const issues = keyword
+    ? []
+    : [issue('no-keyword', 'Set a focus keyword to check alt text and filenames against it.')];
+  const issueCount = issues.length + audited.reduce((n, a) => n + a.issues.length, 0);
+
+  return { score, issueCount, issues, images: audited };
+}
+
+/**
+ * Badge tone for a score.
+ */
+export const scoreTone = score => (score >= 80 ? 'success' : score >= 50 ? 'warning' : 'critical');
@@ -0,0 +1,96 @@
+// SEO-friendly filenames for compressed images, e.g. "aurora-linen-shirt-2".
+// Used for the stored object and for the file uploaded to Shopify, so the
+// storefront image URL carries search-relevant words.
+
+/**
+ * Template for compressed image filenames (without extension). Placeholders:
+ * {handle} {keyword} {title} {vendor} {product_type} {index} {original}
+ */
+export const FILENAME_TEMPLATE = process.env.IMAGE_FILENAME_TEMPLATE || '{handle}-{keyword}-{index}';
+
+// Shopify rejects very long filenames and search engines ignore the tail anyway
+const MAX_FILENAME_LENGTH = 80;
+
+/**
+ * Lowercase ASCII slug: accents removed, anything else becomes a hyphen.
+ */
+export function slugify(text) {
+  return String(text ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Source filename without extension, query string or a previous
+ * `compressed_` prefix.
+ */
+export function originalBaseName(url) {
+  return decodeURIComponent((url || '').split('?')[0].split('/').pop() || '')
+    .replace(/\.[^.]+$/, '')
+    .replace(/^compressed_/, '');
+}
+
+/**
+ * Renders the filename template into a slug. Empty placeholders disappear,
+ * and a word repeated by two placeholders is kept once
+ * ({handle} "linen-shirt" + {keyword} "linen shirt" → "linen-shirt").
+ *
+ * @param {Object} context
+ * @param {string} [context.handle]
+ * @param {string} [context.keyword]
+ * @param {string} [context.title]
+ * @param {string} [context.vendor]
+ * @param {string} [context.productType]
+ * @param {number} [context.index] - 1-based position of the image on its product
+ * @param {string} [context.originalUrl] - Source image URL, for {original} and as fallback
+ * @param {string} [template]
+ * @returns {string} - Filename without extension, never empty
+ */
+export function renderFilename(context, template = FILENAME_TEMPLATE) {
+  const values = {
+    handle: context.handle,
+    keyword: context.keyword,
+    title: context.title,
+    vendor: context.vendor,
+    product_type: context.productType,
+    index: context.index != null ? String(context.index) : '',
+    original: originalBaseName(context.originalUrl)
+  };
+
+  const rendered = template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? ` ${values[key] || ''} ` : match));
+
+  const seen = new Set();
+  const words = slugify(rendered).split('-').filter(word => {
+    // numbers (index, sizes) may legitimately repeat
+    if (!word || (seen.has(word) && !/^\d+$/.test(word))) return false;
+    seen.add(word);
+    return true;
+  });
+
+  let slug = '';
+  for (const word of words) {
+    const next = slug ? `${slug}-${word}` : word;
+    if (next.length > MAX_FILENAME_LENGTH) break;
+    slug = next;
+  }
+
+  return slug || slugify(originalBaseName(context.originalUrl)).slice(0, MAX_FILENAME_LENGTH) || 'image';
+}
+
+/**
+ * Appends -2, -3, … until `isTaken` says the name is free.
+ * @param {string} base - Filename without extension
+ * @param {Function} isTaken - async (candidate) → boolean
+ * @param {number} [maxAttempts]
+ * @returns {Promise<string|null>} - Free name, or null if none was found
+ */
+export async function dedupeFilename(base, isTaken, maxAttempts = 50) {
+  for (let n = 1; n <= maxAttempts; n++) {
+    const candidate = n === 1 ? base : `${base}-${n}`;
+    if (!(await isTaken(candidate))) return candidate;
+  }
+  return null;
+}
@@ -1,8 +1,12 @@
 import sharp from 'sharp';
-import fetch from 'node-fetch';
+import { createSimilarityScorer } from './imageSimilarity.server';
+import { convertGifToVideo } from './animatedVideo.server';
+import { applyMetadataPolicy } from './imageMetadata.server';
+import { loadSourceImage } from './sourceImage.server';
 
 /**
- * Return a quality value (0-100) based on the original file size.
+ * Return a quality value (0-100) based on the original file size, used when
+ * no quality was passed in (presets always pass one).
  * Larger images get a higher quality to preserve detail, while
  * smaller images get a lower quality to avoid producing a larger file.
  * Currently: >1 MB → 100, otherwise 80.
@@ -12,77 +16,357 @@ function chooseQualityForImage(sizeInBytes) {
   return sizeInBytes > ONE_MB ? 100 : 80;
 }
 
-export async function* compressMultipleImages(imageUrls, options = {}) {
+const SUPPORTED_FORMATS = ['jpeg', 'png', 'webp', 'avif', 'tiff', 'gif'];
+// Formats sharp can write with more than one frame
+const ANIMATED_FORMATS = ['gif', 'webp'];
+
+// "auto" only picks a candidate whose SSIM against the source reaches this
+export const AUTO_FORMAT_MIN_SSIM = Number(process.env.SHARP_AUTO_MIN_SSIM || 0.97);
+
+// Quality range searched when a preset targets a similarity instead of a
+// fixed quality; below 30 artefacts are obvious whatever the metric says
+const SEARCH_MIN_QUALITY = 30;
+const SEARCH_MAX_QUALITY = 100;
+
+/**
+ * Encoder options for the output format.
+ */
+function encoderOptions(format, quality, chromaSubsampling) {
+  switch (format) {
+    case 'jpeg':
+      return { quality, mozjpeg: true, chromaSubsampling };
+    case 'webp':
+      // Lossy WebP is always 4:2:0; smart subsampling keeps edges sharper,
+      // and quality 100 with 4:4:4 is taken as a request for lossless
+      return chromaSubsampling === '4:4:4' && quality === 100
+        ? { lossless: true, effort: 6 }
+        : { quality, effort: 6, alphaQuality: 80, smartSubsample: true };
+    case 'png':
+      // PNG is lossless; below 100 the quality applies to palette quantisation
+      return { compressionLevel: 9, adaptiveFiltering: true, ...(quality < 100 ? { palette: true, quality } : {}) };
+    case 'avif':
+      return { quality, effort: 4, chromaSubsampling };
+    case 'gif':
+      // GIF has no quality setting; lower quality lets more pixels be reused
+      // from the previous frame (interFrameMaxError is 0-32)
+      return { effort: 7, reuse: true, interFrameMaxError: quality < 100 ? Math.round((100 - quality) / 5) : 0 };
+    default:
+      return { quality, effort: 6 };
+  }
+}
+
+function encode(sharpInstance, format, quality, chromaSubsampling) {
+  return sharpInstance.clone()
+    .toFormat(format, encoderOptions(format, quality, chromaSubsampling))
+    .toBuffer();
+}
+
+/**
+ * SSIM of encoded candidates against the (resized) source. The reference is
+ * prepared on first use, once the output dimensions are known.
+ * @returns {Function} - async (candidateBuffer) → SSIM between 0 and 1
+ */
+function similarityTo(sharpInstance) {
+  let scorer = null;
+  return async buffer => {
+    if (!scorer) {
+      const { width, height } = await sharp(buffer).metadata();
+      scorer = createSimilarityScorer(sharpInstance, width, height);
+    }
+    return (await scorer)(buffer);
+  };
+}
+
+/**
+ * Binary-searches the lowest quality whose output still reaches
+ * `targetSsim`. Falls back to the highest quality when no quality in the
+ * range reaches the target.
+ *
+ * @returns {Promise<{buffer: Buffer, quality: number, ssim: number, reachedTarget: boolean, attempts: number}>}
+ */
+async function encodeForTarget(sharpInstance, format, chromaSubsampling, targetSsim, score) {
+  let low = SEARCH_MIN_QUALITY;
+  let high = SEARCH_MAX_QUALITY;
+  let best = null;
+  let attempts = 0;
+
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const buffer = await encode(sharpInstance, format, quality, chromaSubsampling);
+    const ssim = await score(buffer);
+    attempts++;
+    if (ssim >= targetSsim) {
+      best = { buffer, quality, ssim };
+      high = quality - 1;
+    } else {
+      low = quality + 1;
+    }
+  }
+
+  if (best) return { ...best, reachedTarget: true, attempts };
+
+  const buffer = await encode(sharpInstance, format, SEARCH_MAX_QUALITY, chromaSubsampling);
+  return { buffer, quality: SEARCH_MAX_QUALITY, ssim: await score(buffer), reachedTarget: false, attempts: attempts + 1 };
+}
+
+const qualitySearchSummary = (targetSsim, { quality, ssim, reachedTarget, attempts }) =>
+  ({ targetSsim, quality, ssim: Number(ssim.toFixed(4)), reachedTarget, attempts });
+
+/**
+ * Format selection for `format: 'auto'`: encodes AVIF, WebP and MozJPEG (or
+ * optimised PNG when the image has transparency), then keeps the smallest
+ * candidate whose similarity to the source meets AUTO_FORMAT_MIN_SSIM.
+ * With a `targetSsim` every candidate is encoded at the lowest quality that
+ * reaches it, and the target replaces AUTO_FORMAT_MIN_SSIM as the floor.
+ *
+ * @returns {Promise<{buffer: Buffer, format: string, selection: Object}>} -
+ *   `selection` (candidates, reason) is recorded in _compressionMetadata
+ */
+async function chooseBestFormat(sharpInstance, metadata, { quality, chromaSubsampling, targetSsim }) {
+  const minSsim = targetSsim ?? AUTO_FORMAT_MIN_SSIM;
+  const formats = ['avif', 'webp', metadata.hasAlpha ? 'png' : 'jpeg'];
+  const candidates = [];
+  const score = similarityTo(sharpInstance);
+
+  for (const format of formats) {
+    try {
+      let buffer, ssim, candidateQuality = quality;
+      if (targetSsim) {
+        ({ buffer, ssim, quality: candidateQuality } =
+          await encodeForTarget(sharpInstance, format, chromaSubsampling, targetSsim, score));
+      } else {
+        buffer = await encode(sharpInstance, format, quality, chromaSubsampling);
+        ssim = await score(buffer);
+      }
+      candidates.push({ format, buffer, quality: candidateQuality, size: buffer.length, ssim, accepted: ssim >= minSsim });
+    } catch (err) {
+      console.warn(`[Sharp] auto: ${format} encode failed:`, err.message);
+      candidates.push({ format, size: null, ssim: null, accepted: false, error: err.message });
+    }
+  }
+
+  const encoded = candidates.filter(c => c.buffer);
+  if (!encoded.length) throw new Error('No candidate format could be encoded');
+
+  const accepted = encoded.filter(c => c.accepted).sort((a, b) => a.size - b.size);
+  const chosen = accepted[0] || [...encoded].sort((a, b) => b.ssim - a.ssim)[0];
+  const runnerUp = accepted[1];
+
+  const notes = [];
+  if (metadata.hasAlpha) notes.push('transparent, so PNG instead of JPEG');
+  const reason = accepted.length
+    ? `smallest candidate with SSIM ≥ ${minSsim} (${chosen.ssim.toFixed(4)})`
+      + (runnerUp ? `, ${Math.round((1 - chosen.size / runnerUp.size) * 100)}% smaller than ${runnerUp.format}` : '')
+    : `no candidate reached SSIM ${minSsim}; kept the most faithful (${chosen.ssim.toFixed(4)})`;
+
+  return {
+    buffer: chosen.buffer,
+    format: chosen.format,
+    selection: {
+      mode: 'auto',
+      chosen: chosen.format,
+      reason: [reason, ...notes].join('; '),
+      minSsim,
+      candidates: candidates.map(({ buffer: _buffer, ...c }) => ({
+        ...c,
+        ssim: c.ssim != null ? Number(c.ssim.toFixed(4)) : null
+      }))
+    }
+  };
+}
+
+/**
+ * Animated GIF/WebP: re-encodes every frame as animated WebP or in the source
+ * format, since JPEG, PNG and AVIF can't animate. With `animatedVideo` the
+ * animation is also encoded as MP4/WebM; a failed video is reported in
+ * `animation.video.error` rather than failing the image.
+ *
+ * @param {Buffer|null} sourceGif - Untouched source GIF for ffmpeg, or null
+ *   to encode one from the (resized) frames
+ * @returns {Promise<{buffer: Buffer, format: string, animation: Object, video: Object|null}>}
+ */
+async function encodeAnimation(sharpInstance, metadata, { animatedFormat, animatedVideo, quality, chromaSubsampling, sourceGif }) {
+  const format = animatedFormat === 'webp' || !ANIMATED_FORMATS.includes(metadata.format) ? 'webp' : metadata.format;
+  const buffer = await encode(sharpInstance, format, quality, chromaSubsampling);
+  const animation = { frames: metadata.pages, loop: metadata.loop ?? 0, sourceFormat: metadata.format, format };
+
+  let video = null;
+  if (animatedVideo) {
+    try {
+      const gif = sourceGif || await encode(sharpInstance, 'gif', 100, chromaSubsampling);
+      video = await convertGifToVideo(gif, animatedVideo);
+      animation.video = { format: video.format, size: video.buffer.length };
+    } catch (err) {
+      console.warn(`[Sharp] ${animatedVideo} conversion failed:`, err.message);
+      animation.video = { format: animatedVideo, error: err.message };
+    }
+  }
+
+  return { buffer, format, animation, video };
+}
+
+/**
+ * Responsive copies of an image for a srcset, one per width and format.
+ * Widths at or above the (upright) source width are replaced by a single
+ * copy at the source width, since upscaling adds bytes without detail.
+ * JPEG becomes PNG for images with transparency. The preset's metadata
+ * policy applies as for the main image.
+ *
+ * @param {Buffer} sourceBuffer - The original image
+ * @param {Object} options - Compression preset options
+ * @param {Array<number>} options.derivativeWidths
+ * @param {Array<string>} options.derivativeFormats - 'avif' | 'webp' | 'jpeg' | 'png'
+ * @returns {Promise<Array<{buffer: Buffer, format: string, width: number, height: number}>>}
+ */
+export async function generateDerivatives(sourceBuffer, options) {
   const {
+    derivativeWidths = [],
+    derivativeFormats = [],
     quality = 80,
+    chromaSubsampling = '4:2:0',
+    autoOrient = true,
+    stripMetadata = true,
+    keepCopyright = false,
+    iccProfile = 'srgb',
+  } = options;
+
+  const metadata = await sharp(sourceBuffer).metadata();
+  const { sharpInstance, report } = applyMetadataPolicy(sharp(sourceBuffer), metadata, {
+    autoOrient,
+    stripMetadata,
+    keepCopyright,
+    iccProfile
+  });
+  const sourceWidth = report.autoOriented && report.orientation >= 5 ? metadata.height : metadata.width;
+
+  const widths = [...new Set(derivativeWidths.map(w => Math.min(w, sourceWidth)))].sort((a, b) => a - b);
+  const formats = [...new Set(derivativeFormats.map(f => (f === 'jpeg' && metadata.hasAlpha ? 'png' : f)))];
+
+  const derivatives = [];
+  for (const width of widths) {
+    const resized = sharpInstance.clone().resize({ width, withoutEnlargement: true });
+    for (const format of formats) {
+      const { data, info } = await resized.clone()
+        .toFormat(format, encoderOptions(format, quality, chromaSubsampling))
+        .toBuffer({ resolveWithObject: true });
+      derivatives.push({ buffer: data, format, width: info.width, height: info.height });
+    }
+  }
+  return derivatives;
+}
+
+/**
+ * Compresses images with sharp.
+ * @param {Array<string|Object>} images - URLs, or sources already downloaded
+ *   with fetchSourceImage
+ * @param {Object} [options] - Compression preset options
+ * @param {number} [options.quality] - 1-100, chosen from the file size when omitted
+ * @param {number|null} [options.maxWidth] - null keeps the width
+ * @param {number|null} [options.maxHeight] - null keeps the height
+ * @param {string} [options.format] - 'original' | 'auto' | 'avif' | 'webp' | 'jpeg' | 'png'
+ * @param {boolean} [options.stripMetadata] - Drop EXIF (including GPS), XMP and IPTC
+ * @param {boolean} [options.keepCopyright] - Keep EXIF Copyright/Artist when stripping
+ * @param {boolean} [options.autoOrient] - Rotate upright from the EXIF orientation
+ * @param {string} [options.iccProfile] - 'srgb' | 'keep' | 'strip', see applyMetadataPolicy
+ * @param {string} [options.chromaSubsampling] - '4:2:0' | '4:4:4'
+ * @param {number|null} [options.targetSsim] - Search the lowest quality whose
+ *   SSIM against the source reaches this (e.g. 0.985) instead of using `quality`
+ * @param {string} [options.animatedFormat] - 'original' | 'webp', for animated GIF/WebP
+ * @param {string|null} [options.animatedVideo] - 'mp4' | 'webm' to also make a video of animations (needs FFMPEG_PATH)
+ * @param {boolean} [options.toWebp] - Legacy flag, same as format 'webp'
+ */
+export async function* compressMultipleImages(images, options = {}) {
+  const {
+    quality,
     maxWidth = 1200,
     maxHeight = 1200,
-    toWebp = false,
+    format = options.toWebp ? 'webp' : 'original',
+    stripMetadata = true,
+    keepCopyright = false,
+    autoOrient = true,
+    iccProfile = 'srgb',
+    chromaSubsampling = '4:2:0',
+    targetSsim = null,
+    animatedFormat = 'original',
+    animatedVideo = null,
   } = options;
 
-  for (const url of imageUrls) {
+  for (const image of images) {
+    const url = typeof image === 'string' ? image : image.url;
     let result;
     try {
-      let response;
-      try {
-        response = await fetch(url);
-        if (!response.ok) {
-          throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
-        }
-      } catch (fetchError) {
-        throw new Error(`Failed to fetch image: ${fetchError.message}`);
-      }
-      
-      const buffer = await response.arrayBuffer();
-      const originalSize = buffer.byteLength;
-      const qualityValue = chooseQualityForImage(originalSize) ?? quality;
-      let sharpInstance = sharp(Buffer.from(buffer));
+      const { buffer } = await loadSourceImage(image);
+      const originalSize = buffer.length;
+      const qualityValue = parseInt(quality ?? chooseQualityForImage(originalSize), 10);
+      // Without `animated` sharp decodes the first frame only
+      const { pages: frames = 1 } = await sharp(buffer).metadata();
+      const animated = frames > 1;
+      let sharpInstance = sharp(buffer, { animated });
       
       const metadata = await sharpInstance.metadata();
+      let metadataReport;
+      ({ sharpInstance, report: metadataReport } = applyMetadataPolicy(sharpInstance, metadata, {
+        autoOrient,
+        stripMetadata,
+        keepCopyright,
+        iccProfile
+      }));
+
+      // Animated input reports the height of all frames stacked; orientations
+      // 5-8 swap width and height once rotated
+      const frameHeight = metadata.pageHeight || metadata.height;
+      const [width, height] = metadataReport.autoOriented && metadataReport.orientation >= 5
+        ? [frameHeight, metadata.width]
+        : [metadata.width, frameHeight];
+      const resized = (maxWidth && width > maxWidth) || (maxHeight && height > maxHeight);
       
-      if (metadata.width > maxWidth || metadata.height > maxHeight) {
+      if (resized) {
         sharpInstance = sharpInstance.resize({
-          width: maxWidth,
-          height: maxHeight,
+          width: maxWidth || undefined,
+          height: maxHeight || undefined,
           fit: 'inside',
           withoutEnlargement: true
         });
       }
       
       try {
+        let targetFormat;
         let compressedBuffer;
-        let targetFormat = metadata.format;
-
-        if (toWebp && metadata.format !== 'webp') {
-          compressedBuffer = await sharpInstance
-            .webp({
-              quality: parseInt(qualityValue, 10),
-              effort: 6,
-              alphaQuality: 80,
-              smartSubsample: true
-            })
-            .toBuffer();
-          targetFormat = 'webp';
-        } else if (['jpeg', 'jpg', 'png', 'webp', 'avif', 'tiff', 'gif'].includes(metadata.format)) {
-          compressedBuffer = await sharpInstance
-            .toFormat(metadata.format, {
-              quality: parseInt(qualityValue, 10),
-              effort: 6,
-              ...(metadata.format === 'jpeg' || metadata.format === 'jpg' ? { mozjpeg: true } : {}),
-              ...(metadata.format === 'png' ? { compressionLevel: 9 } : {})
-            })
-            .toBuffer();
-          targetFormat = metadata.format;
+        let formatSelection = null;
+        let qualitySearch = null;
+        let animation = null;
+        let video = null;
+
+        if (animated) {
+          // Formats and quality searches that would flatten the animation don't apply
+          ({ buffer: compressedBuffer, format: targetFormat, animation, video } = await encodeAnimation(sharpInstance, metadata, {
+            animatedFormat,
+            animatedVideo,
+            quality: qualityValue,
+            chromaSubsampling,
+            sourceGif: metadata.format === 'gif' && !resized ? buffer : null
+          }));
+        } else if (format === 'auto') {
+          ({ buffer: compressedBuffer, format: targetFormat, selection: formatSelection } =
+            await chooseBestFormat(sharpInstance, metadata, { quality: qualityValue, chromaSubsampling, targetSsim }));
+          const chosen = formatSelection.candidates.find(c => c.format === targetFormat);
+          if (targetSsim && chosen?.ssim != null) {
+            qualitySearch = { targetSsim, quality: chosen.quality, ssim: chosen.ssim, reachedTarget: chosen.accepted };
+          }
         } else {
-          compressedBuffer = await sharpInstance
-            .webp({
-              quality: parseInt(qualityValue, 10),
-              effort: 6,
-              alphaQuality: 80,
-              smartSubsample: true
-            })
-            .toBuffer();
-          targetFormat = 'webp';
+          // Unknown source formats (e.g. HEIF) are written as WebP
+          targetFormat = format === 'original' ? metadata.format : format;
+          if (!SUPPORTED_FORMATS.includes(targetFormat)) targetFormat = 'webp';
+
+          if (targetSsim) {
+            const search = await encodeForTarget(
+              sharpInstance, targetFormat, chromaSubsampling, targetSsim, similarityTo(sharpInstance)
+            );
+            compressedBuffer = search.buffer;
+            qualitySearch = qualitySearchSummary(targetSsim, search);
+          } else {
+            compressedBuffer = await encode(sharpInstance, targetFormat, qualityValue, chromaSubsampling);
+          }
         }
         
         const compressedSize = compressedBuffer.byteLength;
@@ -95,10 +379,14 @@ export async function* compressMultipleImages(imageUrls, options = {}) {
         let finalSavings = savings;
 
         if (compressedSize >= originalSize) {
-          finalBuffer = Buffer.from(buffer);
+          finalBuffer = buffer;
           finalFormat = metadata.format;
           finalSize = originalSize;
           finalSavings = 0;
+          if (formatSelection) {
+            formatSelection.reason += `; the ${formatSelection.chosen} result was larger than the source, kept the original`;
+            formatSelection.chosen = metadata.format;
+          }
         }
         
         result = {
@@ -108,7 +396,18 @@ export async function* compressMultipleImages(imageUrls, options = {}) {
           savings: finalSavings,
           buffer: finalBuffer,
           format: finalFormat,
-          strategy: 'sharp'
+          strategy: 'sharp',
+          frames,
+          ...(video ? { video } : {}),
+          _compressionMetadata: {
+            metadataPolicy: finalBuffer === compressedBuffer
+              ? metadataReport
+              : { ...metadataReport, note: 'original kept, nothing was changed' },
+            ...(formatSelection && { formatSelection }),
+            ...(qualitySearch && { qualitySearch }),
+            // the format of the bytes stored, the source's when it was kept
+            ...(animation && { animation: { ...animation, format: finalFormat } })
+          }
         };
       } catch (webpError) {
         const pngBuffer = await sharpInstance
@@ -0,0 +1,120 @@
+import prisma from '../db.server';
+import {
+  COMPRESSED_COLLECTION,
+  ORIGINALS_COLLECTION,
+  COMPRESSED_OBJECTS_COLLECTION,
+  listStoredImages,
+  deleteStoredImage
+} from './firebaseStorage.server';
+import { cancelShopJobs } from './compressionJobs.server';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shopify expects shop data to be erased within 30 days of shop/redact, so the
+// grace period is capped there.
+const MAX_GRACE_DAYS = 30;
+
+/**
+ * Days a shop's stored images are kept after uninstall. Reinstalling within
+ * this window keeps the compression history and the originals for revert.
+ */
+export const PURGE_GRACE_DAYS = Math.min(
+  MAX_GRACE_DAYS,
+  Math.max(0, Number(process.env.SHOP_DATA_GRACE_DAYS ?? 2))
+);
+
+/**
+ * Schedules the purge of a shop's stored data. Webhooks are delivered more
+ * than once, so an existing schedule is kept rather than pushed back.
+ * @param {string} shop - Shop domain
+ * @param {string} reason - Webhook topic that triggered the purge
+ */
+export async function scheduleShopPurge(shop, reason) {
+  const purgeAfter = new Date(Date.now() + PURGE_GRACE_DAYS * DAY_MS);
+  const purge = await prisma.shopDataPurge.upsert({
+    where: { shop },
+    create: { shop, reason, purgeAfter },
+    update: {}
+  });
+  console.log(`[Purge] ${shop} scheduled for ${purge.purgeAfter.toISOString()} (${purge.reason})`);
+  return purge;
+}
+
+/**
+ * Cancels a scheduled purge, e.g. because the shop reinstalled the app.
+ * @returns {Promise<boolean>} - Whether a purge was pending
+ */
+export async function cancelShopPurge(shop) {
+  const { count } = await prisma.shopDataPurge.deleteMany({ where: { shop } });
+  if (count) console.log(`[Purge] ${shop} reinstalled, purge cancelled`);
+  return count > 0;
+}
+
+/**
+ * Deletes every stored file and metadata record of the shop, along with its
+ * compression jobs, focus keywords, compression presets, Tinify usage,
+ * image histories and alt text usage counts.
+ * Images published on Shopify are not touched.
+ * @returns {Promise<Object>} - Number of deleted records per collection
+ */
+export async function purgeShopData(shop) {
+  const deleted = {};
+
+  // Shared objects go with their last compressed record; any left are orphans
+  for (const collection of [COMPRESSED_COLLECTION, ORIGINALS_COLLECTION, COMPRESSED_OBJECTS_COLLECTION]) {
+    const records = await listStoredImages(shop, collection);
+    for (const record of records) {
+      await deleteStoredImage(collection, record);
+    }
+    deleted[collection] = records.length;
+  }
+
+  const { count: jobs } = await prisma.compressionJob.deleteMany({ where: { shop } });
+  const { count: keywords } = await prisma.productKeyword.deleteMany({ where: { shop } });
+  const { count: presets } = await prisma.compressionPreset.deleteMany({ where: { shop } });
+  const { count: tinifyUsage } = await prisma.tinifyUsage.deleteMany({ where: { shop } });
+  const { count: versions } = await prisma.imageVersion.deleteMany({ where: { shop } });
+  const { count: altIndex } = await prisma.altTextIndex.deleteMany({ where: { shop } });
+  await prisma.shopDataPurge.deleteMany({ where: { shop } });
+
+  console.log(`[Purge] ${shop} purged`, { ...deleted, jobs, keywords, presets, tinifyUsage, versions, altIndex });
+  return { ...deleted, jobs, keywords, presets, tinifyUsage, versions, altIndex };
+}
+
+// The purge run in progress, shared by overlapping callers
+let activeRun = null;
+
+/**
+ * Purges every shop whose grace period has ended. There is no scheduler, so
+ * this runs opportunistically from webhooks and app requests; a failed purge
+ * stays scheduled and is retried on the next call, as does the purge of a
+ * shop whose compression job is still finishing its current item.
+ * @returns {Promise<number>} - Number of shops that were due
+ */
+export function runDuePurges() {
+  activeRun ??= purgeDueShops().finally(() => {
+    activeRun = null;
+  });
+  return activeRun;
+}
+
+async function purgeDueShops() {
+  const due = await prisma.shopDataPurge.findMany({
+    where: { purgeAfter: { lte: new Date() } },
+    orderBy: { purgeAfter: 'asc' }
+  });
+
+  for (const { shop } of due) {
+    try {
+      // A job still running would store images again after the purge
+      if (await cancelShopJobs(shop)) {
+        console.log(`[Purge] ${shop} still has a job running, purging on a later call`);
+        continue;
+      }
+      await purgeShopData(shop);
+    } catch (error) {
+      console.error(`[Purge] Failed to purge ${shop}:`, error);
+    }
+  }
+  return due.length;
+}
@@ -0,0 +1,428 @@
+// Replacing product images through the Admin GraphQL API. The REST
+// products/{id}/images endpoints are not available with `removeRest: true`.
+
+const STAGED_UPLOADS_CREATE = `#graphql
+  mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+    stagedUploadsCreate(input: $input) {
+      stagedTargets {
+        url
+        resourceUrl
+        parameters { name value }
+      }
+      userErrors { field message }
+    }
+  }`;
+
+const PRODUCT_CREATE_MEDIA = `#graphql
+  mutation productCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
+    productCreateMedia(productId: $productId, media: $media) {
+      media {
+        id
+        status
+        ... on MediaImage { image { url } }
+      }
+      mediaUserErrors { field message code }
+    }
+  }`;
+
+const PRODUCT_DELETE_MEDIA = `#graphql
+  mutation productDeleteMedia($productId: ID!, $mediaIds: [ID!]!) {
+    productDeleteMedia(productId: $productId, mediaIds: $mediaIds) {
+      deletedMediaIds
+      mediaUserErrors { field message code }
+    }
+  }`;
+
+const MEDIA_IMAGE_QUERY = `#graphql
+  query mediaImage($id: ID!) {
+    node(id: $id) {
+      ... on MediaImage {
+        id
+        alt
+        status
+        image { url }
+      }
+    }
+  }`;
+
+const PRODUCT_MEDIA_PLACEMENT = `#graphql
+  query productMediaPlacement($id: ID!, $mediaCursor: String, $variantCursor: String) {
+    product(id: $id) {
+      media(first: 250, after: $mediaCursor) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { id } }
+      }
+      variants(first: 100, after: $variantCursor) {
+        pageInfo { hasNextPage endCursor }
+        edges {
+          node {
+            id
+            media(first: 1) { edges { node { id } } }
+          }
+        }
+      }
+    }
+  }`;
+
+const PRODUCT_MEDIA_FILENAMES = `#graphql
+  query productMediaFilenames($id: ID!, $cursor: String) {
+    product(id: $id) {
+      media(first: 250, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        edges {
+          node {
+            id
+            ... on MediaImage { image { url } }
+          }
+        }
+      }
+    }
+  }`;
+
+const PRODUCT_REORDER_MEDIA = `#graphql
+  mutation productReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+    productReorderMedia(id: $id, moves: $moves) {
+      job { id done }
+      mediaUserErrors { field message code }
+    }
+  }`;
+
+const PRODUCT_VARIANT_APPEND_MEDIA = `#graphql
+  mutation productVariantAppendMedia($productId: ID!, $variantMedia: [ProductVariantAppendMediaInput!]!) {
+    productVariantAppendMedia(productId: $productId, variantMedia: $variantMedia) {
+      productVariants { id }
+      userErrors { field message }
+    }
+  }`;
+
+const PRODUCT_UPDATE_MEDIA = `#graphql
+  mutation productUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
+    productUpdateMedia(productId: $productId, media: $media) {
+      media { id alt }
+      mediaUserErrors { field message code }
+    }
+  }`;
+
+const JOB_QUERY = `#graphql
+  query job($id: ID!) {
+    job(id: $id) { id done }
+  }`;
+
+// Media is processed asynchronously after productCreateMedia
+const MEDIA_READY_ATTEMPTS = 10;
+const MEDIA_READY_DELAY_MS = 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export const productGid = id => (String(id).startsWith('gid://') ? id : `gid://shopify/Product/${id}`);
+export const mediaImageGid = id => (String(id).startsWith('gid://') ? id : `gid://shopify/MediaImage/${id}`);
+export const numericId = gid => (gid ? String(gid).split('/').pop() : null);
+
+export const mimeTypeForFormat = format => `image/${format === 'jpg' ? 'jpeg' : (format || 'jpeg')}`;
+
+async function graphql(admin, query, variables) {
+  const res = await admin.graphql(query, { variables });
+  const body = await res.json();
+  if (body.errors?.length) {
+    throw new Error(`GraphQL error: ${body.errors.map(e => e.message).join(', ')}`);
+  }
+  return body.data;
+}
+
+function assertNoUserErrors(errors, operation) {
+  if (errors?.length) {
+    throw new Error(`${operation} failed: ${errors.map(e => e.message).join(', ')}`);
+  }
+}
+
+async function deleteProductMedia(admin, productId, mediaId) {
+  const deleted = await graphql(admin, PRODUCT_DELETE_MEDIA, { productId, mediaIds: [mediaId] });
+  assertNoUserErrors(deleted.productDeleteMedia.mediaUserErrors, 'productDeleteMedia');
+}
+
+/**
+ * Uploads an image buffer to Shopify's staged upload storage.
+ * @param {Object} admin - Admin API context
+ * @param {Object} file
+ * @param {Buffer} file.buffer
+ * @param {string} file.filename
+ * @param {string} file.mimeType
+ * @returns {Promise<string>} - The resourceUrl to use as `originalSource`
+ */
+export async function stageImageUpload(admin, { buffer, filename, mimeType }) {
+  const data = await graphql(admin, STAGED_UPLOADS_CREATE, {
+    input: [{
+      resource: 'IMAGE',
+      filename,
+      mimeType,
+      httpMethod: 'POST',
+      fileSize: String(buffer.length)
+    }]
+  });
+  assertNoUserErrors(data.stagedUploadsCreate.userErrors, 'stagedUploadsCreate');
+
+  const target = data.stagedUploadsCreate.stagedTargets[0];
+  const form = new FormData();
+  target.parameters.forEach(({ name, value }) => form.append(name, value));
+  form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+  const uploadRes = await fetch(target.url, { method: 'POST', body: form });
+  if (!uploadRes.ok) {
+    throw new Error(`Staged upload failed: ${uploadRes.status} ${await uploadRes.text()}`);
+  }
+  return target.resourceUrl;
+}
+
+/**
+ * Reads a media image's current alt text and URL.
+ */
+export async function getMediaImage(admin, mediaId) {
+  const data = await graphql(admin, MEDIA_IMAGE_QUERY, { id: mediaImageGid(mediaId) });
+  return data.node || null;
+}
+
+/**
+ * Where a media image sits on its product: 1-based position in the gallery
+ * and the variants that use it as their image. Pages through both lists.
+ */
+export async function getMediaPlacement(admin, productId, mediaId) {
+  const target = mediaImageGid(mediaId);
+  const mediaIds = [];
+  const variantIds = [];
+  let mediaCursor = null;
+  let variantCursor = null;
+  let moreMedia = true;
+  let moreVariants = true;
+
+  while (moreMedia || moreVariants) {
+    const { product } = await graphql(admin, PRODUCT_MEDIA_PLACEMENT, {
+      id: productGid(productId),
+      mediaCursor,
+      variantCursor
+    });
+    if (!product) return null;
+
+    if (moreMedia) {
+      mediaIds.push(...product.media.edges.map(({ node }) => node.id));
+      moreMedia = product.media.pageInfo.hasNextPage;
+      mediaCursor = product.media.pageInfo.endCursor;
+    }
+    if (moreVariants) {
+      product.variants.edges.forEach(({ node }) => {
+        if (node.media.edges.some(({ node: m }) => m.id === target)) variantIds.push(node.id);
+      });
+      moreVariants = product.variants.pageInfo.hasNextPage;
+      variantCursor = product.variants.pageInfo.endCursor;
+    }
+  }
+
+  const index = mediaIds.indexOf(target);
+  return {
+    position: index === -1 ? null : index + 1,
+    variantIds
+  };
+}
+
+/**
+ * Filenames (without extension) of a product's images by numeric media id,
+ * as Shopify serves them. Pages through the gallery.
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function getProductImageFilenames(admin, productId) {
+  const filenames = new Map();
+  let cursor = null;
+  do {
+    const { product } = await graphql(admin, PRODUCT_MEDIA_FILENAMES, { id: productGid(productId), cursor });
+    if (!product) break;
+    product.media.edges.forEach(({ node }) => {
+      if (!node.image?.url) return;
+      const name = decodeURIComponent(new URL(node.image.url).pathname.split('/').pop()).replace(/\.[^.]+$/, '');
+      filenames.set(numericId(node.id), name);
+    });
+    cursor = product.media.pageInfo.hasNextPage ? product.media.pageInfo.endCursor : null;
+  } while (cursor);
+  return filenames;
+}
+
+/**
+ * Sets the alt text of several media images of one product.
+ * @param {Object} admin - Admin API context
+ * @param {string} productId - Numeric id or gid of the product
+ * @param {Array<{mediaId: string, alt: string}>} changes
+ * @returns {Promise<Array<{mediaId: string, alt: string}>>} - Alt text as saved by Shopify
+ */
+export async function updateMediaAlt(admin, productId, changes) {
+  const data = await graphql(admin, PRODUCT_UPDATE_MEDIA, {
+    productId: productGid(productId),
+    media: changes.map(({ mediaId, alt }) => ({ id: mediaImageGid(mediaId), alt }))
+  });
+  assertNoUserErrors(data.productUpdateMedia.mediaUserErrors, 'productUpdateMedia');
+  return data.productUpdateMedia.media.map(media => ({ mediaId: numericId(media.id), alt: media.alt || '' }));
+}
+
+async function waitForJob(admin, job) {
+  let current = job;
+  for (let attempt = 0; current && !current.done && attempt < MEDIA_READY_ATTEMPTS; attempt++) {
+    await sleep(MEDIA_READY_DELAY_MS);
+    current = (await graphql(admin, JOB_QUERY, { id: job.id })).job;
+  }
+  return current;
+}
+
+/**
+ * Compares what we meant to restore with what the new media ended up with.
+ * @returns {Array<{field: string, expected: *, actual: *}>}
+ */
+function findPlacementMismatches(expected, actual) {
+  const mismatches = [];
+  if (expected.position != null && expected.position !== actual.position) {
+    mismatches.push({ field: 'position', expected: expected.position, actual: actual.position });
+  }
+  if ((expected.alt || '') !== (actual.alt || '')) {
+    mismatches.push({ field: 'altText', expected: expected.alt, actual: actual.alt });
+  }
+  const missingVariants = expected.variantIds.filter(id => !actual.variantIds.includes(id));
+  if (missingVariants.length) {
+    mismatches.push({ field: 'variantIds', expected: expected.variantIds, actual: actual.variantIds });
+  }
+  return mismatches;
+}
+
+/**
+ * Polls a freshly created media image until Shopify has processed it.
+ * Returns the media (possibly still PROCESSING if it took too long).
+ */
+async function waitForMediaImage(admin, mediaId) {
+  let media = null;
+  for (let attempt = 0; attempt < MEDIA_READY_ATTEMPTS; attempt++) {
+    media = await getMediaImage(admin, mediaId);
+    if (media?.status === 'READY' || media?.status === 'FAILED') break;
+    await sleep(MEDIA_READY_DELAY_MS);
+  }
+  return media;
+}
+
+/**
+ * Replaces a product image with new bytes while keeping its place on the
+ * product: stages the upload, attaches it as new media with the old alt text,
+ * deletes the old media, then moves the new media to the old position and
+ * re-links the variants that used the old image. The outcome is read back and
+ * any difference is reported in `mismatches`.
+ *
+ * Throws (code MEDIA_NOT_FOUND, not retryable) before uploading anything when
+ * `mediaId` is not an image of the product. When processing the upload or
+ * deleting the old media fails, the new media is deleted again before the
+ * error is thrown, so the product never keeps both.
+ *
+ * @param {Object} admin - Admin API context
+ * @param {Object} params
+ * @param {string} params.productId - Numeric id or gid of the product
+ * @param {string} [params.mediaId] - Numeric id or gid of the media being replaced
+ * @param {Buffer} params.buffer - Replacement image bytes
+ * @param {string} params.filename
+ * @param {string} params.mimeType
+ * @returns {Promise<Object>} - { productId, newImageId, oldImageId, newImageUrl, alt, position, variantIds, mismatches, replaced }
+ */
+export async function replaceProductImage(admin, { productId, mediaId, buffer, filename, mimeType }) {
+  const productGidValue = productGid(productId);
+  const oldMediaGid = mediaId ? mediaImageGid(mediaId) : null;
+
+  // Capture everything the old media carries before touching it
+  let expected = { alt: '', position: null, variantIds: [] };
+  if (oldMediaGid) {
+    const oldMedia = await getMediaImage(admin, oldMediaGid);
+    const oldPlacement = oldMedia ? await getMediaPlacement(admin, productGidValue, oldMediaGid) : null;
+    if (oldPlacement?.position == null) {
+      throw Object.assign(
+        new Error(`Media ${numericId(oldMediaGid)} is not an image of product ${numericId(productGidValue)}`),
+        { code: 'MEDIA_NOT_FOUND', retryable: false }
+      );
+    }
+    expected = { alt: oldMedia.alt || '', position: oldPlacement.position, variantIds: oldPlacement.variantIds };
+  }
+
+  const resourceUrl = await stageImageUpload(admin, { buffer, filename, mimeType });
+
+  const created = await graphql(admin, PRODUCT_CREATE_MEDIA, {
+    productId: productGidValue,
+    media: [{ originalSource: resourceUrl, mediaContentType: 'IMAGE', alt: expected.alt }]
+  });
+  assertNoUserErrors(created.productCreateMedia.mediaUserErrors, 'productCreateMedia');
+  const newMedia = created.productCreateMedia.media[0];
+
+  let ready;
+  try {
+    ready = await waitForMediaImage(admin, newMedia.id);
+    if (ready?.status === 'FAILED') {
+      throw new Error('Shopify failed to process the uploaded image');
+    }
+    if (oldMediaGid) {
+      await deleteProductMedia(admin, productGidValue, oldMediaGid);
+    }
+  } catch (err) {
+    // Otherwise a retry would add yet another copy next to the old image
+    try {
+      await deleteProductMedia(admin, productGidValue, newMedia.id);
+    } catch (rollbackErr) {
+      console.error('[ShopifyMedia] Could not remove the new media after a failed replacement:', rollbackErr);
+    }
+    throw err;
+  }
+
+  const warnings = [];
+
+  // New media is appended last; move it back where the old one was
+  if (expected.position != null) {
+    try {
+      const reordered = await graphql(admin, PRODUCT_REORDER_MEDIA, {
+        id: productGidValue,
+        moves: [{ id: newMedia.id, newPosition: String(expected.position - 1) }]
+      });
+      assertNoUserErrors(reordered.productReorderMedia.mediaUserErrors, 'productReorderMedia');
+      await waitForJob(admin, reordered.productReorderMedia.job);
+    } catch (err) {
+      console.error('[ShopifyMedia] Could not restore media position:', err);
+      warnings.push(err.message);
+    }
+  }
+
+  // Variants lost their image when the old media was deleted
+  if (expected.variantIds.length) {
+    try {
+      const appended = await graphql(admin, PRODUCT_VARIANT_APPEND_MEDIA, {
+        productId: productGidValue,
+        variantMedia: expected.variantIds.map(variantId => ({ variantId, mediaIds: [newMedia.id] }))
+      });
+      assertNoUserErrors(appended.productVariantAppendMedia.userErrors, 'productVariantAppendMedia');
+    } catch (err) {
+      console.error('[ShopifyMedia] Could not restore variant images:', err);
+      warnings.push(err.message);
+    }
+  }
+
+  // Read back what Shopify actually has now
+  const finalMedia = await getMediaImage(admin, newMedia.id);
+  const finalPlacement = await getMediaPlacement(admin, productGidValue, newMedia.id);
+  const actual = {
+    alt: finalMedia?.alt || '',
+    position: finalPlacement?.position ?? null,
+    variantIds: finalPlacement?.variantIds || []
+  };
+  const mismatches = oldMediaGid ? findPlacementMismatches(expected, actual) : [];
+  if (mismatches.length) {
+    console.warn('[ShopifyMedia] Replacement did not preserve all attributes:', mismatches);
+  }
+
+  return {
+    productId: numericId(productGidValue),
+    newImageId: numericId(newMedia.id),
+    oldImageId: numericId(oldMediaGid),
+    newImageUrl: finalMedia?.image?.url || ready?.image?.url || null,
+    alt: actual.alt,
+    position: actual.position,
+    variantIds: actual.variantIds,
+    mismatches,
+    ...(warnings.length ? { warnings } : {}),
+    replaced: true
+  };
+}
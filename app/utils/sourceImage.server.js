@@ -0,0 +1,145 @@
+import { createHash } from 'node:crypto';
+
+// Downloads the source image of a compression once, for the compressor, the
+// stored original and the derivatives alike.
+
+export const SOURCE_FETCH_TIMEOUT_MS = Math.max(1000, Number(process.env.SOURCE_FETCH_TIMEOUT_MS ?? 30000));
+
+// Shopify accepts product images up to 20 MB, so no larger source is expected
+export const SOURCE_MAX_BYTES = Math.max(1, Number(process.env.SOURCE_MAX_BYTES ?? 20 * 1024 * 1024));
+
+// Image types Sharp can read, by content type
+const SOURCE_FORMATS = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/pjpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/avif': 'avif'
+};
+
+// Content types that say nothing about the image; the bytes decide instead
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream'];
+
+// Failures that come out the same however often the download is tried
+const PERMANENT_CODES = ['SOURCE_TOO_LARGE', 'SOURCE_UNSUPPORTED_TYPE'];
+// Client errors that are still worth another try
+const TRANSIENT_STATUSES = [408, 429];
+
+const isPermanent = (code, status) => PERMANENT_CODES.includes(code)
+  || (status >= 400 && status < 500 && !TRANSIENT_STATUSES.includes(status));
+
+const sourceError = (message, code, status = null) => Object.assign(new Error(message), {
+  code,
+  status,
+  retryable: !isPermanent(code, status)
+});
+
+/** Format of an image from its first bytes, or null when not recognised. */
+function sniffFormat(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+  if (ascii(1, 4) === 'PNG') return 'png';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(0, 4) === 'GIF8') return 'gif';
+  if (ascii(4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(8, 12))) return 'avif';
+  return null;
+}
+
+/** Reads a response body, giving up as soon as it grows past maxBytes. */
+async function readBody(response, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw sourceError(`Source image is larger than ${maxBytes} bytes`, 'SOURCE_TOO_LARGE');
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks.map(chunk => Buffer.from(chunk)));
+}
+
+/**
+ * Downloads a source image.
+ * @param {string} url
+ * @param {Object} [limits]
+ * @param {number} [limits.timeoutMs] - For the whole download
+ * @param {number} [limits.maxBytes]
+ * @returns {Promise<{url: string, buffer: Buffer, contentType: string, format: string, size: number, hash: string}>} -
+ *   `format` is the file extension ('jpg', 'png', …) and `hash` the
+ *   SHA-256 of the bytes
+ * @throws With `code` SOURCE_FETCH_FAILED, SOURCE_TIMEOUT, SOURCE_TOO_LARGE
+ *   or SOURCE_UNSUPPORTED_TYPE, the HTTP `status` when the server answered
+ *   with an error, and `retryable` false when trying again cannot help (too
+ *   large, unsupported, a 4xx other than 408/429)
+ */
+export async function fetchSourceImage(url, { timeoutMs = SOURCE_FETCH_TIMEOUT_MS, maxBytes = SOURCE_MAX_BYTES } = {}) {
+  let buffer;
+  let contentType;
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) {
+      throw sourceError(`Failed to fetch image: ${response.status} ${response.statusText}`, 'SOURCE_FETCH_FAILED', response.status);
+    }
+
+    contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!SOURCE_FORMATS[contentType] && !GENERIC_TYPES.includes(contentType)) {
+      await response.body?.cancel();
+      throw sourceError(`Unsupported source image type: ${contentType}`, 'SOURCE_UNSUPPORTED_TYPE');
+    }
+    const declaredSize = Number(response.headers.get('content-length'));
+    if (declaredSize > maxBytes) {
+      await response.body?.cancel();
+      throw sourceError(`Source image is larger than ${maxBytes} bytes (${declaredSize})`, 'SOURCE_TOO_LARGE');
+    }
+
+    buffer = await readBody(response, maxBytes);
+  } catch (error) {
+    if (String(error.code).startsWith('SOURCE_')) throw error;
+    if (error.name === 'TimeoutError') {
+      throw sourceError(`Fetching the source image timed out after ${timeoutMs} ms`, 'SOURCE_TIMEOUT');
+    }
+    throw sourceError(`Failed to fetch image: ${error.message}`, 'SOURCE_FETCH_FAILED');
+  }
+
+  if (!buffer.length) {
+    throw sourceError('Source image is empty', 'SOURCE_FETCH_FAILED');
+  }
+  return describeSourceImage(url, buffer, SOURCE_FORMATS[contentType]);
+}
+
+/**
+ * A source from bytes at hand, such as a stored original, in the shape
+ * fetchSourceImage returns.
+ * @param {string} url - Where the image came from
+ * @param {Buffer} buffer
+ * @param {string} [declaredFormat] - Used when the bytes aren't recognised
+ * @throws With `code` SOURCE_UNSUPPORTED_TYPE
+ */
+export function describeSourceImage(url, buffer, declaredFormat = null) {
+  // Trust the bytes over the header; a generic type must still be an image
+  const format = sniffFormat(buffer) || declaredFormat;
+  if (!format) {
+    throw sourceError('Source is not a supported image', 'SOURCE_UNSUPPORTED_TYPE');
+  }
+
+  return {
+    url,
+    buffer,
+    contentType: `image/${format === 'jpg' ? 'jpeg' : format}`,
+    format,
+    size: buffer.length,
+    hash: createHash('sha256').update(buffer).digest('hex')
+  };
+}
+
+/**
+ * The source to compress: a fetchSourceImage result is used as is, a URL is
+ * downloaded.
+ * @param {string|Object} image - URL or fetchSourceImage result
+ */
+export async function loadSourceImage(image) {
+  return typeof image === 'string' ? fetchSourceImage(image) : image;
+}
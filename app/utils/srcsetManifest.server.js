@@ -0,0 +1,45 @@
+// srcset manifests for the responsive derivatives stored with a compressed
+// image, in the shape a <picture> element needs.
+
+// Smallest first; browsers take the first <source> type they support
+const FORMAT_ORDER = ['avif', 'webp', 'jpg', 'png'];
+const DEFAULT_SIZES = '100vw';
+
+const mimeType = format => `image/${format === 'jpg' ? 'jpeg' : format}`;
+
+/**
+ * Builds the manifest of a compressed image record.
+ * @param {Object} record - Compressed image record (or the result of storeCompressedImage)
+ * @param {Object} [options]
+ * @param {string} [options.sizes] - `sizes` attribute to suggest
+ * @returns {Object|null} - null when the image has no derivatives:
+ *   { src, width, height, sizes, sources: [{type, srcset}], fallback: {type, srcset} }
+ */
+export function buildSrcsetManifest(record, { sizes = DEFAULT_SIZES } = {}) {
+  const derivatives = (record?.companions || []).filter(c => c.kind === 'derivative');
+  if (!derivatives.length) return null;
+
+  const byFormat = new Map();
+  for (const d of [...derivatives].sort((a, b) => a.width - b.width)) {
+    if (!byFormat.has(d.format)) byFormat.set(d.format, []);
+    byFormat.get(d.format).push(d);
+  }
+
+  const sources = [...byFormat.entries()]
+    .sort(([a], [b]) => FORMAT_ORDER.indexOf(a) - FORMAT_ORDER.indexOf(b))
+    .map(([format, list]) => ({
+      type: mimeType(format),
+      srcset: list.map(d => `${d.url} ${d.width}w`).join(', ')
+    }));
+  const largest = derivatives.reduce((max, d) => (d.width > max.width ? d : max));
+
+  return {
+    src: record.shopifyCompressedUrl || record.compressedUrl || record.url,
+    width: largest.width,
+    height: largest.height,
+    sizes,
+    // the last (most widely supported) format doubles as the <img> srcset
+    sources: sources.slice(0, -1),
+    fallback: sources[sources.length - 1]
+  };
+}
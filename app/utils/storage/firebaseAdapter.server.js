@@ -0,0 +1,104 @@
+import admin from 'firebase-admin';
+import { v4 as uuidv4 } from 'uuid';
+
+// firebase.js initialises the Admin SDK on import, so only load it once the
+// Firebase backend is actually used.
+let firebasePromise;
+const getFirebase = () => {
+  firebasePromise ??= import('../../../firebase.js');
+  return firebasePromise;
+};
+
+/**
+ * Storage adapter backed by Firebase Storage (files) and Firestore (records).
+ */
+export const firebaseAdapter = {
+  name: 'firebase',
+
+  async saveFile(path, buffer, { contentType, metadata = {} } = {}) {
+    const { bucket } = await getFirebase();
+    const downloadToken = uuidv4(); // Firebase console relies on this token
+
+    await bucket.file(path).save(buffer, {
+      metadata: {
+        contentType,
+        metadata: {
+          firebaseStorageDownloadTokens: downloadToken, // make available in console
+          ...metadata
+        }
+      },
+      validation: false // do not make public; token grants access
+    });
+
+    // Token-based download URL that works in the Firebase console
+    const url = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(path)}?alt=media&token=${downloadToken}`;
+    return { url, downloadToken };
+  },
+
+  async readFile(path) {
+    const { bucket } = await getFirebase();
+    const [buffer] = await bucket.file(path).download();
+    return buffer;
+  },
+
+  async fileExists(path) {
+    const { bucket } = await getFirebase();
+    const [exists] = await bucket.file(path).exists();
+    return exists;
+  },
+
+  async moveFile(from, to) {
+    const { bucket } = await getFirebase();
+    const [moved] = await bucket.file(from).move(to);
+    // Custom metadata (and with it the download token) travels with the object
+    const [meta] = await moved.getMetadata();
+    const downloadToken = meta.metadata?.firebaseStorageDownloadTokens;
+    const url = `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(to)}?alt=media&token=${downloadToken}`;
+    return { url, downloadToken };
+  },
+
+  async deleteFile(path) {
+    const { bucket } = await getFirebase();
+    await bucket.file(path).delete({ ignoreNotFound: true });
+  },
+
+  /**
+   * Recovers the object path from a token download URL, for records written
+   * before the path was stored alongside them.
+   */
+  pathFromUrl(url) {
+    const parsed = new URL(url);
+    return decodeURIComponent(parsed.pathname.split('/o/')[1] || '').split('?')[0] || null;
+  },
+
+  async addRecord(collection, data) {
+    const { db } = await getFirebase();
+    const docRef = await db.collection(collection).add({
+      ...data,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return docRef.id;
+  },
+
+  async updateRecord(collection, id, patch) {
+    const { db } = await getFirebase();
+    await db.collection(collection).doc(id).set(patch, { merge: true });
+  },
+
+  async findRecords(collection, where = {}, { limit } = {}) {
+    const { db } = await getFirebase();
+    let query = db.collection(collection);
+    for (const [field, value] of Object.entries(where)) {
+      query = query.where(field, '==', value);
+    }
+    if (limit) query = query.limit(limit);
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  },
+
+  async deleteRecord(collection, id) {
+    const { db } = await getFirebase();
+    await db.collection(collection).doc(id).delete();
+  }
+};
@@ -0,0 +1,36 @@
+import { firebaseAdapter } from './firebaseAdapter.server';
+import { localAdapter } from './localAdapter.server';
+
+/**
+ * Storage adapters implement the same small interface:
+ *
+ *   saveFile(path, buffer, { contentType, metadata }) → { url, ...extra }
+ *   readFile(path) → Buffer
+ *   fileExists(path) → boolean
+ *   moveFile(from, to) → { url, ...extra }
+ *   deleteFile(path)
+ *   pathFromUrl(url) → path | null
+ *   addRecord(collection, data) → id
+ *   updateRecord(collection, id, patch)      (merges nested objects)
+ *   findRecords(collection, where, { limit }) → [{ id, ...data }]
+ *   deleteRecord(collection, id)
+ *
+ * Image-level operations built on top of them live in
+ * app/utils/firebaseStorage.server.js.
+ */
+const ADAPTERS = {
+  firebase: firebaseAdapter,
+  local: localAdapter
+};
+
+/**
+ * Returns the adapter selected by IMAGE_STORAGE_BACKEND (default: firebase).
+ */
+export function getStorageAdapter() {
+  const name = (process.env.IMAGE_STORAGE_BACKEND || 'firebase').toLowerCase();
+  const adapter = ADAPTERS[name];
+  if (!adapter) {
+    throw new Error(`Unknown IMAGE_STORAGE_BACKEND "${name}" (expected one of: ${Object.keys(ADAPTERS).join(', ')})`);
+  }
+  return adapter;
+}
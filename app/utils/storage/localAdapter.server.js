@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import path from 'path';
+import prisma from '../../db.server';
+
+const ROOT_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || './storage');
+
+// Files are served back by app/routes/storage.$.jsx
+const publicUrl = filePath => `${(process.env.SHOPIFY_APP_URL || '').replace(/\/$/, '')}/storage/${filePath.split('/').map(encodeURIComponent).join('/')}`;
+
+/**
+ * Resolves a storage path inside ROOT_DIR, refusing anything that escapes it.
+ */
+export function resolveLocalPath(filePath) {
+  const resolved = path.resolve(ROOT_DIR, filePath);
+  if (!resolved.startsWith(ROOT_DIR + path.sep)) {
+    throw new Error(`Invalid storage path: ${filePath}`);
+  }
+  return resolved;
+}
+
+const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Same semantics as Firestore's set(..., { merge: true }) for nested objects
+function mergeDeep(target, patch) {
+  const out = { ...target };
+  for (const [key, value] of Object.entries(patch)) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? mergeDeep(out[key], value) : value;
+  }
+  return out;
+}
+
+const toRecord = row => ({ id: row.id, ...JSON.parse(row.data) });
+
+/**
+ * Storage adapter for offline / self-hosted installs: files on the local
+ * filesystem, records in the app's Prisma database.
+ */
+export const localAdapter = {
+  name: 'local',
+
+  async saveFile(filePath, buffer) {
+    const target = resolveLocalPath(filePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+    return { url: publicUrl(filePath) };
+  },
+
+  async readFile(filePath) {
+    return fs.readFile(resolveLocalPath(filePath));
+  },
+
+  async fileExists(filePath) {
+    try {
+      await fs.access(resolveLocalPath(filePath));
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  async moveFile(from, to) {
+    const target = resolveLocalPath(to);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.rename(resolveLocalPath(from), target);
+    return { url: publicUrl(to) };
+  },
+
+  async deleteFile(filePath) {
+    await fs.rm(resolveLocalPath(filePath), { force: true });
+  },
+
+  pathFromUrl(url) {
+    const parsed = new URL(url);
+    const [, rest] = parsed.pathname.split('/storage/');
+    return rest ? rest.split('/').map(decodeURIComponent).join('/') : null;
+  },
+
+  async addRecord(collection, data) {
+    const row = await prisma.storedRecord.create({
+      data: {
+        collection,
+        shop: data.shop ?? null,
+        data: JSON.stringify({ ...data, timestamp: new Date().toISOString() })
+      }
+    });
+    return row.id;
+  },
+
+  async updateRecord(collection, id, patch) {
+    const row = await prisma.storedRecord.findFirst({ where: { id, collection } });
+    const merged = mergeDeep(row ? JSON.parse(row.data) : {}, patch);
+    await prisma.storedRecord.upsert({
+      where: { id },
+      create: { id, collection, shop: merged.shop ?? null, data: JSON.stringify(merged) },
+      update: { shop: merged.shop ?? null, data: JSON.stringify(merged) }
+    });
+  },
+
+  async findRecords(collection, where = {}, { limit } = {}) {
+    // `shop` has its own column; the other fields are narrowed down in SQL by
+    // their serialized "field":value pair, then compared exactly (LIKE ignores
+    // case, and a nested object may hold the same pair)
+    const { shop, ...fields } = where;
+    const rows = await prisma.storedRecord.findMany({
+      where: {
+        collection,
+        ...(shop ? { shop } : {}),
+        AND: Object.entries(fields).map(([field, value]) => ({
+          data: { contains: JSON.stringify({ [field]: value }).slice(1, -1) }
+        }))
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+    const matches = rows
+      .map(toRecord)
+      .filter(record => Object.entries(where).every(([field, value]) => record[field] === value));
+    return limit ? matches.slice(0, limit) : matches;
+  },
+
+  async deleteRecord(collection, id) {
+    await prisma.storedRecord.deleteMany({ where: { id, collection } });
+  }
+};
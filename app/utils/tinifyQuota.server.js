@@ -0,0 +1,92 @@
+import prisma from '../db.server';
+
+// Tinify counts compressions per API key and calendar month (UTC). Every
+// shop shares the app's key, so each shop's share is tracked separately
+// while the account total comes from the count Tinify reports.
+
+/** Compressions per month the Tinify account allows (500 on the free plan). */
+export const TINIFY_MONTHLY_LIMIT = Math.max(0, Number(process.env.TINIFY_MONTHLY_LIMIT ?? 500));
+
+/** Optional cap per shop and month; 0 leaves shops limited by the account only. */
+export const TINIFY_SHOP_MONTHLY_LIMIT = Math.max(0, Number(process.env.TINIFY_SHOP_MONTHLY_LIMIT ?? 0));
+
+/** Share of a limit after which the quota is reported as running low. */
+export const TINIFY_WARNING_THRESHOLD = Math.min(1, Math.max(0, Number(process.env.TINIFY_WARNING_THRESHOLD ?? 0.8)));
+
+/** Billing month of a date, 'YYYY-MM' in UTC. */
+export const usageMonth = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * Current month's Tinify usage of a shop and of the account.
+ * @param {string} shop - Shop domain
+ * @returns {Promise<Object>} - { month, used, shopLimit, accountUsed,
+ *   accountLimit, remaining, warning, exhausted }; limits of 0 are unlimited
+ *   and `remaining` is null when nothing limits the shop
+ */
+export async function getTinifyQuota(shop) {
+  const month = usageMonth();
+  const [usage, account] = await Promise.all([
+    prisma.tinifyUsage.findUnique({ where: { shop_month: { shop, month } } }),
+    prisma.tinifyUsage.aggregate({
+      where: { month },
+      _max: { accountCount: true, accountExhaustedAt: true }
+    })
+  ]);
+
+  const used = usage?.compressions ?? 0;
+  const accountUsed = account._max.accountCount ?? 0;
+  const headroom = [
+    ...(TINIFY_SHOP_MONTHLY_LIMIT ? [TINIFY_SHOP_MONTHLY_LIMIT - used] : []),
+    ...(TINIFY_MONTHLY_LIMIT ? [TINIFY_MONTHLY_LIMIT - accountUsed] : [])
+  ];
+  const remaining = headroom.length ? Math.max(0, Math.min(...headroom)) : null;
+  const ratio = Math.max(
+    TINIFY_SHOP_MONTHLY_LIMIT ? used / TINIFY_SHOP_MONTHLY_LIMIT : 0,
+    TINIFY_MONTHLY_LIMIT ? accountUsed / TINIFY_MONTHLY_LIMIT : 0
+  );
+  // Tinify refusing a compression is final for the month whatever the counts say
+  const exhausted = remaining === 0 || !!account._max.accountExhaustedAt;
+
+  return {
+    month,
+    used,
+    shopLimit: TINIFY_SHOP_MONTHLY_LIMIT,
+    accountUsed,
+    accountLimit: TINIFY_MONTHLY_LIMIT,
+    remaining: exhausted ? 0 : remaining,
+    warning: exhausted || ratio >= TINIFY_WARNING_THRESHOLD,
+    exhausted
+  };
+}
+
+/**
+ * Adds compressions made for a shop to its monthly usage.
+ * @param {string} shop - Shop domain
+ * @param {number} compressions - Compressions Tinify charged for
+ * @param {number|null} [accountCount] - tinify.compressionCount after the call
+ */
+export async function recordTinifyUsage(shop, compressions, accountCount = null) {
+  const month = usageMonth();
+  const count = Number.isFinite(accountCount) ? { accountCount } : {};
+  await prisma.tinifyUsage.upsert({
+    where: { shop_month: { shop, month } },
+    create: { shop, month, compressions, ...count },
+    update: { compressions: { increment: compressions }, ...count }
+  });
+}
+
+/**
+ * Records that Tinify refused a compression because the account's monthly
+ * limit was reached, so every shop falls back to Sharp until the month ends.
+ * @param {string} shop - Shop domain whose compression was refused
+ */
+export async function markTinifyExhausted(shop) {
+  const month = usageMonth();
+  const accountExhaustedAt = new Date();
+  await prisma.tinifyUsage.upsert({
+    where: { shop_month: { shop, month } },
+    create: { shop, month, accountExhaustedAt },
+    update: { accountExhaustedAt }
+  });
+  console.warn(`[Tinify] Monthly limit reached (${month}), falling back to Sharp`);
+}
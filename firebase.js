@@ -1,6 +1,14 @@
 
 import admin from 'firebase-admin';
-import serviceAccount from './firebase-service-account.json' with { type: "json" };
+import { readFileSync } from 'fs';
+import path from 'path';
+
+// Read at runtime rather than bundled, so builds (and the local storage
+// backend) work without a service-account file present.
+const serviceAccountPath = path.resolve(
+  process.env.FIREBASE_SERVICE_ACCOUNT_PATH || './firebase-service-account.json'
+);
+const loadServiceAccount = () => JSON.parse(readFileSync(serviceAccountPath, 'utf8'));
 
 // Initialize Firebase Admin with the service account if not already initialized
 const appName = 'imageboost-seo';
@@ -28,7 +36,7 @@ try {
       
       app = admin.initializeApp(
         {
-          credential: admin.credential.cert(serviceAccount),
+          credential: admin.credential.cert(loadServiceAccount()),
           storageBucket: bucketName
         },
         appName
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "CompressionJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "strategy" TEXT NOT NULL,
+    "options" TEXT NOT NULL DEFAULT '{}',
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "total" INTEGER NOT NULL DEFAULT 0,
+    "completed" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME
+);
+
+-- CreateTable
+CREATE TABLE "CompressionJobItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "jobId" TEXT NOT NULL,
+    "position" INTEGER NOT NULL,
+    "url" TEXT NOT NULL,
+    "productId" TEXT,
+    "imageId" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "result" TEXT,
+    "error" TEXT,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "CompressionJobItem_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "CompressionJob" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "CompressionJob_shop_status_idx" ON "CompressionJob"("shop", "status");
+
+-- CreateIndex
+CREATE INDEX "CompressionJobItem_jobId_status_idx" ON "CompressionJobItem"("jobId", "status");
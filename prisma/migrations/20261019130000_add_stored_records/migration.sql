@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "StoredRecord" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "collection" TEXT NOT NULL,
+    "data" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "StoredRecord_collection_idx" ON "StoredRecord"("collection");
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "StoredRecord" ADD COLUMN "shop" TEXT;
+
+-- Records written after shop scoping already carry it in their JSON data
+UPDATE "StoredRecord" SET "shop" = json_extract("data", '$.shop') WHERE json_valid("data");
+
+-- CreateIndex
+CREATE INDEX "StoredRecord_collection_shop_idx" ON "StoredRecord"("collection", "shop");
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "ShopDataPurge" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "reason" TEXT NOT NULL,
+    "purgeAfter" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "ShopDataPurge_purgeAfter_idx" ON "ShopDataPurge"("purgeAfter");
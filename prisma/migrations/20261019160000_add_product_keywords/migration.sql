@@ -0,0 +1,9 @@
+-- CreateTable
+CREATE TABLE "ProductKeyword" (
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "keyword" TEXT NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "productId")
+);
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "CompressionPreset" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "quality" INTEGER NOT NULL DEFAULT 80,
+    "maxWidth" INTEGER,
+    "maxHeight" INTEGER,
+    "format" TEXT NOT NULL DEFAULT 'original',
+    "stripMetadata" BOOLEAN NOT NULL DEFAULT true,
+    "chromaSubsampling" TEXT NOT NULL DEFAULT '4:2:0',
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "CompressionPreset_shop_idx" ON "CompressionPreset"("shop");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CompressionPreset_shop_name_key" ON "CompressionPreset"("shop", "name");
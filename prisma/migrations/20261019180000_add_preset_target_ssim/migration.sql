@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CompressionPreset" ADD COLUMN "targetSsim" REAL;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "CompressionPreset" ADD COLUMN "animatedFormat" TEXT NOT NULL DEFAULT 'original';
+ALTER TABLE "CompressionPreset" ADD COLUMN "animatedVideo" TEXT;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "CompressionPreset" ADD COLUMN "keepCopyright" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "CompressionPreset" ADD COLUMN "autoOrient" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "CompressionPreset" ADD COLUMN "iccProfile" TEXT NOT NULL DEFAULT 'srgb';
+
+-- Existing presets get the policy of the built-in presets (BUILT_IN_PRESETS):
+-- presets keeping metadata keep the profile, "Aggressive" strips it, the others
+-- convert to sRGB like the column default
+UPDATE "CompressionPreset" SET "iccProfile" = CASE
+  WHEN NOT "stripMetadata" THEN 'keep'
+  WHEN "name" = 'Aggressive' THEN 'strip'
+  ELSE 'srgb'
+END;
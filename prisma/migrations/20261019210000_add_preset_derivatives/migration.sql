@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "CompressionPreset" ADD COLUMN "derivativeWidths" TEXT;
+ALTER TABLE "CompressionPreset" ADD COLUMN "derivativeFormats" TEXT NOT NULL DEFAULT 'webp';
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "TinifyUsage" (
+    "shop" TEXT NOT NULL,
+    "month" TEXT NOT NULL,
+    "compressions" INTEGER NOT NULL DEFAULT 0,
+    "accountCount" INTEGER,
+    "accountExhaustedAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "month")
+);
+
+-- CreateIndex
+CREATE INDEX "TinifyUsage_month_idx" ON "TinifyUsage"("month");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CompressionJob" ADD COLUMN "force" BOOLEAN NOT NULL DEFAULT false;
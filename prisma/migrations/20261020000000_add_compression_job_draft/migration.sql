@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CompressionJob" ADD COLUMN "draft" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "CompressionJob" ADD COLUMN "actorId" TEXT;
+ALTER TABLE "CompressionJob" ADD COLUMN "actorName" TEXT;
+
+-- CreateTable
+CREATE TABLE "ImageVersion" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "sourceUrl" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "collection" TEXT NOT NULL,
+    "recordId" TEXT NOT NULL,
+    "fileUrl" TEXT,
+    "format" TEXT,
+    "size" INTEGER,
+    "strategy" TEXT,
+    "preset" TEXT,
+    "settings" TEXT,
+    "published" BOOLEAN NOT NULL DEFAULT false,
+    "shopifyImageId" TEXT,
+    "restoredFrom" TEXT,
+    "actorId" TEXT,
+    "actorName" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "ImageVersion_shop_sourceUrl_idx" ON "ImageVersion"("shop", "sourceUrl");
+
+-- CreateIndex
+CREATE INDEX "ImageVersion_shop_shopifyImageId_idx" ON "ImageVersion"("shop", "shopifyImageId");
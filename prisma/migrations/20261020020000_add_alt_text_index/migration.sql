@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "AltTextIndex" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "counts" TEXT NOT NULL DEFAULT '{}',
+    "images" INTEGER NOT NULL DEFAULT 0,
+    "builtAt" DATETIME NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,106 @@
+// One-off migration of image records stored before images were scoped per
+// shop: they have no `shop` field and their files sit outside shops/<shop>/.
+// Image URLs and media ids are public, so a shop naming one proves nothing.
+// A record goes to the installed shop whose own catalog, read through that
+// shop's Admin API, shows its image; records no shop (or more than one)
+// shows are listed and left alone.
+//
+//   npm run claim-legacy-images
+//   npm run claim-legacy-images -- --dry-run
+import prisma from '../app/db.server';
+import { unauthenticated } from '../app/shopify.server';
+import { fetchProductImagesPage } from '../app/utils/productCatalog.server';
+import {
+  COMPRESSED_COLLECTION,
+  ORIGINALS_COLLECTION,
+  listLegacyRecords,
+  claimLegacyRecord,
+  canonical
+} from '../app/utils/firebaseStorage.server';
+
+const dryRun = process.argv.includes('--dry-run');
+
+/** Media ids and image URLs of every product image of the shop. */
+async function catalogOf(admin) {
+  const ids = new Set();
+  const urls = new Set();
+  let after = null;
+  do {
+    const { products, pageInfo } = await fetchProductImagesPage(admin, { limit: 50, after });
+    products.forEach(product => product.images.forEach(image => {
+      ids.add(image.imageId);
+      urls.add(canonical(image.url));
+    }));
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+  return { ids, urls };
+}
+
+// A compressed record is shown as the media it was published as, or under
+// its source while unpublished
+const shows = (catalog, record) => (record.shopifyImageId != null && catalog.ids.has(String(record.shopifyImageId)))
+  || [record.shopifyCompressedUrl, record.originalUrl].some(url => url && catalog.urls.has(canonical(url)));
+
+async function main() {
+  const legacy = {
+    [COMPRESSED_COLLECTION]: await listLegacyRecords(COMPRESSED_COLLECTION),
+    [ORIGINALS_COLLECTION]: await listLegacyRecords(ORIGINALS_COLLECTION)
+  };
+  console.log(`${legacy[COMPRESSED_COLLECTION].length} compressed and ${legacy[ORIGINALS_COLLECTION].length} original legacy record(s)`);
+
+  // `${collection}/${id}` → shops showing the record's image
+  const owners = new Map();
+  const own = (collection, record, shop) => {
+    const key = `${collection}/${record.id}`;
+    owners.set(key, [...(owners.get(key) || []), shop]);
+  };
+
+  const sessions = await prisma.session.findMany({ where: { isOnline: false }, select: { shop: true }, distinct: ['shop'] });
+  for (const { shop } of sessions) {
+    let catalog;
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      catalog = await catalogOf(admin);
+    } catch (err) {
+      console.warn(`Skipping ${shop}, its catalog could not be read:`, err.message);
+      continue;
+    }
+
+    // An original belongs with the compressions made from it
+    const sources = new Set();
+    for (const record of legacy[COMPRESSED_COLLECTION].filter(r => shows(catalog, r))) {
+      own(COMPRESSED_COLLECTION, record, shop);
+      sources.add(canonical(record.originalUrl));
+    }
+    for (const record of legacy[ORIGINALS_COLLECTION]) {
+      if (shows(catalog, record) || sources.has(canonical(record.originalUrl))) own(ORIGINALS_COLLECTION, record, shop);
+    }
+  }
+
+  let claimed = 0;
+  for (const [collection, records] of Object.entries(legacy)) {
+    for (const record of records) {
+      const shops = owners.get(`${collection}/${record.id}`) || [];
+      if (shops.length !== 1) {
+        console.log(`Left alone: ${collection}/${record.id}${shops.length ? ` (shown by ${shops.join(', ')})` : ' (shown by no installed shop)'}`);
+        continue;
+      }
+      if (dryRun) {
+        console.log(`Would move ${collection}/${record.id} to ${shops[0]}`);
+      } else {
+        await claimLegacyRecord(collection, record, shops[0]);
+      }
+      claimed++;
+    }
+  }
+  console.log(`${dryRun ? 'Would move' : 'Moved'} ${claimed} record(s)`);
+}
+
+try {
+  await main();
+} catch (err) {
+  console.error(err);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { ALT_TEXT_MAX_LENGTH, altTextIssues, isFilenameLike, normalizeAlt, renderAltTemplate } from '../app/utils/altText';
+
+const shirt = {
+  title: 'Linen Shirt',
+  vendor: 'Acme',
+  productType: 'Shirts',
+  productHandle: 'linen-shirt',
+  variants: ['Blue', 'XL'],
+  position: 2
+};
+
+describe('altTextIssues', () => {
+  it('reports missing alt text and nothing else', () => {
+    expect(altTextIssues('   ', { usageCount: 3 })).toEqual(['missing']);
+    expect(altTextIssues(null)).toEqual(['missing']);
+  });
+
+  it('flags duplicates, length and filename-like text together', () => {
+    expect(altTextIssues('Blue linen shirt, front')).toEqual([]);
+    expect(altTextIssues('Blue linen shirt', { usageCount: 2 })).toEqual(['duplicate']);
+    expect(altTextIssues('a'.repeat(ALT_TEXT_MAX_LENGTH + 1))).toEqual(['too-long']);
+    expect(altTextIssues('IMG_2041', { usageCount: 4 })).toEqual(['duplicate', 'filename-like']);
+  });
+});
+
+describe('isFilenameLike', () => {
+  it('recognizes file and camera names', () => {
+    expect(isFilenameLike('blue-shirt-final_v2.jpg')).toBe(true);
+    expect(isFilenameLike('DSC 0042')).toBe(true);
+    expect(isFilenameLike('product_01')).toBe(true);
+  });
+
+  it('accepts descriptions', () => {
+    expect(isFilenameLike('Blue linen shirt, size 2')).toBe(false);
+    expect(isFilenameLike('T-shirt')).toBe(false);
+    expect(isFilenameLike('')).toBe(false);
+  });
+});
+
+describe('normalizeAlt', () => {
+  it('ignores case and whitespace', () => {
+    expect(normalizeAlt('  Blue   Linen\nShirt ')).toBe(normalizeAlt('blue linen shirt'));
+  });
+});
+
+describe('renderAltTemplate', () => {
+  it('fills every placeholder', () => {
+    expect(renderAltTemplate('{product_title} by {vendor} ({variant}) #{index}', shirt))
+      .toBe('Linen Shirt by Acme (Blue, XL) #2');
+    expect(renderAltTemplate('{product_type}: {handle}', shirt)).toBe('Shirts: linen-shirt');
+  });
+
+  it('drops empty placeholders with their separator', () => {
+    const plain = { ...shirt, variants: [], vendor: '' };
+
+    expect(renderAltTemplate('{product_title} - {variant}', plain)).toBe('Linen Shirt');
+    expect(renderAltTemplate('{vendor} | {product_title}', plain)).toBe('Linen Shirt');
+    expect(renderAltTemplate('{product_title} - {vendor} - {variant} - {index}', plain)).toBe('Linen Shirt - 2');
+  });
+
+  it('leaves unknown placeholders as typed', () => {
+    expect(renderAltTemplate('{product_title} {color}', shirt)).toBe('Linen Shirt {color}');
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import prisma from '../app/db.server';
+import { getStorageAdapter } from '../app/utils/storage/index.server';
+import { replaceProductImage } from '../app/utils/shopifyMedia.server';
+import { COMPRESSED_COLLECTION, listStoredImages, updateStoredImage } from '../app/utils/firebaseStorage.server';
+import { compressImageItem } from '../app/utils/compressionPipeline.server';
+import { expireDrafts, listDrafts, publishDrafts, discardDrafts } from '../app/utils/compressionDrafts.server';
+import { listImageVersions } from '../app/utils/imageVersions.server';
+import { restoreImageVersion } from '../app/utils/imageVariants.server';
+import { noisyPng, serveSource } from './helpers/shopify';
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+vi.mock('../app/utils/storage/index.server', async () => {
+  const { createFakeStorage } = await import('./helpers/fakeStorage');
+  const storage = createFakeStorage();
+  return { getStorageAdapter: () => storage };
+});
+vi.mock('../app/utils/shopifyMedia.server', async () => {
+  const { createShopifyMediaMock } = await import('./helpers/shopify');
+  return createShopifyMediaMock();
+});
+
+const SHOP = 'test-shop.myshopify.com';
+const SOURCE_URL = 'https://cdn.shopify.test/files/shirt.png';
+const admin = {};
+const storage = getStorageAdapter();
+
+const compress = (options = {}) => compressImageItem({
+  shop: SHOP,
+  url: SOURCE_URL,
+  productId: '1',
+  imageId: '10',
+  strategy: 'sharp',
+  compressionOptions: { quality: 70, format: 'webp', presetName: 'Balanced' },
+  draft: true,
+  admin,
+  ...options
+});
+
+const variants = () => listStoredImages(SHOP, COMPRESSED_COLLECTION, { originalUrl: SOURCE_URL });
+const expire = id => updateStoredImage(id, { draftDetails: { expiresAt: new Date(Date.now() - 1000).toISOString() } });
+
+beforeEach(async () => {
+  prisma.$reset();
+  storage.reset();
+  replaceProductImage.mockClear();
+  serveSource(await noisyPng());
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('draft compressions', () => {
+  it('are stored for review without touching Shopify', async () => {
+    const result = await compress();
+
+    expect(result.success).toBe(true);
+    expect(result.draft).toMatchObject({ id: result.variantId });
+    expect(result.shopify).toBeUndefined();
+    expect(replaceProductImage).not.toHaveBeenCalled();
+
+    const drafts = await listDrafts(SHOP);
+    expect(drafts).toHaveLength(1);
+    expect(drafts[0]).toMatchObject({ id: result.variantId, sourceUrl: SOURCE_URL, productId: '1', imageId: '10', format: 'webp' });
+  });
+
+  it('are published on approval and leave the draft list', async () => {
+    const { variantId } = await compress();
+
+    const [published] = await publishDrafts({ shop: SHOP, admin, ids: [variantId], actor: { actorId: '7', actorName: 'Sam' } });
+
+    expect(published).toMatchObject({ id: variantId, published: true, shopify: { replaced: true } });
+    expect(replaceProductImage).toHaveBeenCalledTimes(1);
+    expect(replaceProductImage.mock.calls[0][1]).toMatchObject({ productId: '1', mediaId: '10' });
+    expect(await listDrafts(SHOP)).toEqual([]);
+
+    const [record] = await variants();
+    expect(record).toMatchObject({ draft: false, draftDetails: null, shopifyImageId: published.shopify.newImageId });
+
+    const { versions } = await listImageVersions(SHOP, SOURCE_URL);
+    expect(versions[0]).toMatchObject({ kind: 'publish', current: true, actorName: 'Sam' });
+  });
+
+  it('replace the image Shopify shows now, not the one they were made for', async () => {
+    const first = await compress();
+    const second = await compress({ compressionOptions: { quality: 40, format: 'webp', presetName: 'Small' } });
+    const [published] = await publishDrafts({ shop: SHOP, admin, ids: [first.variantId] });
+
+    await publishDrafts({ shop: SHOP, admin, ids: [second.variantId] });
+
+    expect(replaceProductImage.mock.calls[1][1]).toMatchObject({ productId: '1', mediaId: published.shopify.newImageId });
+  });
+
+  it('replace the original when it was restored since', async () => {
+    const { variantId } = await compress();
+    const { shopify } = await compress({ draft: false, compressionOptions: { quality: 40, format: 'webp', presetName: 'Small' } });
+    const { versions } = await listImageVersions(SHOP, SOURCE_URL);
+    const original = versions.find(version => version.kind === 'original');
+    const { shopify: restored } = await restoreImageVersion({ shop: SHOP, admin, versionId: original.id, productId: '1', imageId: shopify.newImageId });
+
+    await publishDrafts({ shop: SHOP, admin, ids: [variantId] });
+
+    expect(replaceProductImage.mock.calls.at(-1)[1]).toMatchObject({ mediaId: restored.newImageId });
+  });
+
+  it('of the same image are refused together', async () => {
+    const first = await compress();
+    const second = await compress({ compressionOptions: { quality: 40, format: 'webp', presetName: 'Small' } });
+
+    const results = await publishDrafts({ shop: SHOP, admin, ids: [first.variantId, second.variantId] });
+
+    expect(results).toEqual([
+      { id: first.variantId, published: false, error: 'Pick one draft per image to publish' },
+      { id: second.variantId, published: false, error: 'Pick one draft per image to publish' }
+    ]);
+    expect(replaceProductImage).not.toHaveBeenCalled();
+    expect(await listDrafts(SHOP)).toHaveLength(2);
+  });
+
+  it('are not published once expired', async () => {
+    const { variantId } = await compress();
+    await expire(variantId);
+
+    const [result] = await publishDrafts({ shop: SHOP, admin, ids: [variantId] });
+
+    expect(result).toMatchObject({ id: variantId, published: false, error: 'Draft not found or expired' });
+    expect(replaceProductImage).not.toHaveBeenCalled();
+  });
+
+  it('made for review are deleted when they expire', async () => {
+    const { variantId } = await compress();
+    await expire(variantId);
+
+    expect(await expireDrafts(SHOP)).toBe(1);
+    expect(await variants()).toEqual([]);
+  });
+
+  it('of an earlier variant only lose the mark when they expire', async () => {
+    // published first, then put up for review again with the same settings
+    const { variantId } = await compress({ draft: false });
+    await compress();
+    expect((await listDrafts(SHOP)).map(d => d.id)).toEqual([variantId]);
+    await expire(variantId);
+
+    await expireDrafts(SHOP);
+
+    const [record] = await variants();
+    expect(record).toMatchObject({ id: variantId, draft: false, draftDetails: null });
+  });
+
+  it('are discarded by id', async () => {
+    const first = await compress();
+    const second = await compress({ url: 'https://cdn.shopify.test/files/hat.png', imageId: '11' });
+
+    expect(await discardDrafts(SHOP, [first.variantId])).toEqual([first.variantId]);
+    expect((await listDrafts(SHOP)).map(d => d.id)).toEqual([second.variantId]);
+  });
+});
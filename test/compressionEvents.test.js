@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import prisma from '../app/db.server';
+import { compressImageItem } from '../app/utils/compressionPipeline.server';
+import { createCompressionJob, startCompressionJob } from '../app/utils/compressionJobs.server';
+import { loader } from '../app/routes/api.compression-events';
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+vi.mock('../app/shopify.server', () => ({
+  authenticate: { admin: vi.fn(async () => ({ session: { shop: 'test-shop.myshopify.com' } })) },
+  unauthenticated: { admin: vi.fn(async () => ({ admin: {} })) }
+}));
+vi.mock('../app/utils/compressionPipeline.server', () => ({
+  compressImageItem: vi.fn(),
+  summarizeResults: () => ({})
+}));
+vi.mock('../app/utils/compressionDrafts.server', () => ({
+  expireDrafts: vi.fn(async () => 0)
+}));
+
+const SHOP = 'test-shop.myshopify.com';
+
+const newJob = (urls = ['https://cdn.test/a.jpg', 'https://cdn.test/b.jpg']) => createCompressionJob({
+  shop: SHOP,
+  strategy: 'sharp',
+  items: urls.map((url, i) => ({ url, productId: '1', imageId: String(i + 10) }))
+});
+
+const open = jobId => loader({ request: new Request(`https://app.test/api/compression-events?id=${jobId}`) });
+
+// Reads the stream to its end, one parsed event per line
+async function events(response) {
+  const text = await response.text();
+  return text.trim().split('\n').map(line => JSON.parse(line));
+}
+
+beforeEach(() => {
+  prisma.$reset();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  compressImageItem.mockReset().mockImplementation(async ({ url }) => ({ url, success: true, originalSize: 100, compressedSize: 50 }));
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('compression events', () => {
+  it('send the snapshot and close at once for a finished job', async () => {
+    const job = await newJob();
+    await startCompressionJob(job.id);
+
+    const received = await events(await open(job.id));
+
+    expect(received.map(event => event.type)).toEqual(['snapshot', 'complete']);
+    expect(received[0].job).toMatchObject({ status: 'completed', completed: 2 });
+  });
+
+  it('follow a job resumed by the request itself from its first event', async () => {
+    // queued but not running: the loader resumes it before reading the snapshot
+    const job = await newJob();
+
+    const received = await events(await open(job.id));
+
+    expect(received.map(event => event.type)).toEqual([
+      'snapshot', 'item-start', 'item-complete', 'item-start', 'item-complete', 'complete'
+    ]);
+    expect(received.at(-1).job).toMatchObject({ status: 'completed', completed: 2 });
+  });
+
+  it('answer 404 for a job of another shop', async () => {
+    const job = await createCompressionJob({ shop: 'other-shop.myshopify.com', strategy: 'sharp', items: [{ url: 'https://cdn.test/a.jpg' }] });
+
+    const response = await open(job.id);
+
+    expect(response.status).toBe(404);
+    expect(await response.json()).toMatchObject({ type: 'error' });
+  });
+});
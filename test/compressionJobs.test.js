@@ -0,0 +1,183 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import prisma from '../app/db.server';
+import { compressImageItem } from '../app/utils/compressionPipeline.server';
+import {
+  MAX_ATTEMPTS,
+  createCompressionJob,
+  getCompressionJob,
+  startCompressionJob,
+  retryFailedItems,
+  cancelCompressionJob,
+  subscribeToJob
+} from '../app/utils/compressionJobs.server';
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+vi.mock('../app/shopify.server', () => ({
+  unauthenticated: { admin: vi.fn(async () => ({ admin: {} })) }
+}));
+vi.mock('../app/utils/compressionPipeline.server', () => ({
+  compressImageItem: vi.fn(),
+  summarizeResults: () => ({})
+}));
+vi.mock('../app/utils/compressionDrafts.server', () => ({
+  expireDrafts: vi.fn(async () => 0)
+}));
+
+const SHOP = 'test-shop.myshopify.com';
+
+const newJob = (urls = ['https://cdn.test/a.jpg', 'https://cdn.test/b.jpg']) => createCompressionJob({
+  shop: SHOP,
+  strategy: 'sharp',
+  items: urls.map((url, i) => ({ url, productId: '1', imageId: String(i + 10) }))
+});
+
+// The worker sleeps between retries; fake timers keep the tests fast
+async function run(jobId) {
+  const done = startCompressionJob(jobId);
+  await vi.runAllTimersAsync();
+  await done;
+  return getCompressionJob(SHOP, jobId);
+}
+
+const succeed = ({ url }) => ({ url, success: true, originalSize: 100, compressedSize: 50 });
+
+beforeEach(() => {
+  prisma.$reset();
+  vi.useFakeTimers();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  compressImageItem.mockReset();
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('runJob', () => {
+  it('compresses every item in order and completes the job', async () => {
+    compressImageItem.mockImplementation(async item => succeed(item));
+    const job = await newJob();
+    const events = [];
+    const unsubscribe = subscribeToJob(job.id, event => events.push(event.type));
+
+    const finished = await run(job.id);
+    unsubscribe();
+
+    expect(finished.status).toBe('completed');
+    expect(finished.completed).toBe(2);
+    expect(finished.failed).toBe(0);
+    expect(finished.finishedAt).toBeInstanceOf(Date);
+    expect(compressImageItem.mock.calls.map(([item]) => item.url)).toEqual(['https://cdn.test/a.jpg', 'https://cdn.test/b.jpg']);
+    expect(finished.items.map(item => item.result.compressedSize)).toEqual([50, 50]);
+    expect(events).toEqual(['item-start', 'item-complete', 'item-start', 'item-complete', 'complete']);
+  });
+
+  it('retries a transient failure', async () => {
+    compressImageItem
+      .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'SOURCE_FETCH_FAILED', retryable: true }))
+      .mockImplementation(async item => succeed(item));
+    const job = await newJob(['https://cdn.test/a.jpg']);
+
+    const finished = await run(job.id);
+
+    expect(compressImageItem).toHaveBeenCalledTimes(2);
+    expect(finished.status).toBe('completed');
+    expect(finished.items[0]).toMatchObject({ status: 'succeeded', attempts: 2, error: null });
+  });
+
+  it(`fails an item after ${MAX_ATTEMPTS} attempts`, async () => {
+    compressImageItem.mockRejectedValue(new Error('encoder crashed'));
+    const job = await newJob(['https://cdn.test/a.jpg']);
+
+    const finished = await run(job.id);
+
+    expect(compressImageItem).toHaveBeenCalledTimes(MAX_ATTEMPTS);
+    expect(finished.failed).toBe(1);
+    expect(finished.items[0]).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS, error: 'encoder crashed' });
+  });
+
+  it('fails a non-retryable error on the first attempt', async () => {
+    compressImageItem.mockImplementation(async ({ url }) => {
+      if (url.endsWith('a.jpg')) {
+        throw Object.assign(new Error('Failed to fetch image: 404 Not Found'), {
+          code: 'SOURCE_FETCH_FAILED', status: 404, retryable: false
+        });
+      }
+      return succeed({ url });
+    });
+    const job = await newJob();
+
+    const finished = await run(job.id);
+
+    expect(compressImageItem).toHaveBeenCalledTimes(2);
+    expect(finished.items[0]).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(finished.items[0].result.errorDetails).toMatchObject({ code: 'SOURCE_FETCH_FAILED', status: 404 });
+    expect(finished.items[1].status).toBe('succeeded');
+    expect(finished).toMatchObject({ status: 'completed', completed: 1, failed: 1 });
+  });
+});
+
+describe('retryFailedItems', () => {
+  it('re-queues the failed items of a finished job and runs them again', async () => {
+    compressImageItem.mockRejectedValue(Object.assign(new Error('Unsupported'), { retryable: false }));
+    const job = await newJob();
+    await run(job.id);
+
+    compressImageItem.mockReset().mockImplementation(async item => succeed(item));
+    const retried = await retryFailedItems(SHOP, job.id);
+    expect(retried).toMatchObject({ status: 'queued', failed: 0 });
+    expect(retried.items.every(item => item.status === 'pending' && item.attempts === 0)).toBe(true);
+
+    const finished = await run(job.id);
+    expect(finished).toMatchObject({ status: 'completed', completed: 2, failed: 0 });
+  });
+
+  it('leaves a job that is still active alone', async () => {
+    const job = await newJob();
+    await prisma.compressionJobItem.updateMany({ where: { jobId: job.id, position: 0 }, data: { status: 'failed' } });
+
+    expect(await retryFailedItems(SHOP, job.id)).toBe('active');
+
+    const unchanged = await getCompressionJob(SHOP, job.id);
+    expect(unchanged.status).toBe('queued');
+    expect(unchanged.items[0].status).toBe('failed');
+  });
+
+  it('returns null for a job of another shop', async () => {
+    const job = await newJob();
+    expect(await retryFailedItems('other-shop.myshopify.com', job.id)).toBeNull();
+  });
+});
+
+describe('cancelCompressionJob', () => {
+  it('stops the worker after the item in progress', async () => {
+    const job = await newJob(['https://cdn.test/a.jpg', 'https://cdn.test/b.jpg', 'https://cdn.test/c.jpg']);
+    const events = [];
+    const unsubscribe = subscribeToJob(job.id, event => events.push(event));
+    compressImageItem.mockImplementation(async item => {
+      await cancelCompressionJob(SHOP, job.id);
+      return succeed(item);
+    });
+
+    const finished = await run(job.id);
+    unsubscribe();
+
+    expect(compressImageItem).toHaveBeenCalledTimes(1);
+    expect(finished.status).toBe('cancelled');
+    expect(finished.items.map(item => item.status)).toEqual(['succeeded', 'pending', 'pending']);
+    expect(events.filter(event => event.type === 'complete')).toHaveLength(1);
+  });
+
+  it('does not cancel a finished job', async () => {
+    compressImageItem.mockImplementation(async item => succeed(item));
+    const job = await newJob();
+    await run(job.id);
+
+    expect(await cancelCompressionJob(SHOP, job.id)).toBeNull();
+    expect((await getCompressionJob(SHOP, job.id)).status).toBe('completed');
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import prisma from '../app/db.server';
+import {
+  listPresets,
+  resolvePreset,
+  validatePreset,
+  savePreset,
+  setDefaultPreset,
+  deletePreset,
+  presetToCompressionOptions
+} from '../app/utils/compressionPresets.server';
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+
+const SHOP = 'test-shop.myshopify.com';
+
+const form = (fields = {}) => ({ name: 'Product photos', quality: '75', maxWidth: '1200', maxHeight: '', format: 'webp', stripMetadata: 'on', ...fields });
+const names = presets => presets.map(preset => preset.name);
+
+beforeEach(() => {
+  prisma.$reset();
+});
+
+describe('listPresets', () => {
+  it('gives a new shop the built-in presets, default first', async () => {
+    const presets = await listPresets(SHOP);
+
+    expect(names(presets)).toEqual(['Balanced', 'Lossless', 'Aggressive']);
+    expect(presets[0]).toMatchObject({ isDefault: true, quality: 80, format: 'webp' });
+    expect(await listPresets(SHOP)).toHaveLength(3);
+    expect(await listPresets('other-shop.myshopify.com')).toHaveLength(3);
+  });
+});
+
+describe('validatePreset', () => {
+  it('normalises form values', () => {
+    const { values, errors } = validatePreset(form({ name: '  Product photos  ', stripMetadata: 'on' }));
+
+    expect(errors).toEqual({});
+    expect(values).toMatchObject({ name: 'Product photos', quality: 75, maxWidth: 1200, maxHeight: null, format: 'webp', stripMetadata: true });
+  });
+
+  it('reports every invalid field', () => {
+    const { errors } = validatePreset(form({ name: ' ', quality: '0', maxWidth: '1.5', format: 'bmp' }));
+
+    expect(Object.keys(errors).sort()).toEqual(['format', 'maxWidth', 'name', 'quality']);
+  });
+});
+
+describe('savePreset', () => {
+  it('creates and updates presets with unique names', async () => {
+    await listPresets(SHOP);
+    const { preset } = await savePreset(SHOP, null, form());
+
+    expect(await savePreset(SHOP, null, form())).toEqual({ errors: { name: 'A preset with this name already exists' } });
+
+    const updated = await savePreset(SHOP, preset.id, form({ quality: '65' }));
+    expect(updated.preset).toMatchObject({ id: preset.id, quality: 65 });
+    expect(await savePreset('other-shop.myshopify.com', preset.id, form({ name: 'Mine' }))).toEqual({ errors: { id: 'Preset not found' } });
+  });
+});
+
+describe('default preset', () => {
+  it('is used when no preset is chosen', async () => {
+    const { preset } = await savePreset(SHOP, null, form());
+    await setDefaultPreset(SHOP, preset.id);
+
+    expect(await resolvePreset(SHOP)).toMatchObject({ id: preset.id, isDefault: true });
+    expect(await resolvePreset(SHOP, 'deleted-id')).toMatchObject({ id: preset.id });
+    expect((await listPresets(SHOP)).filter(p => p.isDefault)).toHaveLength(1);
+    expect(presetToCompressionOptions(preset)).toMatchObject({ presetId: preset.id, presetName: 'Product photos', quality: 75, maxWidth: 1200 });
+  });
+
+  it('passes to the oldest preset left when deleted', async () => {
+    const [balanced, lossless] = await listPresets(SHOP);
+
+    expect(await deletePreset(SHOP, balanced.id)).toEqual({ deleted: true });
+
+    expect(await resolvePreset(SHOP)).toMatchObject({ id: lossless.id, isDefault: true });
+  });
+
+  it('keeps the last preset', async () => {
+    const presets = await listPresets(SHOP);
+    await deletePreset(SHOP, presets[1].id);
+    await deletePreset(SHOP, presets[2].id);
+
+    expect(await deletePreset(SHOP, presets[0].id)).toEqual({ error: 'At least one preset is required' });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import prisma from '../app/db.server';
+import { suggestFocusKeywords } from '../app/utils/focusKeyword';
+import { MAX_KEYWORD_LENGTH, getProductKeywords, setProductKeyword } from '../app/utils/productKeywords.server';
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+
+const SHOP = 'test-shop.myshopify.com';
+
+beforeEach(() => {
+  prisma.$reset();
+});
+
+describe('suggestFocusKeywords', () => {
+  it('starts from the title without vendor, sizes and stop words', () => {
+    const suggestions = suggestFocusKeywords({
+      title: 'Acme Aurora Linen Shirt - XL / 2 pack',
+      productType: 'Shirts',
+      tags: ['summer linen', 'collection:summer', '__hidden'],
+      vendor: 'Acme'
+    });
+
+    expect(suggestions).toEqual([
+      'aurora linen shirt',
+      'shirts',
+      'aurora linen shirt shirts',
+      'summer linen',
+      'acme shirts'
+    ]);
+  });
+
+  it('keeps at most four words and six suggestions, without repeats', () => {
+    const suggestions = suggestFocusKeywords({
+      title: 'Soft organic cotton crew neck tee',
+      productType: 'tee',
+      tags: ['organic', 'cotton', 'tee', 'crew', 'neck', 'soft'],
+      vendor: ''
+    });
+
+    expect(suggestions[0]).toBe('soft organic cotton crew');
+    expect(suggestions).toHaveLength(6);
+    expect(new Set(suggestions).size).toBe(6);
+  });
+
+  it('suggests nothing for a product without words', () => {
+    expect(suggestFocusKeywords({ title: '', productType: '', vendor: '' })).toEqual([]);
+  });
+});
+
+describe('product focus keywords', () => {
+  it('are stored tidied up, per shop and product', async () => {
+    expect(await setProductKeyword(SHOP, 1, '  linen   shirt ')).toBe('linen shirt');
+    await setProductKeyword('other-shop.myshopify.com', 1, 'hat');
+    await setProductKeyword(SHOP, 2, 'x'.repeat(MAX_KEYWORD_LENGTH + 10));
+
+    expect(await getProductKeywords(SHOP, ['1', 2, '3'])).toEqual({ 1: 'linen shirt', 2: 'x'.repeat(MAX_KEYWORD_LENGTH) });
+    expect(await getProductKeywords(SHOP, [])).toEqual({});
+  });
+
+  it('are replaced, and removed when emptied', async () => {
+    await setProductKeyword(SHOP, 1, 'linen shirt');
+    await setProductKeyword(SHOP, 1, 'summer shirt');
+    expect(await getProductKeywords(SHOP, [1])).toEqual({ 1: 'summer shirt' });
+
+    expect(await setProductKeyword(SHOP, 1, '   ')).toBeNull();
+    expect(await getProductKeywords(SHOP, [1])).toEqual({});
+  });
+});
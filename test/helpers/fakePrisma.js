@@ -0,0 +1,169 @@
+// In-memory stand-in for the Prisma client, covering the queries the app
+// makes: equality, `in`, `contains`, AND, NOT and compound key filters,
+// increment/decrement updates, upserts, `_max` aggregates, orderBy,
+// select/include and the compressionJob → items relation.
+
+const DEFAULTS = {
+  compressionJob: () => ({
+    status: 'queued',
+    completed: 0,
+    failed: 0,
+    force: false,
+    draft: false,
+    actorId: null,
+    actorName: null,
+    startedAt: null,
+    finishedAt: null
+  }),
+  compressionJobItem: () => ({ status: 'pending', attempts: 0, error: null, result: null }),
+  imageVersion: () => ({ restoredFrom: null, actorId: null, actorName: null }),
+  tinifyUsage: () => ({ compressions: 0, accountCount: null, accountExhaustedAt: null })
+};
+
+// model → relation field → [related model, foreign key]
+const RELATIONS = {
+  compressionJob: { items: ['compressionJobItem', 'jobId'] }
+};
+
+const isPlainObject = value => value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === 'AND') return condition.every(part => matches(row, part));
+    if (key === 'NOT') return !matches(row, condition);
+    if (isPlainObject(condition)) {
+      // SQLite's LIKE ignores case
+      if ('contains' in condition) return String(row[key]).toLowerCase().includes(condition.contains.toLowerCase());
+      if ('in' in condition) return condition.in.includes(row[key]);
+      if ('notIn' in condition) return !condition.notIn.includes(row[key]);
+      if ('lte' in condition) return row[key] <= condition.lte;
+      // compound unique key, e.g. shop_month: { shop, month }
+      if (!(key in row)) return matches(row, condition);
+    }
+    return row[key] === condition;
+  });
+}
+
+function applyData(row, data) {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (isPlainObject(value) && 'increment' in value) row[key] += value.increment;
+    else if (isPlainObject(value) && 'decrement' in value) row[key] -= value.decrement;
+    else row[key] = value;
+  });
+  row.updatedAt = new Date();
+  return row;
+}
+
+function sortRows(rows, orderBy) {
+  const orders = [orderBy || []].flat().flatMap(Object.entries);
+  return [...rows].sort((a, b) => {
+    for (const [key, direction] of orders) {
+      if (a[key] < b[key]) return direction === 'desc' ? 1 : -1;
+      if (a[key] > b[key]) return direction === 'desc' ? -1 : 1;
+    }
+    return 0;
+  });
+}
+
+export function createFakePrisma() {
+  const tables = {};
+  let sequence = 0;
+  const table = name => (tables[name] ||= []);
+
+  function shape(name, row, { select, include } = {}) {
+    if (!row) return null;
+    if (select) {
+      return Object.fromEntries(Object.keys(select).filter(key => select[key]).map(key => [key, row[key]]));
+    }
+    const result = { ...row };
+    Object.entries(include || {}).forEach(([field, options]) => {
+      const [related, foreignKey] = RELATIONS[name][field];
+      const rows = table(related).filter(r => r[foreignKey] === row.id);
+      result[field] = sortRows(rows, options?.orderBy).map(r => ({ ...r }));
+    });
+    return result;
+  }
+
+  function create(name, data) {
+    const row = { id: `${name}-${++sequence}`, ...(DEFAULTS[name]?.() || {}), createdAt: new Date(), updatedAt: new Date() };
+    Object.entries(data).forEach(([key, value]) => {
+      if (RELATIONS[name]?.[key]) return;
+      if (value !== undefined) row[key] = value;
+    });
+    table(name).push(row);
+    Object.entries(RELATIONS[name] || {}).forEach(([field, [related, foreignKey]]) => {
+      (data[field]?.create || []).forEach(child => create(related, { ...child, [foreignKey]: row.id }));
+    });
+    return row;
+  }
+
+  function model(name) {
+    const find = where => table(name).filter(row => matches(row, where));
+    return {
+      async create({ data, ...options }) {
+        return shape(name, create(name, data), options);
+      },
+      async findUnique({ where, ...options }) {
+        return shape(name, find(where)[0], options);
+      },
+      async findFirst({ where, orderBy, ...options } = {}) {
+        return shape(name, sortRows(find(where), orderBy)[0], options);
+      },
+      async findMany({ where, orderBy, ...options } = {}) {
+        return sortRows(find(where), orderBy).map(row => shape(name, row, options));
+      },
+      async aggregate({ where, _max }) {
+        const rows = find(where);
+        const max = field => rows.map(row => row[field]).filter(value => value != null)
+          .reduce((a, b) => (a == null || b > a ? b : a), null);
+        return { _max: Object.fromEntries(Object.keys(_max).map(field => [field, max(field)])) };
+      },
+      async count({ where } = {}) {
+        return find(where).length;
+      },
+      async update({ where, data, ...options }) {
+        const [row] = find(where);
+        if (!row) throw Object.assign(new Error(`No ${name} to update`), { code: 'P2025' });
+        return shape(name, applyData(row, data), options);
+      },
+      async upsert({ where, create: createData, update, ...options }) {
+        const [row] = find(where);
+        return shape(name, row ? applyData(row, update) : create(name, createData), options);
+      },
+      async updateMany({ where, data }) {
+        const rows = find(where);
+        rows.forEach(row => applyData(row, data));
+        return { count: rows.length };
+      },
+      async delete({ where }) {
+        const [row] = find(where);
+        if (!row) throw Object.assign(new Error(`No ${name} to delete`), { code: 'P2025' });
+        tables[name] = table(name).filter(other => other !== row);
+        return row;
+      },
+      async deleteMany({ where } = {}) {
+        const rows = find(where);
+        tables[name] = table(name).filter(row => !rows.includes(row));
+        return { count: rows.length };
+      }
+    };
+  }
+
+  const models = {};
+  return new Proxy({
+    async $transaction(operations) {
+      return Promise.all(operations);
+    },
+    $reset() {
+      Object.keys(tables).forEach(name => delete tables[name]);
+    },
+    $rows: name => table(name)
+  }, {
+    get(target, property) {
+      if (property in target) return target[property];
+      if (typeof property !== 'string' || property === 'then') return undefined;
+      return (models[property] ||= model(property));
+    }
+  });
+}
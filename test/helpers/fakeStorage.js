@@ -0,0 +1,71 @@
+// In-memory storage adapter with the interface documented in
+// app/utils/storage/index.server.js.
+
+const merge = (target, patch) => {
+  Object.entries(patch).forEach(([key, value]) => {
+    const current = target[key];
+    target[key] = value && typeof value === 'object' && !Array.isArray(value) && current && typeof current === 'object'
+      ? merge({ ...current }, value)
+      : value;
+  });
+  return target;
+};
+
+export function createFakeStorage() {
+  const files = new Map();
+  const collections = {};
+  let sequence = 0;
+  const collection = name => (collections[name] ||= new Map());
+  const urlOf = path => `https://storage.test/${path}`;
+
+  return {
+    name: 'fake',
+    files,
+    records: name => [...collection(name).values()],
+    reset() {
+      files.clear();
+      Object.keys(collections).forEach(name => delete collections[name]);
+    },
+
+    async saveFile(path, buffer) {
+      files.set(path, buffer);
+      return { url: urlOf(path) };
+    },
+    async readFile(path) {
+      if (!files.has(path)) throw new Error(`No such file: ${path}`);
+      return files.get(path);
+    },
+    async fileExists(path) {
+      return files.has(path);
+    },
+    async moveFile(from, to) {
+      files.set(to, files.get(from));
+      files.delete(from);
+      return { url: urlOf(to) };
+    },
+    async deleteFile(path) {
+      files.delete(path);
+    },
+    pathFromUrl(url) {
+      return url?.startsWith('https://storage.test/') ? url.slice('https://storage.test/'.length) : null;
+    },
+    async addRecord(name, data) {
+      const id = `${name}-${++sequence}`;
+      collection(name).set(id, { ...structuredClone(data), id });
+      return id;
+    },
+    async updateRecord(name, id, patch) {
+      const record = collection(name).get(id);
+      if (record) merge(record, structuredClone(patch));
+    },
+    async findRecords(name, where = {}, { limit } = {}) {
+      const found = [...collection(name).values()]
+        .filter(record => Object.entries(where).every(([key, value]) => record[key] === value))
+        .map(record => structuredClone(record));
+      return limit ? found.slice(0, limit) : found;
+    },
+    async deleteRecord(name, id) {
+      collection(name).delete(id);
+    }
+  };
+}
@@ -0,0 +1,38 @@
+import sharp from 'sharp';
+import { vi } from 'vitest';
+
+/** A photo-like PNG (noise) that lossy formats compress well. */
+export const noisyPng = (width = 64, height = 48) => sharp({
+  create: { width, height, channels: 3, background: '#808080', noise: { type: 'gaussian', mean: 128, sigma: 40 } }
+}).png().toBuffer();
+
+/**
+ * Serves the given image for every download, like Shopify's CDN.
+ * @returns {Function} - The fetch mock
+ */
+export function serveSource(buffer, contentType = 'image/png') {
+  const fetchMock = vi.fn(async () => new Response(buffer, { headers: { 'content-type': contentType } }));
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+/**
+ * Stand-in for app/utils/shopifyMedia.server: every replacement succeeds
+ * with a new media id.
+ */
+export function createShopifyMediaMock() {
+  let sequence = 0;
+  return {
+    replaceProductImage: vi.fn(async () => {
+      sequence += 1;
+      return {
+        replaced: true,
+        newImageId: String(1000 + sequence),
+        newImageUrl: `https://cdn.shopify.test/files/image-${sequence}.webp?v=1`
+      };
+    }),
+    mimeTypeForFormat: format => `image/${format === 'jpg' ? 'jpeg' : format}`,
+    getMediaPlacement: vi.fn(async () => null),
+    getProductImageFilenames: vi.fn(async () => new Map())
+  };
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import prisma from '../app/db.server';
+import { getStorageAdapter } from '../app/utils/storage/index.server';
+import { replaceProductImage } from '../app/utils/shopifyMedia.server';
+import { compressImageItem } from '../app/utils/compressionPipeline.server';
+import { listImageVariants, selectImageVariant, deleteImageVariant, compareImageVariant } from '../app/utils/imageVariants.server';
+import { noisyPng, serveSource } from './helpers/shopify';
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+vi.mock('../app/utils/storage/index.server', async () => {
+  const { createFakeStorage } = await import('./helpers/fakeStorage');
+  const storage = createFakeStorage();
+  return { getStorageAdapter: () => storage };
+});
+vi.mock('../app/utils/shopifyMedia.server', async () => {
+  const { createShopifyMediaMock } = await import('./helpers/shopify');
+  return createShopifyMediaMock();
+});
+
+const SHOP = 'test-shop.myshopify.com';
+const SOURCE_URL = 'https://cdn.shopify.test/files/shirt.png';
+const admin = {};
+const storage = getStorageAdapter();
+
+const compress = (compressionOptions = {}, options = {}) => compressImageItem({
+  shop: SHOP,
+  url: SOURCE_URL,
+  productId: '1',
+  imageId: '10',
+  strategy: 'sharp',
+  compressionOptions: { quality: 70, format: 'webp', ...compressionOptions },
+  admin,
+  ...options
+});
+
+beforeEach(async () => {
+  prisma.$reset();
+  storage.reset();
+  replaceProductImage.mockClear();
+  serveSource(await noisyPng());
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('compression variants', () => {
+  it('are kept per settings and reused for the same settings', async () => {
+    const first = await compress();
+    const second = await compress({ quality: 50 });
+    const again = await compress({ quality: 50 }, { imageId: second.shopify.newImageId });
+
+    expect(second.variantId).not.toBe(first.variantId);
+    expect(again).toMatchObject({ variantId: second.variantId, fromCache: true });
+
+    const { sourceUrl, variants } = await listImageVariants(SHOP, SOURCE_URL);
+    expect(sourceUrl).toBe(SOURCE_URL);
+    expect(variants.map(variant => variant.id).sort()).toEqual([first.variantId, second.variantId].sort());
+    expect(variants.find(variant => variant.id === second.variantId)).toMatchObject({ settings: { quality: 50 } });
+  });
+
+  it('can be published again and deleted unless published', async () => {
+    const first = await compress();
+    const second = await compress({ quality: 50 });
+
+    const { variant } = await selectImageVariant({
+      shop: SHOP, admin, url: SOURCE_URL, variantId: first.variantId, productId: '1', imageId: second.shopify.newImageId
+    });
+    expect(variant).toMatchObject({ id: first.variantId, published: true });
+    expect(replaceProductImage).toHaveBeenLastCalledWith(admin, expect.objectContaining({ mediaId: second.shopify.newImageId }));
+
+    expect(await deleteImageVariant({ shop: SHOP, url: SOURCE_URL, variantId: first.variantId })).toBe('published');
+    expect(await deleteImageVariant({ shop: SHOP, url: SOURCE_URL, variantId: second.variantId })).toBe('deleted');
+    expect(await deleteImageVariant({ shop: SHOP, url: SOURCE_URL, variantId: 'unknown' })).toBeNull();
+    expect((await listImageVariants(SHOP, SOURCE_URL)).variants.map(v => v.id)).toEqual([first.variantId]);
+  });
+});
+
+describe('compareImageVariant', () => {
+  it('puts the original next to a variant with a difference heatmap', async () => {
+    const first = await compress();
+    const second = await compress({ quality: 20 });
+
+    const comparison = await compareImageVariant(SHOP, SOURCE_URL, null, first.variantId);
+
+    expect(comparison).toMatchObject({
+      sourceUrl: SOURCE_URL,
+      original: { width: 64, height: 48, format: 'png' },
+      variant: { id: first.variantId, width: 64, height: 48, format: 'webp' }
+    });
+    const { difference } = comparison;
+    expect(difference.heatmap).toMatch(/^data:image\/png;base64,/);
+    expect(difference.ssim).toBeGreaterThan(0);
+    expect(difference.ssim).toBeLessThan(1);
+
+    const worse = await compareImageVariant(SHOP, SOURCE_URL, null, second.variantId);
+    expect(worse.difference.ssim).toBeLessThan(difference.ssim);
+    expect(worse.difference.meanDifference).toBeGreaterThan(difference.meanDifference);
+  });
+
+  it('compares the published variant by default and is null for unknown variants', async () => {
+    const { variantId } = await compress();
+
+    expect((await compareImageVariant(SHOP, SOURCE_URL)).variant.id).toBe(variantId);
+    expect(await compareImageVariant(SHOP, SOURCE_URL, null, 'unknown')).toBeNull();
+  });
+});
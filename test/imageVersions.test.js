@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import prisma from '../app/db.server';
+import { getStorageAdapter } from '../app/utils/storage/index.server';
+import { replaceProductImage } from '../app/utils/shopifyMedia.server';
+import { COMPRESSED_COLLECTION, listStoredImages } from '../app/utils/firebaseStorage.server';
+import { compressImageItem } from '../app/utils/compressionPipeline.server';
+import { listImageVersions, recordImageVersion } from '../app/utils/imageVersions.server';
+import { restoreImageVersion, deleteImageVariant } from '../app/utils/imageVariants.server';
+import { noisyPng, serveSource } from './helpers/shopify';
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+vi.mock('../app/utils/storage/index.server', async () => {
+  const { createFakeStorage } = await import('./helpers/fakeStorage');
+  const storage = createFakeStorage();
+  return { getStorageAdapter: () => storage };
+});
+vi.mock('../app/utils/shopifyMedia.server', async () => {
+  const { createShopifyMediaMock } = await import('./helpers/shopify');
+  return createShopifyMediaMock();
+});
+
+const SHOP = 'test-shop.myshopify.com';
+const SOURCE_URL = 'https://cdn.shopify.test/files/shirt.png';
+const admin = {};
+const storage = getStorageAdapter();
+
+const compress = (options = {}) => compressImageItem({
+  shop: SHOP,
+  url: SOURCE_URL,
+  productId: '1',
+  imageId: '10',
+  strategy: 'sharp',
+  compressionOptions: { quality: 70, format: 'webp', presetName: 'Balanced' },
+  actor: { actorId: '7', actorName: 'Sam' },
+  admin,
+  ...options
+});
+
+const kinds = versions => versions.map(version => version.kind);
+
+beforeEach(async () => {
+  prisma.$reset();
+  storage.reset();
+  replaceProductImage.mockClear();
+  serveSource(await noisyPng());
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('image versions', () => {
+  it('follow an image from its original through its compressions, newest first', async () => {
+    const first = await compress();
+    await compress({ compressionOptions: { quality: 40, format: 'webp' }, imageId: first.shopify.newImageId });
+
+    const { sourceUrl, versions } = await listImageVersions(SHOP, SOURCE_URL);
+
+    expect(sourceUrl).toBe(SOURCE_URL);
+    expect(kinds(versions)).toEqual(['compression', 'compression', 'original']);
+    expect(versions.map(v => v.current)).toEqual([true, false, false]);
+    expect(versions.every(v => v.available)).toBe(true);
+    expect(versions[0]).toMatchObject({ published: true, actorName: 'Sam', format: 'webp', settings: expect.objectContaining({ quality: 40 }) });
+  });
+
+  it('are found from the URL Shopify serves the published image under', async () => {
+    const { shopify } = await compress();
+
+    const { sourceUrl, versions } = await listImageVersions(SHOP, 'https://cdn.shopify.test/files/image-1.webp', shopify.newImageId);
+
+    expect(sourceUrl).toBe(SOURCE_URL);
+    expect(versions).toHaveLength(2);
+  });
+
+  it('start from what is stored for images compressed before histories were kept', async () => {
+    const first = await compress();
+    const second = await compress({ compressionOptions: { quality: 40, format: 'webp' }, imageId: first.shopify.newImageId });
+    await prisma.imageVersion.deleteMany({ where: { shop: SHOP } });
+    const record = (await listStoredImages(SHOP, COMPRESSED_COLLECTION)).find(r => r.id === first.variantId);
+
+    await recordImageVersion({ shop: SHOP, sourceUrl: SOURCE_URL, kind: 'publish', collection: COMPRESSED_COLLECTION, record, shopify: { replaced: true, newImageId: '2000' } });
+
+    // the variant being published gets its own entry, the rest is rebuilt before it
+    const { versions } = await listImageVersions(SHOP, SOURCE_URL);
+    expect(kinds(versions)).toEqual(['publish', 'compression', 'original']);
+    expect(versions[0]).toMatchObject({ current: true, url: record.compressedUrl });
+    expect(versions[1]).toMatchObject({ published: true, url: second.compressedUrl });
+    expect(versions[2]).toMatchObject({ original: true, published: false });
+  });
+
+  it('never fail or repeat a compression when the history cannot be written', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(prisma.imageVersion, 'create').mockRejectedValue(new Error('database is locked'));
+
+    const result = await compress();
+
+    expect(result.success).toBe(true);
+    expect(result.shopify).toMatchObject({ replaced: true });
+    expect(replaceProductImage).toHaveBeenCalledTimes(1);
+    expect(await recordImageVersion({
+      shop: SHOP, sourceUrl: SOURCE_URL, kind: 'publish', collection: COMPRESSED_COLLECTION, record: { id: result.variantId }
+    })).toBeNull();
+  });
+
+  it('restore the original on Shopify and record the restore', async () => {
+    const { shopify } = await compress();
+    const { versions } = await listImageVersions(SHOP, SOURCE_URL);
+    const original = versions.find(v => v.kind === 'original');
+
+    const outcome = await restoreImageVersion({ shop: SHOP, admin, versionId: original.id, productId: '1', imageId: shopify.newImageId });
+
+    expect(outcome.restored).toMatchObject({ original: true });
+    expect(replaceProductImage).toHaveBeenCalledTimes(2);
+    expect(replaceProductImage.mock.calls[1][1]).toMatchObject({ mediaId: shopify.newImageId, mimeType: 'image/png' });
+
+    const after = await listImageVersions(SHOP, SOURCE_URL);
+    expect(after.versions[0]).toMatchObject({ kind: 'restore', restoredFrom: original.id, current: true });
+    const [variant] = await listStoredImages(SHOP, COMPRESSED_COLLECTION);
+    expect(variant.shopifyImageId).toBeNull();
+  });
+
+  it('report a version whose file is gone', async () => {
+    const first = await compress();
+    const second = await compress({ compressionOptions: { quality: 40, format: 'webp' }, imageId: first.shopify.newImageId });
+    expect(await deleteImageVariant({ shop: SHOP, url: SOURCE_URL, variantId: first.variantId })).toBe('deleted');
+
+    const { versions } = await listImageVersions(SHOP, SOURCE_URL);
+    const gone = versions.find(v => v.kind === 'compression' && !v.available);
+    expect(gone).toBeDefined();
+
+    const outcome = await restoreImageVersion({ shop: SHOP, admin, versionId: gone.id, productId: '1', imageId: second.shopify.newImageId });
+    expect(outcome.restored).toBe('gone');
+    expect(replaceProductImage).toHaveBeenCalledTimes(2);
+  });
+
+  it('of another shop cannot be restored', async () => {
+    await compress();
+    const { versions } = await listImageVersions(SHOP, SOURCE_URL);
+
+    expect(await restoreImageVersion({ shop: 'other-shop.myshopify.com', admin, versionId: versions[0].id, productId: '1' })).toBeNull();
+  });
+});
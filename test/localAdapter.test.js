@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach, afterAll } from 'vitest';
+import fs from 'fs';
+import prisma from '../app/db.server';
+import { localAdapter, resolveLocalPath } from '../app/utils/storage/localAdapter.server';
+
+// The adapter resolves its root directory when it is imported
+const ROOT = vi.hoisted(() => {
+  const os = require('os');
+  const path = require('path');
+  const dir = require('fs').mkdtempSync(path.join(os.tmpdir(), 'local-storage-'));
+  process.env.LOCAL_STORAGE_DIR = dir;
+  process.env.SHOPIFY_APP_URL = 'https://app.test/';
+  return dir;
+});
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+
+beforeEach(() => {
+  prisma.$reset();
+  vi.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(ROOT, { recursive: true, force: true });
+});
+
+describe('local storage files', () => {
+  it('saves and reads a file under the storage directory', async () => {
+    const { url } = await localAdapter.saveFile('compressed/linen shirt.webp', Buffer.from('webp'));
+
+    expect(url).toBe('https://app.test/storage/compressed/linen%20shirt.webp');
+    expect(localAdapter.pathFromUrl(url)).toBe('compressed/linen shirt.webp');
+    expect(await localAdapter.readFile('compressed/linen shirt.webp')).toEqual(Buffer.from('webp'));
+    expect(await localAdapter.fileExists('compressed/linen shirt.webp')).toBe(true);
+
+    await localAdapter.deleteFile('compressed/linen shirt.webp');
+    expect(await localAdapter.fileExists('compressed/linen shirt.webp')).toBe(false);
+  });
+
+  it('refuses paths outside the storage directory', () => {
+    expect(() => resolveLocalPath('../secrets.txt')).toThrow('Invalid storage path');
+    expect(() => resolveLocalPath('/etc/passwd')).toThrow('Invalid storage path');
+  });
+});
+
+describe('local storage records', () => {
+  it('merges nested fields on update and finds records by field', async () => {
+    const id = await localAdapter.addRecord('images', { originalUrl: 'https://cdn.test/a.jpg', meta: { width: 800 } });
+    await localAdapter.addRecord('images', { originalUrl: 'https://cdn.test/b.jpg' });
+
+    await localAdapter.updateRecord('images', id, { meta: { height: 600 } });
+
+    const [record] = await localAdapter.findRecords('images', { originalUrl: 'https://cdn.test/a.jpg' });
+    expect(record).toMatchObject({ id, meta: { width: 800, height: 600 } });
+    expect(await localAdapter.findRecords('images', {}, { limit: 1 })).toHaveLength(1);
+
+    await localAdapter.deleteRecord('images', id);
+    expect(await localAdapter.findRecords('images', { originalUrl: 'https://cdn.test/a.jpg' })).toEqual([]);
+  });
+});
+
+describe('local storage record lookups', () => {
+  it('filter by shop and field in the query instead of loading the collection', async () => {
+    await localAdapter.addRecord('images', { shop: 'a.myshopify.com', originalUrl: 'https://cdn.test/a.jpg' });
+    await localAdapter.addRecord('images', { shop: 'b.myshopify.com', originalUrl: 'https://cdn.test/a.jpg' });
+    await localAdapter.addRecord('images', { shop: 'a.myshopify.com', originalUrl: 'https://cdn.test/A.jpg' });
+    await localAdapter.addRecord('images', { shop: 'a.myshopify.com', meta: { originalUrl: 'https://cdn.test/a.jpg' } });
+    const findMany = vi.spyOn(prisma.storedRecord, 'findMany');
+
+    const found = await localAdapter.findRecords('images', { shop: 'a.myshopify.com', originalUrl: 'https://cdn.test/a.jpg' });
+
+    expect(found).toEqual([expect.objectContaining({ shop: 'a.myshopify.com', originalUrl: 'https://cdn.test/a.jpg' })]);
+    expect(findMany.mock.calls[0][0].where).toEqual({
+      collection: 'images',
+      shop: 'a.myshopify.com',
+      AND: [{ data: { contains: '"originalUrl":"https://cdn.test/a.jpg"' } }]
+    });
+  });
+});
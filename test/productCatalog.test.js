@@ -0,0 +1,105 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { fetchProductImagesPage, countProducts, titleSearchQuery } from '../app/utils/productCatalog.server';
+
+const product = i => ({
+  id: `gid://shopify/Product/${i}`,
+  title: `Product ${i}`,
+  handle: `product-${i}`,
+  vendor: 'Acme',
+  productType: '',
+  tags: [],
+  media: {
+    pageInfo: { hasNextPage: false, endCursor: null },
+    edges: [{
+      node: {
+        id: `gid://shopify/MediaImage/${100 + i}`,
+        mediaContentType: 'IMAGE',
+        alt: '',
+        image: { url: `https://cdn.shopify.test/files/p${i}.jpg`, width: 800, height: 600 }
+      }
+    }]
+  },
+  variants: { nodes: [] }
+});
+
+/**
+ * Admin API stand-in serving `total` products by position, with the
+ * position as cursor, the way Shopify pages `products` forwards and back.
+ */
+function catalogAdmin(total) {
+  const products = Array.from({ length: total }, (_, i) => product(i));
+  const graphql = vi.fn(async (query, { variables }) => {
+    if (query.includes('productsCount')) {
+      return Response.json({ data: { productsCount: { count: total, precision: 'EXACT' } } });
+    }
+    const { first, after, last, before } = variables;
+    const start = first ? (after == null ? 0 : Number(after) + 1) : Math.max(0, Number(before ?? total) - last);
+    const end = first ? Math.min(total, start + first) : Number(before ?? total);
+    return Response.json({
+      data: {
+        products: {
+          edges: products.slice(start, end).map(node => ({ node })),
+          pageInfo: {
+            hasPreviousPage: start > 0,
+            hasNextPage: end < total,
+            startCursor: String(start),
+            endCursor: String(end - 1)
+          }
+        }
+      }
+    });
+  });
+  return { graphql };
+}
+
+const titles = page => page.products.map(p => p.title);
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('fetchProductImagesPage', () => {
+  it('reads a page larger than one query in several chunks', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const admin = catalogAdmin(40);
+
+    const page = await fetchProductImagesPage(admin, { limit: 30 });
+
+    expect(admin.graphql).toHaveBeenCalledTimes(2);
+    expect(titles(page)).toEqual(Array.from({ length: 30 }, (_, i) => `Product ${i}`));
+    expect(page.pageInfo).toEqual({ hasPreviousPage: false, hasNextPage: true, startCursor: '0', endCursor: '29' });
+    expect(page.products[0].images[0]).toMatchObject({ mediaId: 'gid://shopify/MediaImage/100', position: 1 });
+  });
+
+  it('follows the cursor forwards and back', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const admin = catalogAdmin(40);
+
+    const second = await fetchProductImagesPage(admin, { limit: 20, after: '19' });
+    expect(titles(second)[0]).toBe('Product 20');
+    expect(second.pageInfo).toMatchObject({ hasPreviousPage: true, hasNextPage: false });
+
+    const first = await fetchProductImagesPage(admin, { limit: 20, before: second.pageInfo.startCursor });
+    expect(titles(first)).toEqual(Array.from({ length: 20 }, (_, i) => `Product ${i}`));
+    expect(first.pageInfo).toMatchObject({ hasPreviousPage: false, hasNextPage: true, startCursor: '0', endCursor: '19' });
+  });
+
+  it('searches titles by word prefix', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const admin = catalogAdmin(3);
+
+    await fetchProductImagesPage(admin, { limit: 8, search: 'Blue  Shirt-XL' });
+
+    expect(admin.graphql.mock.calls[0][1].variables.query).toBe('title:blue* AND title:shirt* AND title:xl*');
+    expect(titleSearchQuery('  ')).toBeNull();
+  });
+});
+
+describe('countProducts', () => {
+  it('counts the products matching a search in one query', async () => {
+    const admin = catalogAdmin(40);
+
+    expect(await countProducts(admin, 'shirt')).toEqual({ count: 40, exact: true });
+    expect(admin.graphql).toHaveBeenCalledTimes(1);
+  });
+});
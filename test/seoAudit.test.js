@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_IMAGE_BYTES,
+  auditImage,
+  auditProduct,
+  containsKeyword,
+  imageFilename,
+  isPoorFilename,
+  scoreTone
+} from '../app/utils/seoAudit';
+
+const good = {
+  imageUrl: 'https://cdn.shopify.test/files/blue-linen-shirt.webp?v=12',
+  alt: 'Blue linen shirt, front',
+  fileSize: 80 * 1024,
+  width: 1600,
+  height: 1600,
+  mimeType: 'image/webp'
+};
+
+const rules = result => result.issues.map(issue => issue.rule);
+
+describe('auditImage', () => {
+  it('gives a clean image full marks', () => {
+    expect(auditImage(good)).toEqual({ score: 100, issues: [] });
+    expect(auditImage(good, { keyword: 'linen shirt' })).toEqual({ score: 100, issues: [] });
+  });
+
+  it('takes the weight of every failed rule off the score', () => {
+    const result = auditImage({
+      imageUrl: 'https://cdn.shopify.test/files/IMG_2041.jpg',
+      alt: '',
+      fileSize: MAX_IMAGE_BYTES + 1,
+      width: 4000,
+      height: 3000,
+      mimeType: 'image/jpeg'
+    });
+
+    expect(rules(result)).toEqual(['missing-alt', 'oversized-file', 'excessive-dimensions', 'legacy-format', 'poor-filename']);
+    expect(result.score).toBe(100 - 25 - 20 - 10 - 10 - 10);
+  });
+
+  it('checks alt text and filename against the focus keyword', () => {
+    const result = auditImage({ ...good, imageUrl: 'https://cdn.shopify.test/files/summer-top.webp' }, { keyword: 'linen shirt' });
+
+    expect(rules(result)).toEqual(['keyword-missing-filename']);
+    expect(result.score).toBe(95);
+    expect(rules(auditImage({ ...good, alt: 'Summer top' }, { keyword: 'linen shirt' }))).toEqual(['keyword-missing-alt']);
+  });
+
+  it('counts weak alt text once, with its reasons', () => {
+    const result = auditImage({ ...good, alt: 'IMG_2041' }, { altUsageCount: 2 });
+
+    expect(result.issues).toEqual([expect.objectContaining({ rule: 'weak-alt', detail: 'Duplicate, Looks like a filename' })]);
+    expect(result.score).toBe(95);
+  });
+});
+
+describe('auditProduct', () => {
+  it('averages the image scores and asks for a focus keyword', () => {
+    const result = auditProduct([good, { ...good, alt: '' }]);
+
+    expect(result.score).toBe(88);
+    expect(result.issues.map(issue => issue.rule)).toEqual(['no-keyword']);
+    expect(result.issueCount).toBe(2);
+  });
+
+  it('looks up how often each alt text is used', () => {
+    const result = auditProduct([good], { keyword: 'linen', altUsageCount: alt => (alt === good.alt ? 3 : 1) });
+
+    expect(rules(result.images[0])).toEqual(['weak-alt']);
+    expect(result.issues).toEqual([]);
+  });
+
+  it('scores a product without images 0', () => {
+    expect(auditProduct([], { keyword: 'linen' })).toMatchObject({ score: 0, issueCount: 0 });
+  });
+});
+
+describe('filenames and keywords', () => {
+  it('strips what the app and Shopify add to a filename', () => {
+    expect(imageFilename('https://cdn.shopify.test/files/compressed_blue-shirt_0a1b2c3d-4e5f-6a7b-8c9d-0e1f2a3b4c5d.webp?v=1'))
+      .toBe('blue-shirt');
+  });
+
+  it('recognizes names that describe nothing', () => {
+    expect(isPoorFilename('IMG_2041')).toBe(true);
+    expect(isPoorFilename('product-image-final')).toBe(true);
+    expect(isPoorFilename('blue-linen-shirt')).toBe(false);
+  });
+
+  it('matches keywords across case, accents and separators', () => {
+    expect(containsKeyword('Blue-Linen_shirt', 'linen shirt')).toBe(true);
+    expect(containsKeyword('Crème brûlée mug', 'creme brulee')).toBe(true);
+    expect(containsKeyword('Linen top', 'linen shirt')).toBe(false);
+    expect(containsKeyword('anything', '  ')).toBe(false);
+  });
+
+  it('picks the badge tone from the score', () => {
+    expect([95, 80, 79, 50, 49].map(scoreTone)).toEqual(['success', 'success', 'warning', 'warning', 'critical']);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getStorageAdapter } from '../app/utils/storage/index.server';
+import { replaceProductImage, getProductImageFilenames } from '../app/utils/shopifyMedia.server';
+import { storeCompressedImage } from '../app/utils/firebaseStorage.server';
+import { compressImageItem } from '../app/utils/compressionPipeline.server';
+import { renderFilename, slugify, dedupeFilename } from '../app/utils/seoFilename.server';
+import { noisyPng, serveSource } from './helpers/shopify';
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+vi.mock('../app/utils/storage/index.server', async () => {
+  const { createFakeStorage } = await import('./helpers/fakeStorage');
+  const storage = createFakeStorage();
+  return { getStorageAdapter: () => storage };
+});
+vi.mock('../app/utils/shopifyMedia.server', async () => {
+  const { createShopifyMediaMock } = await import('./helpers/shopify');
+  return createShopifyMediaMock();
+});
+vi.mock('../app/utils/productCatalog.server', () => ({
+  getProductSummary: vi.fn(async () => ({ handle: 'linen-shirt', title: 'Linen Shirt', vendor: 'Acme' }))
+}));
+
+const SHOP = 'test-shop.myshopify.com';
+const storage = getStorageAdapter();
+
+beforeEach(() => {
+  storage.reset();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('slugify', () => {
+  it('keeps lowercase ASCII words joined by hyphens', () => {
+    expect(slugify('  Crème Brûlée / Mug (XL) ')).toBe('creme-brulee-mug-xl');
+    expect(slugify(null)).toBe('');
+  });
+});
+
+describe('renderFilename', () => {
+  it('renders the default template', () => {
+    expect(renderFilename({ handle: 'linen-shirt', keyword: 'summer linen', index: 2 })).toBe('linen-shirt-summer-2');
+  });
+
+  it('drops empty placeholders and keeps repeated numbers', () => {
+    expect(renderFilename({ handle: 'size-2-dress', index: 2 }, '{vendor}-{handle}-{index}')).toBe('size-2-dress-2');
+  });
+
+  it('falls back to the source filename, then to "image"', () => {
+    expect(renderFilename({ originalUrl: 'https://cdn.test/files/compressed_Blue%20Shirt.JPG?v=3' }, '{keyword}')).toBe('blue-shirt');
+    expect(renderFilename({}, '{keyword}')).toBe('image');
+  });
+
+  it('stops at a whole word before 80 characters', () => {
+    const title = 'word '.repeat(5) + Array.from({ length: 20 }, (_, i) => `term${i}`).join(' ');
+
+    expect(renderFilename({ title }, '{title}').length).toBeLessThanOrEqual(80);
+    expect(renderFilename({ title }, '{title}')).toMatch(/^word-(term\d+-)+term\d+$/);
+  });
+});
+
+describe('dedupeFilename', () => {
+  it('appends the first free number', async () => {
+    const taken = new Set(['linen-shirt', 'linen-shirt-2']);
+
+    expect(await dedupeFilename('linen-shirt', async name => taken.has(name))).toBe('linen-shirt-3');
+    expect(await dedupeFilename('linen-shirt', async () => true, 3)).toBeNull();
+  });
+});
+
+describe('compressed image filenames', () => {
+  it('name stored files after the SEO filename plus a random token', async () => {
+    const first = await storeCompressedImage(SHOP, Buffer.from('a'), 'https://cdn.test/a.jpg', { format: 'webp', seoFilename: 'blue-shirt-front' });
+    const second = await storeCompressedImage(SHOP, Buffer.from('b'), 'https://cdn.test/b.jpg', { format: 'webp', seoFilename: 'blue-shirt-front' });
+
+    expect(first.url).toMatch(/\/shops\/test-shop\.myshopify\.com\/compressed\/blue-shirt-front-[0-9a-f]{16}\.webp$/);
+    expect(second.url).not.toBe(first.url);
+  });
+
+  it('are numbered on Shopify when another image of the product has the name', async () => {
+    serveSource(await noisyPng());
+    // 10 is the image being replaced, its name is free again
+    getProductImageFilenames.mockResolvedValueOnce(new Map([['9', 'linen-shirt'], ['10', 'linen-shirt-2'], ['11', 'Linen-Shirt-3']]));
+
+    await compressImageItem({
+      shop: SHOP,
+      url: 'https://cdn.shopify.test/files/shirt.png',
+      productId: '1',
+      imageId: '10',
+      strategy: 'sharp',
+      compressionOptions: { quality: 70, toWebp: true },
+      admin: {}
+    });
+
+    expect(replaceProductImage.mock.calls[0][1]).toMatchObject({ filename: 'linen-shirt-2.webp' });
+  });
+});
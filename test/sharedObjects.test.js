@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getStorageAdapter } from '../app/utils/storage/index.server';
+import {
+  COMPRESSED_COLLECTION,
+  COMPRESSED_OBJECTS_COLLECTION,
+  storeCompressedImage,
+  listStoredImages,
+  deleteStoredImage
+} from '../app/utils/firebaseStorage.server';
+
+vi.mock('../app/utils/storage/index.server', async () => {
+  const { createFakeStorage } = await import('./helpers/fakeStorage');
+  const storage = createFakeStorage();
+  return { getStorageAdapter: () => storage };
+});
+
+const SHOP = 'test-shop.myshopify.com';
+const storage = getStorageAdapter();
+
+const store = (sourceUrl, { contentKey = 'key-1', seoFilename = 'blue-shirt-front', companions = [] } = {}) => storeCompressedImage(
+  SHOP,
+  Buffer.from('compressed bytes'),
+  sourceUrl,
+  { format: 'webp', seoFilename, contentKey, settingsKey: 'settings-1' },
+  companions
+);
+
+const sharedObject = () => storage.records(COMPRESSED_OBJECTS_COLLECTION)[0] || null;
+const recordOf = async id => (await listStoredImages(SHOP, COMPRESSED_COLLECTION)).find(record => record.id === id);
+
+beforeEach(() => {
+  storage.reset();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('shared compressed objects', () => {
+  it('writes the files once and counts every record using them', async () => {
+    const first = await store('https://cdn.test/a.jpg', {
+      companions: [{ kind: 'derivative', buffer: Buffer.from('480'), format: 'webp', contentType: 'image/webp', suffix: '-480w', width: 480 }]
+    });
+    const second = await store('https://cdn.test/copy-of-a.jpg');
+
+    expect(storage.files.size).toBe(2);
+    expect(second.url).toBe(first.url);
+    expect(second.companions).toEqual(first.companions);
+    expect(sharedObject()).toMatchObject({ contentKey: 'key-1', refCount: 2 });
+  });
+
+  it('deletes the files with the last record using them', async () => {
+    const first = await store('https://cdn.test/a.jpg');
+    const second = await store('https://cdn.test/copy-of-a.jpg');
+
+    await deleteStoredImage(COMPRESSED_COLLECTION, await recordOf(first.id));
+    expect(sharedObject().refCount).toBe(1);
+    expect(storage.files.size).toBe(1);
+
+    await deleteStoredImage(COMPRESSED_COLLECTION, await recordOf(second.id));
+    expect(sharedObject()).toBeNull();
+    expect(storage.files.size).toBe(0);
+  });
+
+  it('counts records rather than trusting the stored count', async () => {
+    const first = await store('https://cdn.test/a.jpg');
+    await store('https://cdn.test/copy-of-a.jpg');
+    // a record removed some other way (e.g. as stale) never decremented the count
+    await storage.deleteRecord(COMPRESSED_COLLECTION, first.id);
+
+    await store('https://cdn.test/another-copy.jpg');
+    expect(sharedObject().refCount).toBe(2);
+  });
+
+  it('keeps objects of different content apart', async () => {
+    const first = await store('https://cdn.test/a.jpg', { contentKey: 'key-1' });
+    await store('https://cdn.test/b.jpg', { contentKey: 'key-2' });
+
+    await deleteStoredImage(COMPRESSED_COLLECTION, await recordOf(first.id));
+    expect(storage.records(COMPRESSED_OBJECTS_COLLECTION).map(object => object.contentKey)).toEqual(['key-2']);
+    expect(storage.files.size).toBe(1);
+  });
+
+  it('writes an object again when its file is gone', async () => {
+    const first = await store('https://cdn.test/a.jpg');
+    storage.files.clear();
+
+    const second = await store('https://cdn.test/copy-of-a.jpg');
+    expect(second.url).not.toBe(first.url);
+    expect(storage.files.size).toBe(1);
+    expect(storage.records(COMPRESSED_OBJECTS_COLLECTION)).toHaveLength(1);
+  });
+});
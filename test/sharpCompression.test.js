@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import sharp from 'sharp';
+import { AUTO_FORMAT_MIN_SSIM, compressMultipleImages } from '../app/utils/sharpCompression.server';
+import { readExif } from '../app/utils/imageMetadata.server';
+import { noisyPng, serveSource } from './helpers/shopify';
+
+const compress = async (buffer, options) => {
+  serveSource(buffer);
+  const { value: [result] } = await compressMultipleImages(['https://cdn.shopify.test/files/shirt.png'], options).next();
+  return result;
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+const formatsOf = selection => selection.candidates.map(candidate => candidate.format);
+
+/** A three-frame animated GIF of noise. */
+const animatedGif = async () => sharp(
+  await Promise.all([1, 2, 3].map(() => noisyPng(80, 60))),
+  { join: { animated: true } }
+).gif().toBuffer();
+
+describe('format "auto"', () => {
+  it('keeps the smallest candidate that still looks like the source', async () => {
+    const result = await compress(await noisyPng(200, 150), { format: 'auto', quality: 80 });
+    const selection = result._compressionMetadata.formatSelection;
+
+    expect(formatsOf(selection)).toEqual(['avif', 'webp', 'jpeg']);
+    expect(selection.minSsim).toBe(AUTO_FORMAT_MIN_SSIM);
+    const accepted = selection.candidates.filter(candidate => candidate.accepted);
+    expect(accepted.length).toBeGreaterThan(0);
+    expect(accepted.every(candidate => candidate.ssim >= AUTO_FORMAT_MIN_SSIM)).toBe(true);
+    const smallest = [...accepted].sort((a, b) => a.size - b.size)[0];
+    expect(selection.chosen).toBe(smallest.format);
+    expect(result).toMatchObject({ success: true, format: smallest.format, compressedSize: smallest.size });
+    expect(selection.reason).toMatch(/^smallest candidate with SSIM/);
+  });
+
+  it('tries PNG instead of JPEG for transparent images', async () => {
+    const transparent = await sharp({
+      create: { width: 120, height: 80, channels: 4, background: { r: 200, g: 30, b: 30, alpha: 0.5 } }
+    }).png().toBuffer();
+
+    const { _compressionMetadata: { formatSelection } } = await compress(transparent, { format: 'auto', quality: 80 });
+
+    expect(formatsOf(formatSelection)).toEqual(['avif', 'webp', 'png']);
+    expect(formatSelection.reason).toContain('transparent, so PNG instead of JPEG');
+  });
+
+  it('writes AVIF when asked', async () => {
+    const result = await compress(await noisyPng(200, 150), { format: 'avif', quality: 60 });
+
+    expect(result).toMatchObject({ success: true, format: 'avif' });
+    expect((await sharp(result.buffer).metadata()).format).toBe('heif');
+  });
+});
+
+describe('targetSsim', () => {
+  it('uses the lowest quality that reaches the target', async () => {
+    const result = await compress(await noisyPng(200, 150), { format: 'webp', targetSsim: 0.97 });
+    const search = result._compressionMetadata.qualitySearch;
+
+    expect(result).toMatchObject({ success: true, format: 'webp' });
+    expect(search).toMatchObject({ targetSsim: 0.97, reachedTarget: true });
+    expect(search.ssim).toBeGreaterThanOrEqual(0.97);
+    expect(search.quality).toBeLessThan(100);
+    expect(search.attempts).toBeLessThanOrEqual(8);
+  });
+
+  it('falls back to the highest quality when the target is out of reach', async () => {
+    const result = await compress(await noisyPng(200, 150), { format: 'jpeg', targetSsim: 0.9999 });
+
+    expect(result._compressionMetadata.qualitySearch).toMatchObject({ quality: 100, reachedTarget: false });
+  });
+
+  it('replaces the auto floor and searches every candidate', async () => {
+    const { _compressionMetadata: metadata } = await compress(await noisyPng(100, 75), { format: 'auto', targetSsim: 0.95 });
+
+    expect(metadata.formatSelection.minSsim).toBe(0.95);
+    expect(metadata.qualitySearch).toMatchObject({ targetSsim: 0.95, reachedTarget: true });
+    const chosen = metadata.formatSelection.candidates.find(candidate => candidate.format === metadata.formatSelection.chosen);
+    expect(metadata.qualitySearch.quality).toBe(chosen.quality);
+  });
+});
+
+describe('animated images', () => {
+  it('keep every frame when the format asked for cannot animate', async () => {
+    const result = await compress(await animatedGif(), { format: 'jpeg', quality: 80 });
+
+    expect(result).toMatchObject({ success: true, format: 'gif', frames: 3 });
+    expect(result._compressionMetadata.animation).toMatchObject({ frames: 3, sourceFormat: 'gif', format: 'gif' });
+    expect((await sharp(result.buffer).metadata()).pages).toBe(3);
+  });
+
+  it('become animated WebP when asked', async () => {
+    const gif = await animatedGif();
+    const result = await compress(gif, { animatedFormat: 'webp', quality: 80 });
+
+    expect(result).toMatchObject({ success: true, format: 'webp', frames: 3 });
+    expect(result.compressedSize).toBeLessThan(gif.length);
+    expect(await sharp(result.buffer).metadata()).toMatchObject({ format: 'webp', pages: 3 });
+  });
+
+  it('report a video that could not be made without failing the image', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await compress(await animatedGif(), { animatedFormat: 'webp', animatedVideo: 'mp4', quality: 80 });
+
+    expect(result).toMatchObject({ success: true, format: 'webp' });
+    expect(result.video).toBeUndefined();
+    expect(result._compressionMetadata.animation.video).toEqual({ format: 'mp4', error: 'FFMPEG_PATH is not set' });
+  });
+});
+
+describe('metadata policy', () => {
+  /** A 60×40 JPEG shot sideways (EXIF orientation 6), with copyright. */
+  const sidewaysPhoto = async () => sharp(await noisyPng(60, 40))
+    .jpeg({ quality: 95 })
+    .withMetadata({ orientation: 6 })
+    .withExifMerge({ IFD0: { Copyright: 'Acme Ltd', Artist: 'Jo Doe' } })
+    .toBuffer();
+
+  it('turns the image upright and strips EXIF except the copyright', async () => {
+    const result = await compress(await sidewaysPhoto(), { format: 'webp', quality: 80, keepCopyright: true });
+    const output = await sharp(result.buffer).metadata();
+
+    expect(result._compressionMetadata.metadataPolicy).toEqual({
+      autoOriented: true,
+      orientation: 6,
+      icc: 'converted to sRGB',
+      kept: ['Copyright', 'Artist'],
+      stripped: ['EXIF']
+    });
+    expect(output).toMatchObject({ width: 40, height: 60 });
+    expect(readExif(output.exif)).toEqual({ orientation: 1, artist: 'Jo Doe', copyright: 'Acme Ltd', hasGps: false });
+  });
+
+  it('strips everything by default', async () => {
+    const result = await compress(await sidewaysPhoto(), { format: 'webp', quality: 80, autoOrient: false });
+    const output = await sharp(result.buffer).metadata();
+
+    expect(result._compressionMetadata.metadataPolicy).toMatchObject({ autoOriented: false, kept: [], stripped: ['EXIF'] });
+    expect(output).toMatchObject({ width: 60, height: 40 });
+    expect(output.exif).toBeUndefined();
+  });
+
+  it('keeps the metadata when the preset says so', async () => {
+    const result = await compress(await sidewaysPhoto(), { format: 'webp', quality: 80, stripMetadata: false, autoOrient: false });
+    const output = await sharp(result.buffer).metadata();
+
+    expect(result._compressionMetadata.metadataPolicy).toMatchObject({ kept: ['EXIF'], stripped: [] });
+    expect(readExif(output.exif)).toMatchObject({ orientation: 6, copyright: 'Acme Ltd' });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import prisma from '../app/db.server';
+import { getStorageAdapter } from '../app/utils/storage/index.server';
+import { compressImageItem } from '../app/utils/compressionPipeline.server';
+import { createCompressionJob, startCompressionJob } from '../app/utils/compressionJobs.server';
+import { COMPRESSED_COLLECTION } from '../app/utils/firebaseStorage.server';
+import { runDuePurges } from '../app/utils/shopDataPurge.server';
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+vi.mock('../app/utils/storage/index.server', async () => {
+  const { createFakeStorage } = await import('./helpers/fakeStorage');
+  const storage = createFakeStorage();
+  return { getStorageAdapter: () => storage };
+});
+vi.mock('../app/shopify.server', () => ({
+  unauthenticated: { admin: vi.fn(async () => ({ admin: {} })) }
+}));
+vi.mock('../app/utils/compressionPipeline.server', () => ({
+  compressImageItem: vi.fn(),
+  summarizeResults: () => ({})
+}));
+vi.mock('../app/utils/compressionDrafts.server', () => ({
+  expireDrafts: vi.fn(async () => 0)
+}));
+
+const SHOP = 'test-shop.myshopify.com';
+const storage = getStorageAdapter();
+
+// An uninstalled shop past its grace period, with one stored image
+async function dueShop() {
+  const path = `shops/${SHOP}/compressed/a.webp`;
+  const { url } = await storage.saveFile(path, Buffer.from('webp'));
+  await storage.addRecord(COMPRESSED_COLLECTION, { shop: SHOP, compressedUrl: url, _storageMetadata: { storagePath: path } });
+  await prisma.shopDataPurge.create({ data: { shop: SHOP, reason: 'app/uninstalled', purgeAfter: new Date(Date.now() - 1000) } });
+}
+
+const newJob = () => createCompressionJob({
+  shop: SHOP,
+  strategy: 'sharp',
+  items: ['https://cdn.test/a.jpg', 'https://cdn.test/b.jpg'].map((url, i) => ({ url, productId: '1', imageId: String(i + 10) }))
+});
+
+beforeEach(() => {
+  prisma.$reset();
+  storage.reset();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  compressImageItem.mockReset().mockImplementation(async ({ url }) => ({ url, success: true, originalSize: 100, compressedSize: 50 }));
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('runDuePurges', () => {
+  it('cancels a queued job and purges the shop', async () => {
+    await dueShop();
+    await newJob();
+
+    expect(await runDuePurges()).toBe(1);
+
+    expect(storage.files.size).toBe(0);
+    expect(storage.records(COMPRESSED_COLLECTION)).toEqual([]);
+    expect(prisma.$rows('compressionJob')).toEqual([]);
+    expect(prisma.$rows('shopDataPurge')).toEqual([]);
+  });
+
+  it('waits for a running job to stop before purging', async () => {
+    await dueShop();
+    const job = await newJob();
+    let started;
+    let finish;
+    const itemStarted = new Promise(resolve => { started = resolve; });
+    compressImageItem.mockImplementationOnce(({ url }) => {
+      started();
+      return new Promise(resolve => { finish = () => resolve({ url, success: true, originalSize: 100, compressedSize: 50 }); });
+    });
+    const run = startCompressionJob(job.id);
+    await itemStarted;
+
+    await runDuePurges();
+
+    expect(prisma.$rows('compressionJob')).toEqual([expect.objectContaining({ status: 'cancelled' })]);
+    expect(storage.files.size).toBe(1);
+    expect(prisma.$rows('shopDataPurge')).toHaveLength(1);
+
+    finish();
+    await run;
+    await runDuePurges();
+
+    expect(compressImageItem).toHaveBeenCalledTimes(1);
+    expect(storage.files.size).toBe(0);
+    expect(prisma.$rows('shopDataPurge')).toEqual([]);
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { replaceProductImage, getProductImageFilenames } from '../app/utils/shopifyMedia.server';
+
+const media = id => `gid://shopify/MediaImage/${id}`;
+
+/**
+ * Admin API stand-in holding one product's gallery and variant images.
+ * Records every operation by name; `fail` makes an operation misbehave.
+ */
+function productAdmin({ gallery, alts = {}, variants = {}, fail = {} }) {
+  const state = { gallery: gallery.map(media), alts: { ...alts }, variants: { ...variants } };
+  const operations = [];
+  let sequence = 900;
+
+  const node = id => (state.gallery.includes(id)
+    ? { id, alt: state.alts[id] || '', status: fail.processing && id === media(901) ? 'FAILED' : 'READY', image: { url: `https://cdn.shopify.test/files/${id.split('/').pop()}.webp` } }
+    : null);
+
+  const handlers = {
+    mediaImage: ({ id }) => ({ node: node(id) }),
+    productMediaPlacement: () => ({
+      product: {
+        media: { pageInfo: { hasNextPage: false }, edges: state.gallery.map(id => ({ node: { id } })) },
+        variants: {
+          pageInfo: { hasNextPage: false },
+          edges: Object.entries(state.variants).map(([id, mediaId]) => ({
+            node: { id, media: { edges: mediaId ? [{ node: { id: mediaId } }] : [] } }
+          }))
+        }
+      }
+    }),
+    productMediaFilenames: () => ({
+      product: {
+        media: { pageInfo: { hasNextPage: false }, edges: state.gallery.map(id => ({ node: node(id) })) }
+      }
+    }),
+    stagedUploadsCreate: () => ({
+      stagedUploadsCreate: {
+        stagedTargets: [{ url: 'https://uploads.shopify.test/', resourceUrl: 'https://uploads.shopify.test/tmp/1', parameters: [] }],
+        userErrors: []
+      }
+    }),
+    productCreateMedia: ({ media: [input] }) => {
+      const id = media(++sequence);
+      state.gallery.push(id);
+      if (!fail.alt) state.alts[id] = input.alt;
+      return { productCreateMedia: { media: [{ id, status: 'UPLOADED' }], mediaUserErrors: [] } };
+    },
+    productDeleteMedia: ({ mediaIds }) => {
+      if (fail.delete && !mediaIds.includes(media(901))) {
+        return { productDeleteMedia: { deletedMediaIds: [], mediaUserErrors: [{ message: 'Media is in use' }] } };
+      }
+      state.gallery = state.gallery.filter(id => !mediaIds.includes(id));
+      Object.keys(state.variants).forEach(variant => {
+        if (mediaIds.includes(state.variants[variant])) state.variants[variant] = null;
+      });
+      return { productDeleteMedia: { deletedMediaIds: mediaIds, mediaUserErrors: [] } };
+    },
+    productReorderMedia: ({ moves: [{ id, newPosition }] }) => {
+      state.gallery = state.gallery.filter(other => other !== id);
+      state.gallery.splice(Number(newPosition), 0, id);
+      return { productReorderMedia: { job: { id: 'job-1', done: true }, mediaUserErrors: [] } };
+    },
+    productVariantAppendMedia: ({ variantMedia }) => {
+      variantMedia.forEach(({ variantId, mediaIds: [id] }) => { state.variants[variantId] = id; });
+      return { productVariantAppendMedia: { productVariants: [], userErrors: [] } };
+    }
+  };
+
+  const graphql = vi.fn(async (query, { variables }) => {
+    const operation = query.match(/(?:query|mutation) (\w+)/)[1];
+    operations.push(operation);
+    return Response.json({ data: handlers[operation](variables) });
+  });
+  return { admin: { graphql }, state, operations };
+}
+
+const replace = (admin, mediaId = '2') => replaceProductImage(admin, {
+  productId: '1',
+  mediaId,
+  buffer: Buffer.from('webp bytes'),
+  filename: 'linen-shirt-2.webp',
+  mimeType: 'image/webp'
+});
+
+beforeEach(() => {
+  vi.stubGlobal('fetch', vi.fn(async () => new Response(null, { status: 204 })));
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('replaceProductImage', () => {
+  it('uploads the new media before deleting the old one', async () => {
+    const { admin, state, operations } = productAdmin({ gallery: ['1', '2', '3'] });
+
+    const result = await replace(admin);
+
+    expect(result).toMatchObject({ replaced: true, productId: '1', oldImageId: '2', newImageId: '901' });
+    expect(operations.indexOf('productCreateMedia')).toBeLessThan(operations.indexOf('productDeleteMedia'));
+    expect(fetch).toHaveBeenCalledWith('https://uploads.shopify.test/', expect.objectContaining({ method: 'POST' }));
+    expect(state.gallery).not.toContain(media(2));
+  });
+
+  it('fails before uploading when the media is not on the product', async () => {
+    const { admin, state, operations } = productAdmin({ gallery: ['1', '3'] });
+
+    await expect(replace(admin)).rejects.toMatchObject({ code: 'MEDIA_NOT_FOUND', retryable: false });
+
+    expect(operations).not.toContain('stagedUploadsCreate');
+    expect(operations).not.toContain('productCreateMedia');
+    expect(fetch).not.toHaveBeenCalled();
+    expect(state.gallery).toEqual([media(1), media(3)]);
+  });
+
+  it('removes the new media when Shopify cannot process it', async () => {
+    const { admin, state } = productAdmin({ gallery: ['1', '2'], fail: { processing: true } });
+
+    await expect(replace(admin)).rejects.toThrow('Shopify failed to process the uploaded image');
+
+    expect(state.gallery).toEqual([media(1), media(2)]);
+  });
+
+  it('removes the new media when the old one cannot be deleted', async () => {
+    const { admin, state } = productAdmin({ gallery: ['1', '2'], fail: { delete: true } });
+
+    await expect(replace(admin)).rejects.toThrow('productDeleteMedia failed: Media is in use');
+
+    expect(state.gallery).toEqual([media(1), media(2)]);
+  });
+});
+
+describe('replaceProductImage placement', () => {
+  it('keeps the position, alt text and variant images of the old media', async () => {
+    const { admin, state, operations } = productAdmin({
+      gallery: ['1', '2', '3'],
+      alts: { [media(2)]: 'Blue linen shirt, back' },
+      variants: { 'gid://shopify/ProductVariant/7': media(2), 'gid://shopify/ProductVariant/8': media(3) }
+    });
+
+    const result = await replace(admin);
+
+    expect(state.gallery).toEqual([media(1), media(901), media(3)]);
+    expect(state.alts[media(901)]).toBe('Blue linen shirt, back');
+    expect(state.variants).toEqual({ 'gid://shopify/ProductVariant/7': media(901), 'gid://shopify/ProductVariant/8': media(3) });
+    expect(result).toMatchObject({ position: 2, alt: 'Blue linen shirt, back', variantIds: ['gid://shopify/ProductVariant/7'], mismatches: [] });
+    expect(operations.indexOf('productDeleteMedia')).toBeLessThan(operations.indexOf('productReorderMedia'));
+  });
+
+  it('reports what Shopify did not keep', async () => {
+    const { admin } = productAdmin({ gallery: ['1', '2'], alts: { [media(2)]: 'Blue linen shirt' }, fail: { alt: true } });
+
+    const result = await replace(admin);
+
+    expect(result.mismatches).toEqual([{ field: 'altText', expected: 'Blue linen shirt', actual: '' }]);
+  });
+});
+
+describe('getProductImageFilenames', () => {
+  it('reads the filename of every image by media id', async () => {
+    const { admin } = productAdmin({ gallery: ['1', '2'] });
+
+    expect(await getProductImageFilenames(admin, '1')).toEqual(new Map([['1', '1'], ['2', '2']]));
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createHash } from 'node:crypto';
+import { fetchSourceImage } from '../app/utils/sourceImage.server';
+import { noisyPng } from './helpers/shopify';
+
+const URL = 'https://cdn.shopify.test/files/shirt.png';
+
+const respondWith = (...args) => vi.stubGlobal('fetch', vi.fn(async () => new Response(...args)));
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('fetchSourceImage', () => {
+  it('downloads the image and tells its format from the bytes', async () => {
+    const png = await noisyPng();
+    respondWith(png, { headers: { 'content-type': 'application/octet-stream' } });
+
+    const source = await fetchSourceImage(URL);
+
+    expect(source).toMatchObject({ url: URL, format: 'png', contentType: 'image/png', size: png.length });
+    expect(source.buffer.equals(png)).toBe(true);
+    expect(source.hash).toBe(createHash('sha256').update(png).digest('hex'));
+  });
+
+  it.each([
+    [404, false],
+    [403, false],
+    [429, true],
+    [408, true],
+    [503, true]
+  ])('reports HTTP %i as retryable: %s', async (status, retryable) => {
+    respondWith('nope', { status });
+
+    await expect(fetchSourceImage(URL)).rejects.toMatchObject({ code: 'SOURCE_FETCH_FAILED', status, retryable });
+  });
+
+  it('refuses content that is not an image', async () => {
+    respondWith('<html></html>', { headers: { 'content-type': 'text/html; charset=utf-8' } });
+    await expect(fetchSourceImage(URL)).rejects.toMatchObject({ code: 'SOURCE_UNSUPPORTED_TYPE', retryable: false });
+
+    respondWith('not an image', { headers: { 'content-type': 'application/octet-stream' } });
+    await expect(fetchSourceImage(URL)).rejects.toMatchObject({ code: 'SOURCE_UNSUPPORTED_TYPE', retryable: false });
+  });
+
+  it('stops at the size limit, declared or streamed', async () => {
+    const png = await noisyPng();
+
+    respondWith(png, { headers: { 'content-type': 'image/png', 'content-length': String(png.length) } });
+    await expect(fetchSourceImage(URL, { maxBytes: 100 })).rejects.toMatchObject({ code: 'SOURCE_TOO_LARGE', retryable: false });
+
+    respondWith(new Blob([png]).stream(), { headers: { 'content-type': 'image/png' } });
+    await expect(fetchSourceImage(URL, { maxBytes: 100 })).rejects.toMatchObject({ code: 'SOURCE_TOO_LARGE', retryable: false });
+  });
+
+  it('gives up on a slow download', async () => {
+    vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    })));
+
+    await expect(fetchSourceImage(URL, { timeoutMs: 10 })).rejects.toMatchObject({ code: 'SOURCE_TIMEOUT', retryable: true });
+  });
+
+  it('reports network errors and empty bodies as retryable', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('fetch failed'); }));
+    await expect(fetchSourceImage(URL)).rejects.toMatchObject({ code: 'SOURCE_FETCH_FAILED', status: null, retryable: true });
+
+    respondWith('', { headers: { 'content-type': 'image/png' } });
+    await expect(fetchSourceImage(URL)).rejects.toMatchObject({ code: 'SOURCE_FETCH_FAILED', retryable: true });
+  });
+});
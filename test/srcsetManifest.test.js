@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { buildSrcsetManifest } from '../app/utils/srcsetManifest.server';
+
+const derivative = (format, width) => ({
+  kind: 'derivative',
+  format,
+  width,
+  height: width / 2,
+  url: `https://storage.test/shirt-${width}.${format}`
+});
+
+describe('buildSrcsetManifest', () => {
+  it('groups derivatives by format, smallest format and width first', () => {
+    const manifest = buildSrcsetManifest({
+      compressedUrl: 'https://storage.test/shirt.webp',
+      shopifyCompressedUrl: 'https://cdn.shopify.test/files/shirt.webp',
+      companions: [
+        derivative('webp', 1600),
+        derivative('jpg', 800),
+        { kind: 'animation', format: 'mp4', url: 'https://storage.test/shirt.mp4' },
+        derivative('avif', 800),
+        derivative('webp', 800),
+        derivative('jpg', 1600)
+      ]
+    }, { sizes: '(min-width: 990px) 50vw, 100vw' });
+
+    expect(manifest).toEqual({
+      src: 'https://cdn.shopify.test/files/shirt.webp',
+      width: 1600,
+      height: 800,
+      sizes: '(min-width: 990px) 50vw, 100vw',
+      sources: [
+        { type: 'image/avif', srcset: 'https://storage.test/shirt-800.avif 800w' },
+        { type: 'image/webp', srcset: 'https://storage.test/shirt-800.webp 800w, https://storage.test/shirt-1600.webp 1600w' }
+      ],
+      fallback: { type: 'image/jpeg', srcset: 'https://storage.test/shirt-800.jpg 800w, https://storage.test/shirt-1600.jpg 1600w' }
+    });
+  });
+
+  it('uses the only format as the fallback and our own URL before publishing', () => {
+    const manifest = buildSrcsetManifest({
+      compressedUrl: 'https://storage.test/shirt.webp',
+      companions: [derivative('webp', 400)]
+    });
+
+    expect(manifest).toMatchObject({ src: 'https://storage.test/shirt.webp', sizes: '100vw', sources: [] });
+    expect(manifest.fallback).toEqual({ type: 'image/webp', srcset: 'https://storage.test/shirt-400.webp 400w' });
+  });
+
+  it('is null without derivatives', () => {
+    expect(buildSrcsetManifest({ companions: [{ kind: 'animation', format: 'mp4' }] })).toBeNull();
+    expect(buildSrcsetManifest({})).toBeNull();
+    expect(buildSrcsetManifest(null)).toBeNull();
+  });
+});
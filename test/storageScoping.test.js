@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { getStorageAdapter } from '../app/utils/storage/index.server';
+import {
+  COMPRESSED_COLLECTION,
+  findStoredImage,
+  listLegacyRecords,
+  claimLegacyRecord
+} from '../app/utils/firebaseStorage.server';
+
+vi.mock('../app/utils/storage/index.server', async () => {
+  const { createFakeStorage } = await import('./helpers/fakeStorage');
+  const storage = createFakeStorage();
+  return { getStorageAdapter: () => storage };
+});
+
+const SHOP = 'test-shop.myshopify.com';
+const OTHER_SHOP = 'other-shop.myshopify.com';
+const SOURCE = 'https://cdn.shopify.test/files/shirt.jpg';
+const storage = getStorageAdapter();
+
+// A compressed record with its file, the way storeCompressedImage leaves it
+async function seed(path, { shop, withFile = true, ...fields } = {}) {
+  const { url } = await storage.saveFile(path, Buffer.from('webp'));
+  if (!withFile) await storage.deleteFile(path);
+  return storage.addRecord(COMPRESSED_COLLECTION, {
+    ...(shop ? { shop } : {}),
+    originalUrl: SOURCE,
+    compressedUrl: url,
+    _storageMetadata: { storagePath: path },
+    ...fields
+  });
+}
+
+beforeEach(() => {
+  storage.reset();
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('findStoredImage', () => {
+  it('only finds records of the requesting shop', async () => {
+    await seed(`shops/${OTHER_SHOP}/compressed/a.webp`, { shop: OTHER_SHOP, shopifyImageId: '2' });
+
+    expect(await findStoredImage(SHOP, SOURCE, '2')).toBeNull();
+
+    const id = await seed(`shops/${SHOP}/compressed/b.webp`, { shop: SHOP });
+    expect(await findStoredImage(SHOP, SOURCE, '2')).toMatchObject({ id, shop: SHOP });
+  });
+
+  it('skips a record whose file is gone without deleting it', async () => {
+    const stale = await seed(`shops/${SHOP}/compressed/a.webp`, { shop: SHOP, withFile: false });
+    const live = await seed(`shops/${SHOP}/compressed/b.webp`, { shop: SHOP });
+
+    expect(await findStoredImage(SHOP, SOURCE)).toMatchObject({ id: live });
+    expect(storage.records(COMPRESSED_COLLECTION).map(record => record.id)).toEqual([stale, live]);
+  });
+
+  it('leaves records from before the scoping alone', async () => {
+    const id = await seed('compressed/a.webp', { shopifyImageId: '2' });
+
+    expect(await findStoredImage(SHOP, SOURCE, '2')).toBeNull();
+
+    expect(storage.files.has('compressed/a.webp')).toBe(true);
+    expect(storage.records(COMPRESSED_COLLECTION)).toEqual([expect.not.objectContaining({ shop: expect.anything() })]);
+    expect((await listLegacyRecords(COMPRESSED_COLLECTION)).map(record => record.id)).toEqual([id]);
+  });
+});
+
+describe('claimLegacyRecord', () => {
+  it('moves the record and its file under the shop', async () => {
+    await seed(`shops/${OTHER_SHOP}/compressed/b.webp`, { shop: OTHER_SHOP });
+    await seed('compressed/a.webp');
+    const [legacy] = await listLegacyRecords(COMPRESSED_COLLECTION);
+
+    const claimed = await claimLegacyRecord(COMPRESSED_COLLECTION, legacy, SHOP);
+
+    expect(claimed).toMatchObject({
+      shop: SHOP,
+      compressedUrl: `https://storage.test/shops/${SHOP}/compressed/a.webp`,
+      _storageMetadata: { storagePath: `shops/${SHOP}/compressed/a.webp` }
+    });
+    expect(storage.files.has('compressed/a.webp')).toBe(false);
+    expect(await findStoredImage(SHOP, SOURCE)).toMatchObject({ id: legacy.id });
+    expect(await listLegacyRecords(COMPRESSED_COLLECTION)).toEqual([]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import prisma from '../app/db.server';
+import { getTinifyQuota, recordTinifyUsage, markTinifyExhausted, usageMonth } from '../app/utils/tinifyQuota.server';
+import { compressMultipleImages } from '../app/utils/imageCompression.server';
+import { noisyPng, serveSource } from './helpers/shopify';
+
+// The key and limits are read when the modules are imported
+vi.hoisted(() => {
+  process.env.TINIFY_API_KEY = 'test-key';
+  process.env.TINIFY_MONTHLY_LIMIT = '500';
+  process.env.TINIFY_SHOP_MONTHLY_LIMIT = '100';
+});
+
+vi.mock('../app/db.server', async () => {
+  const { createFakePrisma } = await import('./helpers/fakePrisma');
+  return { default: createFakePrisma() };
+});
+
+const SHOP = 'test-shop.myshopify.com';
+const OTHER_SHOP = 'other-shop.myshopify.com';
+
+beforeEach(() => {
+  prisma.$reset();
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('getTinifyQuota', () => {
+  it('starts the month with the shop limit available', async () => {
+    expect(await getTinifyQuota(SHOP)).toEqual({
+      month: usageMonth(),
+      used: 0,
+      shopLimit: 100,
+      accountUsed: 0,
+      accountLimit: 500,
+      remaining: 100,
+      warning: false,
+      exhausted: false
+    });
+  });
+
+  it('warns once a limit is mostly used', async () => {
+    await recordTinifyUsage(SHOP, 60, 200);
+    await recordTinifyUsage(SHOP, 25, 225);
+
+    expect(await getTinifyQuota(SHOP)).toMatchObject({ used: 85, accountUsed: 225, remaining: 15, warning: true, exhausted: false });
+  });
+
+  it('counts what other shops used of the account', async () => {
+    await recordTinifyUsage(SHOP, 10, 410);
+    await recordTinifyUsage(OTHER_SHOP, 80, 480);
+
+    expect(await getTinifyQuota(SHOP)).toMatchObject({ used: 10, accountUsed: 480, remaining: 20, warning: true });
+  });
+
+  it('ignores earlier months', async () => {
+    await prisma.tinifyUsage.create({ data: { shop: SHOP, month: '2000-01', compressions: 100, accountCount: 500 } });
+
+    expect(await getTinifyQuota(SHOP)).toMatchObject({ used: 0, accountUsed: 0, remaining: 100, exhausted: false });
+  });
+
+  it('is exhausted for every shop once Tinify refused a compression', async () => {
+    await recordTinifyUsage(SHOP, 3, 12);
+    await markTinifyExhausted(OTHER_SHOP);
+
+    expect(await getTinifyQuota(SHOP)).toMatchObject({ used: 3, remaining: 0, warning: true, exhausted: true });
+  });
+});
+
+describe('Tinify compression without quota', () => {
+  it('falls back to Sharp and says why', async () => {
+    const fetchMock = serveSource(await noisyPng());
+    await recordTinifyUsage(SHOP, 100, 150);
+
+    const images = compressMultipleImages(['https://cdn.shopify.test/files/shirt.png'], { format: 'webp', quality: 70 }, { shop: SHOP });
+    const { value: [result] } = await images.next();
+
+    expect(result).toMatchObject({ success: true, format: 'webp' });
+    expect(result._compressionMetadata).toMatchObject({
+      requestedStrategy: 'tinify',
+      fallbackReason: 'Tinify monthly quota of the shop used up (100 of 100)'
+    });
+    // only the source was downloaded, Tinify was never called
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect((await getTinifyQuota(SHOP)).used).toBe(100);
+  });
+});
@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Separate from vite.config.js: the Remix plugin has no place in unit tests
+export default defineConfig({
+  test: {
+    include: ["test/**/*.test.js"],
+    environment: "node",
+  },
+});